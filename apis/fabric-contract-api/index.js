@@ -15,3 +15,7 @@ module.exports.Context = require('./lib/context.js');
 Object.assign(module.exports, require('./lib/annotations'));
 
 module.exports.JSONSerializer = require('./lib/jsontransactionserializer.js');
+module.exports.CanonicalJSONSerializer = require('./lib/canonicaljsonserializer.js');
+module.exports.formats = require('./lib/formats.js');
+
+Object.assign(module.exports, require('./lib/errors.js'));
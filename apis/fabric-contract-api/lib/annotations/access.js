@@ -0,0 +1,64 @@
+/*
+ * Copyright IBM Corp. All Rights Reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+const utils = require('./utils');
+const Logger = require('../logger');
+const logger = Logger.getLogger('./lib/annotations/access.js');
+require('reflect-metadata');
+
+/*
+ * Updates the access rules recorded for a transaction function, leaving the
+ * other rules of the transaction in place
+ */
+const updateAccess = (target, propertyKey, update) => {
+    const transactions = Reflect.getMetadata('fabric:transactions', target) || [];
+
+    logger.debug('Existing fabric:transactions', transactions);
+
+    const transaction = utils.findByValue(transactions, 'name', propertyKey);
+    const access = Object.assign({}, transaction && transaction.access);
+    update(access);
+
+    utils.appendOrUpdate(transactions, 'name', propertyKey, {access});
+
+    Reflect.defineMetadata('fabric:transactions', transactions, target);
+    logger.debug('Updated fabric:transactions', transactions);
+};
+
+module.exports.RequireMSP = function RequireMSP (...mspIds) {
+    return (target, propertyKey) => {
+        logger.info('@RequireMSP args:', `Property Key -> ${propertyKey}, MSP IDs -> ${mspIds},`, 'Target ->', target.constructor.name);
+
+        updateAccess(target, propertyKey, (access) => {
+            access.mspIds = mspIds;
+        });
+    };
+};
+
+module.exports.RequireRole = function RequireRole (...roles) {
+    return (target, propertyKey) => {
+        logger.info('@RequireRole args:', `Property Key -> ${propertyKey}, Roles -> ${roles},`, 'Target ->', target.constructor.name);
+
+        updateAccess(target, propertyKey, (access) => {
+            access.roles = roles;
+        });
+    };
+};
+
+module.exports.RequireAttribute = function RequireAttribute (name, value) {
+    return (target, propertyKey) => {
+        logger.info('@RequireAttribute args:', `Property Key -> ${propertyKey}, Name -> ${name}, Value -> ${value},`, 'Target ->', target.constructor.name);
+
+        updateAccess(target, propertyKey, (access) => {
+            const attribute = {name};
+            if (typeof value !== 'undefined') {
+                attribute.value = value;
+            }
+            access.attributes = (access.attributes || []).filter((a) => a.name !== name).concat(attribute);
+        });
+    };
+};
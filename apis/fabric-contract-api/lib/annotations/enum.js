@@ -0,0 +1,47 @@
+/*
+ * Copyright IBM Corp. All Rights Reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+const Logger = require('../logger');
+const logger = Logger.getLogger('./lib/annotations/enum.js');
+require('reflect-metadata');
+
+/*
+ * Gets the values of a TypeScript enum, leaving out the reverse mappings from
+ * value to name that are added for the members with numeric values
+ */
+const getEnumValues = (enumObject) => {
+    return Object.keys(enumObject).filter((key) => {
+        return typeof enumObject[enumObject[key]] !== 'number';
+    }).map((key) => enumObject[key]);
+};
+
+module.exports.Enum = function Enum (name, values) {
+    logger.info('@Enum args:', `Name -> ${name}, Values -> ${JSON.stringify(values)}`);
+
+    const enumValues = Array.isArray(values) ? values : getEnumValues(values || {});
+    if (enumValues.length === 0) {
+        throw new Error(`Enum ${name} must have at least one value`);
+    }
+
+    const type = typeof enumValues[0];
+    if (!['string', 'number'].includes(type) || enumValues.some((v) => typeof v !== type)) {
+        throw new Error(`Enum ${name} must have only string or only number values`);
+    }
+
+    const objects = Reflect.getMetadata('fabric:objects', global) || {};
+
+    logger.debug('Existing fabric:objects %s', objects);
+
+    objects[name] = {
+        '$id': name,
+        type,
+        enum: enumValues
+    };
+
+    Reflect.defineMetadata('fabric:objects', objects, global);
+
+    logger.debug('Updated fabric:objects', objects);
+};
@@ -0,0 +1,35 @@
+/*
+ * Copyright IBM Corp. All Rights Reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+const utils = require('./utils');
+const Logger = require('../logger');
+const logger = Logger.getLogger('./lib/annotations/event.js');
+require('reflect-metadata');
+
+module.exports.Event = function Event (name, payloadType) {
+    return (target, propertyKey) => {
+        // as a class decorator the target is the constructor, as a method decorator it is the prototype
+        const prototype = typeof target === 'function' ? target.prototype : target;
+        const type = typeof payloadType === 'function' ? payloadType.name : payloadType;
+
+        logger.info('@Event args:', `Property Key -> ${propertyKey}, Name -> ${name}, Payload Type -> ${type},`, 'Target ->', prototype.constructor.name);
+
+        const events = Reflect.getMetadata('fabric:events', prototype) || [];
+
+        logger.debug('Existing fabric:events', events);
+
+        const event = {};
+        if (type) {
+            event.schema = utils.generateSchema(type);
+        }
+
+        utils.appendOrUpdate(events, 'name', name, event);
+
+        Reflect.defineMetadata('fabric:events', events, prototype);
+        logger.debug('Updated fabric:events', events);
+    };
+};
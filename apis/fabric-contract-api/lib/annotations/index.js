@@ -5,4 +5,4 @@
  */
 
 'use strict';
-Object.assign(module.exports, require('./transaction'), require('./object'), require('./info'), require('./default'));
+Object.assign(module.exports, require('./transaction'), require('./object'), require('./info'), require('./default'), require('./event'), require('./access'), require('./enum'));
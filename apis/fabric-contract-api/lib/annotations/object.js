@@ -22,6 +22,7 @@ module.exports.Object = function Object (opts) {
         logger.debug('Existing fabric:objects %s', objects);
 
         const properties = Reflect.getMetadata('fabric:object-properties', target.prototype) || {};
+        const required = Reflect.getOwnMetadata('fabric:object-required', target.prototype) || [];
 
         logger.debug('Existing fabric:object-properties for target', properties);
 
@@ -35,6 +36,9 @@ module.exports.Object = function Object (opts) {
                 cnstr: target,
                 properties: properties
             };
+            if (required.length > 0) {
+                objects[target.name].required = required;
+            }
 
             // add in the discriminator property name if one has been supplied in the object annotations
             if (opts && opts.discriminator) {
@@ -54,6 +58,9 @@ module.exports.Object = function Object (opts) {
                     }
                 ]
             };
+            if (required.length > 0) {
+                objects[target.name].allOf[0].required = required;
+            }
         }
 
         Reflect.defineMetadata('fabric:objects', objects, global);
@@ -62,9 +69,14 @@ module.exports.Object = function Object (opts) {
     };
 };
 
-module.exports.Property = function Property (name, type) {
+module.exports.Property = function Property (name, type, options = {}) {
+    if (name && typeof name === 'object') {
+        options = name;
+        name = undefined;
+    }
+
     return (target, propertyKey) => {
-        logger.debug('@Property args:', `Property Key -> ${propertyKey}, Name -> ${name}, Type -> ${type},`, 'Target ->', target.constructor.name);
+        logger.debug('@Property args:', `Property Key -> ${propertyKey}, Name -> ${name}, Type -> ${type}, Options -> ${JSON.stringify(options)},`, 'Target ->', target.constructor.name);
 
         const properties = Reflect.getOwnMetadata('fabric:object-properties', target) || {};
 
@@ -77,10 +89,18 @@ module.exports.Property = function Property (name, type) {
             type = typeof metaType === 'function' ? metaType.name : metaType.toString();
         }
 
-        properties[name] = utils.generateSchema(type, false);
+        properties[name] = utils.addConstraints(utils.generateSchema(type, false), options);
 
         Reflect.defineMetadata('fabric:object-properties', properties, target);
 
         logger.debug('Updated fabric:object-properties for target', properties);
+
+        if (options.required) {
+            const required = Reflect.getOwnMetadata('fabric:object-required', target) || [];
+            if (!required.includes(name)) {
+                required.push(name);
+            }
+            Reflect.defineMetadata('fabric:object-required', required, target);
+        }
     };
 };
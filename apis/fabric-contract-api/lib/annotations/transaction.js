@@ -4,12 +4,76 @@
 # SPDX-License-Identifier: Apache-2.0
 */
 'use strict';
-const getParams = require('get-params');
 const utils = require('./utils');
 const Logger = require('../logger');
 const logger = Logger.getLogger('./lib/annotations/transaction.js');
 require('reflect-metadata');
 
+/*
+ * The index of the quote that closes the string or template literal that starts at index start
+ */
+const endOfString = (source, start) => {
+    const quote = source[start];
+    let i = start + 1;
+    while (i < source.length && source[i] !== quote) {
+        i += source[i] === '\\' ? 2 : 1;
+    }
+    return i;
+};
+
+/*
+ * The index of the last character of the first match of end from index start, or of the source if there is none
+ */
+const endOf = (source, end, start) => {
+    const i = source.indexOf(end, start);
+    return i < 0 ? source.length : i + end.length - 1;
+};
+
+/*
+ * The parameters of a function, read from its source. Parameters with a default value are marked as
+ * optional; the value itself is skipped, taking account of any brackets, strings and comments within it.
+ */
+const getParams = (fn) => {
+    const source = fn.toString();
+    const params = [];
+    let param = {name: '', optional: false};
+    let depth = 0;
+    for (let i = source.indexOf('(') + 1; i < source.length; i++) {
+        const c = source[i];
+        if (source.startsWith('//', i)) {
+            i = endOf(source, '\n', i);
+            continue;
+        } else if (source.startsWith('/*', i)) {
+            i = endOf(source, '*/', i + 2);
+            continue;
+        } else if (c === '\'' || c === '"' || c === '`') {
+            i = endOfString(source, i);
+            continue;
+        } else if ('([{'.includes(c)) {
+            depth++;
+        } else if (')]}'.includes(c)) {
+            if (depth === 0) {
+                break;
+            }
+            depth--;
+        } else if (depth === 0 && c === ',') {
+            params.push(param);
+            param = {name: '', optional: false};
+            continue;
+        } else if (depth === 0 && c === '=' && !param.optional) {
+            param.optional = true;
+        }
+
+        if (!param.optional) {
+            param.name += c;
+        }
+    }
+    params.push(param);
+
+    // a trailing comma leaves an empty parameter, as does a function with none
+    return params.map((p) => ({name: p.name.trim(), optional: p.optional})).filter((p) => p.name.length > 0);
+};
+
 module.exports.Transaction = function Transaction (commit = true) {
     return (target, propertyKey) => {
         logger.info('@Transaction args:', `Property Key -> ${propertyKey}, Commit -> ${commit},`, 'Target ->', target.constructor.name);
@@ -19,7 +83,8 @@ module.exports.Transaction = function Transaction (commit = true) {
         logger.debug('Existing fabric:transactions', transactions);
 
         const transaction = utils.findByValue(transactions, 'name', propertyKey);
-        const paramNames = getParams(target[propertyKey]);
+        const params = getParams(target[propertyKey]);
+        const paramNames = params.map((p) => p.name);
 
         logger.debug('@Transaction params:', `Property Key -> ${propertyKey}, Param Names ->  ${JSON.stringify(paramNames)},`, 'Target ->', target.constructor.name);
 
@@ -36,19 +101,26 @@ module.exports.Transaction = function Transaction (commit = true) {
 
             if (filter) {
                 logger.debug('@Transaction ignoring param as matched context type', `Property Key -> ${propertyKey}, Param Name ->, ${paramNames[paramIdx]},`, 'Target ->', target.constructor.name);
-                paramNames.splice(paramIdx - numRemoved++, 1);
+                params.splice(paramIdx - numRemoved++, 1);
             }
 
             return !filter;
         }).map((paramType, paramIdx) => {
-            const paramName = paramNames[paramIdx];
+            const paramName = params[paramIdx].name;
             const obj = {
                 name: paramName,
                 description
             };
 
+            // parameters with a default value can be left out by the caller
+            if (params[paramIdx].optional) {
+                obj.required = false;
+            }
+
+            // a parameter with a type such as a union is reported as an Object, so its type must be given with @Param
+            const declared = Boolean(transaction && transaction.parameters && transaction.parameters.some((p) => p.name === paramName));
             const type = typeof paramType === 'function' ? paramType.name : paramType.toString();
-            if (type === 'Object') {
+            if (type === 'Object' && !declared) {
                 throw new Error(`Type not properly specified for parameter ${paramName}, can not process pure Object types`);
             }
             obj.schema = utils.generateSchema(type);
@@ -101,9 +173,14 @@ module.exports.Returns = function Returns (returnType) {
     };
 };
 
-module.exports.Param = function Param (paramName, paramType, description) {
+module.exports.Param = function Param (paramName, paramType, description, options = {}) {
+    if (description && typeof description === 'object') {
+        options = description;
+        description = undefined;
+    }
+
     return (target, propertyKey) => {
-        logger.info('@Param args:', `Property Key -> ${propertyKey}, Param Name -> ${paramName}, Param Type -> ${paramType}, Description -> ${description},`, 'Target ->', target.constructor.name);
+        logger.info('@Param args:', `Property Key -> ${propertyKey}, Param Name -> ${paramName}, Param Type -> ${paramType}, Description -> ${description}, Options -> ${JSON.stringify(options)},`, 'Target ->', target.constructor.name);
 
         const transactions = Reflect.getMetadata('fabric:transactions', target) || [];
 
@@ -111,9 +188,24 @@ module.exports.Param = function Param (paramName, paramType, description) {
 
         const transaction = utils.findByValue(transactions, 'name', propertyKey);
 
-        const paramSchema = utils.generateSchema(paramType);
+        const paramSchema = utils.addConstraints(utils.generateSchema(paramType), options);
         const paramDesc = description || '';
 
+        // a parameter with a default value is optional, and the default is used when it is left out
+        const optional = Boolean(options.optional) || options.required === false || typeof options.default !== 'undefined';
+        if (typeof options.default !== 'undefined') {
+            paramSchema.default = options.default;
+        }
+
+        const newParam = {
+            name: paramName,
+            description: paramDesc,
+            schema: paramSchema
+        };
+        if (optional) {
+            newParam.required = false;
+        }
+
         if (transaction && transaction.parameters) {
             logger.debug('Updating existing transaction parameters', transaction.parameters);
             const param = utils.findByValue(transaction.parameters, 'name', paramName);
@@ -121,20 +213,15 @@ module.exports.Param = function Param (paramName, paramType, description) {
             if (param) {
                 param.schema = paramSchema;
                 param.description = paramDesc;
+                if (optional) {
+                    param.required = false;
+                }
             } else {
-                transaction.parameters.push({
-                    name: paramName,
-                    description: paramDesc,
-                    schema: paramSchema
-                });
+                transaction.parameters.push(newParam);
             }
         } else {
             utils.appendOrUpdate(transactions, 'name', propertyKey, {
-                parameters: [{
-                    name: paramName,
-                    description: paramDesc,
-                    schema: paramSchema
-                }]
+                parameters: [newParam]
             });
         }
 
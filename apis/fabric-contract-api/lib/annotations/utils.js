@@ -31,11 +31,60 @@ module.exports.findByValue = function findByValue(arr, primaryField, id) {
     return null;
 };
 
+// the JSON Schema keywords that can be given in the options of @Param and @Property to constrain values
+const constraints = ['minimum', 'maximum', 'multipleOf', 'minLength', 'maxLength', 'pattern', 'format', 'enum', 'minItems', 'maxItems', 'uniqueItems'];
+
+module.exports.addConstraints = function addConstraints(schema, options = {}) {
+    for (const constraint of constraints) {
+        const value = options[constraint];
+        if (typeof value !== 'undefined') {
+            schema[constraint] = value instanceof RegExp ? value.source : value;
+        }
+    }
+
+    return schema;
+};
+
 const generateSchema = (type, fullPath = true) => {
-    if (isPrimitive(type)) {
+    const members = splitUnion(type);
+    if (members.length > 1) {
+        const schemas = members.map((member) => generateSchema(member, fullPath));
+
+        // a union of literals of the same type is an enum of their values
+        const literalType = schemas[0].type;
+        if (schemas.every((schema) => schema.enum && schema.type === literalType)) {
+            return {
+                type: literalType,
+                enum: [].concat(...schemas.map((schema) => schema.enum))
+            };
+        }
+
+        // a value may match more than one member, such as a string for 'OPEN' | string
+        return {
+            anyOf: schemas
+        };
+    } else if (isParenthesised(type)) {
+        return generateSchema(type.slice(1, -1).trim(), fullPath);
+    } else if (type === 'null') {
+        return {
+            type: 'null'
+        };
+    } else if (isLiteral(type)) {
+        const value = getLiteral(type);
+
+        return {
+            type: typeof value,
+            enum: [value]
+        };
+    } else if (isPrimitive(type)) {
         return {
             type: type.toLowerCase()
         };
+    } else if (getFormat(type)) {
+        return {
+            type: 'string',
+            format: getFormat(type)
+        };
     } else if (isArray(type)) {
         const subType = getSubArray(type);
 
@@ -50,6 +99,9 @@ const generateSchema = (type, fullPath = true) => {
             type: 'object',
             additionalProperties: generateSchema(subType, fullPath)
         };
+    } else if (/[()[\]{}<>|'"]/.test(type)) {
+        // the syntax of a type that has not been understood, rather than the name of a type
+        throw new Error(`Unable to generate a schema for the type ${type}`);
     }
 
     return {
@@ -74,14 +126,99 @@ function isPrimitive(type) {
     }
 }
 
+// dates, big integers and byte arrays are sent as strings, in the format given here
+function getFormat(type) {
+    switch (type.toLowerCase()) {
+        case 'date':
+            return 'date-time';
+        case 'bigint':
+            return 'bigint';
+        case 'buffer':
+        case 'uint8array':
+            return 'byte';
+
+        default:
+            return undefined;
+    }
+}
+
+// Like 'OPEN', 42 or true
+function isLiteral(type) {
+    return /^'.*'$|^".*"$|^-?\d+(\.\d+)?$|^true$|^false$/.test(type);
+}
+
+function getLiteral(type) {
+    if (/^'.*'$|^".*"$/.test(type)) {
+        return type.slice(1, -1);
+    }
+
+    return JSON.parse(type);
+}
+
+// Split a union like 'OPEN' | 'CLOSED' into its members, ignoring any |
+// within a literal or a generic type such as Map<string, number | string>
+function splitUnion(type) {
+    const members = [];
+    let depth = 0;
+    let quote;
+    let member = '';
+    for (const c of type) {
+        if (quote) {
+            quote = c === quote ? undefined : quote;
+        } else if (c === '\'' || c === '"') {
+            quote = c;
+        } else if ('<([{'.includes(c)) {
+            depth++;
+        } else if ('>)]}'.includes(c)) {
+            depth--;
+        } else if (c === '|' && depth === 0) {
+            members.push(member.trim());
+            member = '';
+            continue;
+        }
+        member += c;
+    }
+    members.push(member.trim());
+
+    return members;
+}
+
+// Like ('OPEN' | 'CLOSED'), where the parentheses enclose the whole type
+function isParenthesised(type) {
+    if (!type.startsWith('(') || !type.endsWith(')')) {
+        return false;
+    }
+
+    let depth = 0;
+    let quote;
+    for (let i = 0; i < type.length - 1; i++) {
+        const c = type[i];
+        if (quote) {
+            quote = c === quote ? undefined : quote;
+        } else if (c === '\'' || c === '"') {
+            quote = c;
+        } else if ('<([{'.includes(c)) {
+            depth++;
+        } else if ('>)]}'.includes(c)) {
+            depth--;
+            // the opening parenthesis has been closed before the end, as in (A) | (B)
+            if (depth === 0) {
+                return false;
+            }
+        }
+    }
+
+    return true;
+}
+
 // Like Array<number>
 function isArrowedArray(type) {
-    return /^Array<[A-z].*>$/.test(type);
+    return /^Array<.+>$/.test(type);
 }
 
-// Like number[]
+// Like number[] or ('OPEN' | 'CLOSED')[]
 function isBracketArray(type) {
-    return /^[A-z].*(\[\])+?/.test(type);
+    return /^[A-z(].*\[\]$/.test(type);
 }
 
 // determine if string representation of type
@@ -95,7 +232,7 @@ function getSubArray(type) {
         return type.replace('Array<', '').replace('>', '');
     }
 
-    return type.replace('[]', '');
+    return type.slice(0, -2);
 }
 
 function isMap(type) {
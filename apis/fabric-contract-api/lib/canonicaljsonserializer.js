@@ -0,0 +1,58 @@
+/*
+# Copyright IBM Corp. All Rights Reserved.
+#
+# SPDX-License-Identifier: Apache-2.0
+*/
+
+'use strict';
+
+const JSONSerializer = require('./jsontransactionserializer.js');
+
+/*
+ * Writes parsed JSON with the keys of objects sorted, at every level, and without whitespace
+ */
+function canonicalize(json) {
+    if (Array.isArray(json)) {
+        return `[${json.map(canonicalize).join(',')}]`;
+    } else if (json !== null && typeof json === 'object') {
+        const members = Object.keys(json).sort().map((key) => `${JSON.stringify(key)}:${canonicalize(json[key])}`);
+        return `{${members.join(',')}}`;
+    }
+
+    return JSON.stringify(json);
+}
+
+/**
+ * JSON serializer that always writes the same bytes for the same data, so that peers which
+ * construct objects in different ways still produce matching endorsements.
+ *
+ * Objects and arrays are written with the keys of objects sorted, and no whitespace. Properties
+ * that are undefined are left out, numbers are written in the shortest form that reads back as
+ * the same value (so -0 is written as 0) and numbers that JSON cannot represent, such as NaN,
+ * are written as null.
+ * Values are converted back in the same way as the {@link fabric-contract-api.JSONSerializer}.
+ *
+ * To use it for transactions, export the following from the chaincode module
+ *
+ * @example
+ * module.exports.serializers = {
+ *     transaction: 'canonicalJsonSerializer'
+ * };
+ *
+ * @memberof fabric-contract-api
+ */
+class CanonicalJSONSerializer extends JSONSerializer {
+
+    /**
+     * Converts a plain object or array to its canonical JSON string
+     *
+     * @param {Object} value plain object or array
+     * @return {String} the JSON
+     */
+    _stringify (value) {
+        // round trip through the standard JSON first, to drop undefined properties and convert the other types
+        return canonicalize(JSON.parse(super._stringify(value)));
+    }
+}
+
+module.exports = CanonicalJSONSerializer;
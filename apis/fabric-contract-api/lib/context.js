@@ -57,6 +57,31 @@ class Context {
     setClientIdentity(clientIdentity) {
         this.clientIdentity = clientIdentity;
     }
+
+    /**
+	 * This sets the function used to emit events, which serializes the payload of the event.
+	 * MUST NOT BE CALLED FROM SMART CONTRACT CODE
+	 *
+	 * @param {Function} eventEmitter function taking the name and payload of an event
+	 */
+    setEventEmitter(eventEmitter) {
+        this.eventEmitter = eventEmitter;
+    }
+
+    /**
+	 * Emits an event from the transaction. The payload is serialized with the contract's serializer
+	 * and, if the contract has declared the event with the <code>@Event</code> annotation, is checked
+	 * against the declared type. Several events can be emitted by one transaction.
+	 *
+	 * @param {String} name name of the event
+	 * @param {Object} payload value to use as the event payload
+	 */
+    emit(name, payload) {
+        if (!this.eventEmitter) {
+            throw new Error('Events can only be emitted during a transaction');
+        }
+        this.eventEmitter(name, payload);
+    }
 }
 
 module.exports = Context;
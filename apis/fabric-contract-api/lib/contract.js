@@ -23,16 +23,53 @@ class Contract {
 
     /**
      * Constructor - supplying a name is recommended but is not mandatory.
-	 *
+     *
+     * Middleware supplied in the options is run around each of the transaction functions within this
+     * contract, after any middleware exported by the chaincode module, in the order it is given. It is
+     * called with the transactional context, a description of the transaction being invoked, and a
+     * function to call the next middleware; the description has the `contract` and `function` names,
+     * the `descriptor` of the transaction from the metadata and the parsed `parameters`, which can be
+     * replaced before calling `next`. The result returned by the middleware is used as the result of
+     * the transaction, so it can change the result returned by `next`, or not call `next` at all to skip
+     * the transaction function.
+     *
+     * If validateReturnValues is set, the values returned by the transaction functions are checked
+     * against the types declared for them, for example with the Returns decorator, and a transaction
+     * whose value does not match fails rather than returning it to the client. This takes precedence
+     * over the chaincode-wide setting, which is made by exporting `validateReturnValues: true` from
+     * the chaincode module alongside the contracts.
+     *
+     * @example
+     * constructor() {
+     *     super('org.papernet.commercialpaper', {
+     *         middleware: [async (ctx, tx, next) => {
+     *             ctx.logging.getLogger().info(`Invoking ${tx.function}`);
+     *             return next();
+     *         }]
+     *     });
+     * }
+     *
      * @param {String} name name for the logic within this contract
+     * @param {Object} [options] options for the transactions of this contract
+     * @param {Function[]} [options.middleware] async functions taking the context, the transaction description and next
+     * @param {Boolean} [options.validateReturnValues] whether to check the values returned by the transaction functions
      */
-    constructor(name) {
+    constructor(name, options = {}) {
         this.__isContract = true;
         if (typeof name === 'undefined' || name === null) {
             this.name = this.constructor.name;
         } else {
             this.name = name.trim();
         }
+
+        const middleware = options.middleware || [];
+        if (!middleware.every((m) => typeof m === 'function')) {
+            throw new Error('Middleware must be a function');
+        }
+        this.__middleware = middleware.slice();
+        if (typeof options.validateReturnValues !== 'undefined') {
+            this.__returnValuesValidated = Boolean(options.validateReturnValues);
+        }
     }
 
     /**
@@ -0,0 +1,117 @@
+/*
+# Copyright IBM Corp. All Rights Reserved.
+#
+# SPDX-License-Identifier: Apache-2.0
+*/
+
+'use strict';
+
+/**
+ * Error that a transaction function can throw to fail the transaction with a specific status code,
+ * a machine-readable code and an optional payload, rather than the generic status of 500.
+ *
+ * The status and message are returned as those of the peer response, and the payload of the
+ * response is the JSON document <code>{"code": ..., "payload": ...}</code>, so that client
+ * applications can tell the reasons a transaction failed apart without matching on the message.
+ *
+ * @example
+ * throw new ContractError('Insufficient funds', {status: 422, code: 'INSUFFICIENT_FUNDS', payload: {balance}});
+ *
+ * @memberof fabric-contract-api
+ */
+class ContractError extends Error {
+
+    /**
+     * @param {String} message description of the error
+     * @param {Object} [options] details of the error
+     * @param {Number} [options.status] status code, which must be at least 400; defaults to 500
+     * @param {String} [options.code] machine-readable code; defaults to 'CONTRACT_ERROR'
+     * @param {*} [options.payload] additional information, which must be serializable to JSON
+     */
+    constructor(message, {status = 500, code = 'CONTRACT_ERROR', payload} = {}) {
+        super(message);
+        if (!Number.isInteger(status) || status < 400) {
+            throw new Error(`ContractError status must be an integer of at least 400, not ${status}`);
+        }
+
+        this.__isContractError = true;
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.payload = payload;
+    }
+
+    /**
+     * _isContractError provides functionality to check if a passed object is a contract error. Enables
+     * checking if its a contract error for when contract-api is "required" by different modules
+     * @param {Object} obj
+     */
+    static _isContractError(obj) {
+        return obj instanceof ContractError || Boolean(obj && obj.__isContractError);
+    }
+}
+
+/**
+ * Error for when something the transaction needs, such as an asset, does not exist. Has status 404 and code 'NOT_FOUND'.
+ * @memberof fabric-contract-api
+ */
+class NotFoundError extends ContractError {
+    /**
+     * @param {String} message description of the error
+     * @param {Object} [options] the code and payload of the error
+     */
+    constructor(message, options = {}) {
+        super(message, Object.assign({code: 'NOT_FOUND'}, options, {status: 404}));
+    }
+}
+
+/**
+ * Error for when the transaction conflicts with the current state, such as creating an asset that
+ * already exists. Has status 409 and code 'CONFLICT'.
+ * @memberof fabric-contract-api
+ */
+class ConflictError extends ContractError {
+    /**
+     * @param {String} message description of the error
+     * @param {Object} [options] the code and payload of the error
+     */
+    constructor(message, options = {}) {
+        super(message, Object.assign({code: 'CONFLICT'}, options, {status: 409}));
+    }
+}
+
+/**
+ * Error for when the invoking identity is not allowed to perform the transaction. Has status 403 and code 'UNAUTHORIZED'.
+ * @memberof fabric-contract-api
+ */
+class UnauthorizedError extends ContractError {
+    /**
+     * @param {String} message description of the error
+     * @param {Object} [options] the code and payload of the error
+     */
+    constructor(message, options = {}) {
+        super(message, Object.assign({code: 'UNAUTHORIZED'}, options, {status: 403}));
+    }
+}
+
+/**
+ * Error for when the transaction arguments are not valid. Has status 400 and code 'VALIDATION'.
+ * @memberof fabric-contract-api
+ */
+class ValidationError extends ContractError {
+    /**
+     * @param {String} message description of the error
+     * @param {Object} [options] the code and payload of the error
+     */
+    constructor(message, options = {}) {
+        super(message, Object.assign({code: 'VALIDATION'}, options, {status: 400}));
+    }
+}
+
+module.exports = {
+    ContractError,
+    NotFoundError,
+    ConflictError,
+    UnauthorizedError,
+    ValidationError
+};
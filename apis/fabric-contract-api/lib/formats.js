@@ -0,0 +1,24 @@
+/*
+# Copyright IBM Corp. All Rights Reserved.
+#
+# SPDX-License-Identifier: Apache-2.0
+*/
+
+'use strict';
+
+/**
+ * The formats, beyond those that JSON schema defines, that the schemas of contract types use.
+ * Big integers are sent as strings of decimal digits, and byte arrays as base64 strings; a schema
+ * validator such as Ajv must be given these to check values of those types.
+ *
+ * @example
+ * const ajv = new Ajv({formats});
+ *
+ * @memberof fabric-contract-api
+ */
+const formats = {
+    bigint: /^-?\d+$/,
+    byte: /^[A-Za-z0-9+/]*={0,2}$/
+};
+
+module.exports = formats;
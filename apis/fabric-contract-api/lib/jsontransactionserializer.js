@@ -10,11 +10,24 @@ const Logger = require('./logger');
 const logger = Logger.getLogger('./lib/jsontransactionserializer.js');
 const {classToPlain, plainToClass} = require('class-transformer');
 
+/*
+ * JSON.stringify replacer that sends big integers as decimal strings
+ */
+function replacer(key, value) {
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    return value;
+}
+
 /**
  * Uses the standard JSON serialization methods for converting to and from JSON strings
  * (and buffers).
  *
- * Buffers are converted to the format of {type:'Buffer', data:xxxxx }
+ * Dates are converted to ISO-8601 strings and big integers to decimal strings. Buffers are converted
+ * to base64 strings where the schema gives their type as a string with the format byte, and otherwise
+ * use their toJSON(). They are converted back where the schema gives the type as a string with the format
+ * date-time, bigint or byte respectively.
  * If a object has a toJSON() method then that will be used - as this uses the stadnard
  * JSON.stringify() approach
  *
@@ -23,13 +36,25 @@ module.exports = class JSONSerializer {
 
     /** Takes the result and produces a buffer that matches this serialization format
      * @param {Object} result to be converted
+     * @param {Object} schema Fragment of JSON schema that defines its type
+     * @param {String} loggerPrefix prefix for the log messages
+     * @param {Object} components schemas of the complex types, by name, that the schema may refer to
      * @return {Buffer} container the encoded data
     */
-    toBuffer (result, schema = {}, loggerPrefix) {
+    toBuffer (result, schema = {}, loggerPrefix, components = {}) {
 
         // relay on the default algorithms, including for Buffers. Just retunring the buffer
         // is not helpful on inflation; is this a buffer in and of itself, or a buffer to inflated to JSON?
         if (!(typeof (result) === 'undefined' || result === null)) {
+            // dates and big integers are sent as strings, as are byte arrays the schema declares as such
+            if (result instanceof Date) {
+                result = result.toISOString();
+            } else if (typeof result === 'bigint') {
+                result = result.toString();
+            } else if (result instanceof Uint8Array && schema.format === 'byte') {
+                result = Buffer.from(result).toString('base64');
+            }
+
             // check that schema to see exactly how we should de-marshall this
             if (schema.type && (schema.type === 'string' || schema.type === 'number')) {
                 // ok so this is a basic primitive type, and for strings and numbers the wireprotocol is different
@@ -43,7 +68,7 @@ module.exports = class JSONSerializer {
                 return Buffer.from(result.toString());
             } else {
                 logger.debug(`${loggerPrefix} toBuffer has no schema/lacks sufficient schema to validate against`, schema);
-                const payload = JSON.stringify(classToPlain(result));
+                const payload = this._stringify(this._encodeBytes(classToPlain(result), schema, components));
                 return Buffer.from(payload);
             }
         } else {
@@ -51,6 +76,54 @@ module.exports = class JSONSerializer {
         }
     }
 
+    /**
+     * Converts a plain object or array to its JSON string
+     *
+     * @param {Object} value plain object or array
+     * @return {String} the JSON
+     */
+    _stringify (value) {
+        return JSON.stringify(value, replacer);
+    }
+
+    /**
+     * Converts the Buffers within a plain object or array that the schema gives as byte arrays
+     * to base64 strings; the inverse of the conversion of byte arrays in _convert
+     *
+     * @param {Object} value plain object or array
+     * @param {Object} schema Fragment of JSON schema that defines its type
+     * @param {Object} components schemas of the complex types, by name
+     * @return {Object} the converted value; objects and arrays are copied rather than changed
+     */
+    _encodeBytes (value, schema = {}, components) {
+        if (value === null || typeof value === 'undefined') {
+            return value;
+        }
+
+        if (schema.$ref) {
+            return this._encodeBytes(value, components[schema.$ref.split(/\//).pop()], components);
+        } else if (schema.allOf) {
+            return schema.allOf.reduce((v, subschema) => this._encodeBytes(v, subschema, components), value);
+        } else if (value instanceof Uint8Array) {
+            return schema.format === 'byte' ? Buffer.from(value).toString('base64') : value;
+        } else if (Array.isArray(value)) {
+            return value.map((v) => this._encodeBytes(v, schema.items, components));
+        } else if (typeof value === 'object') {
+            const properties = schema.properties || {};
+            const additional = typeof schema.additionalProperties === 'object' ? schema.additionalProperties : undefined;
+            const result = Object.assign({}, value);
+            for (const name of Object.keys(result)) {
+                const propertySchema = properties[name] || additional;
+                if (propertySchema) {
+                    result[name] = this._encodeBytes(result[name], propertySchema, components);
+                }
+            }
+            return result;
+        }
+
+        return value;
+    }
+
     /**
      * Inflates the data to the object or other type
      *
@@ -77,7 +150,16 @@ module.exports = class JSONSerializer {
         return this._fromString(stringData, fullschema, loggerPrefix);
     }
 
-    _fromString (stringData, fullschema, loggerPrefix) {
+    /**
+     * Inflates the string form of the data to the type that the schema gives
+     *
+     * @param {String} stringData the data
+     * @param {Object} fullschema schema of the data as the prop property, with the components it may refer to
+     * @param {String} loggerPrefix prefix for the log messages
+     * @param {Boolean} [strict] whether to throw, rather than fall back to a string, if the data is not JSON
+     * @return {Object} the value, and the JSON form of it to validate against the schema
+     */
+    _fromString (stringData, fullschema, loggerPrefix, strict = false) {
         let value;
         let jsonForValidation;
         let schema = fullschema.properties.prop;
@@ -88,10 +170,21 @@ module.exports = class JSONSerializer {
             // set this as required
             const type = schema.$ref.split(/\//).pop();
             schema = fullschema.components.schemas[type];
-            schema.type = 'object';
+            // enums have their own type, but the type of other components is implied
+            if (!schema.type) {
+                schema.type = 'object';
+            }
             logger.debug(`${loggerPrefix} tweaked schema to be ${schema}`);
         }
 
+        // a union is read as the first of its types that the data can be read as
+        if (schema.anyOf) {
+            const result = this._fromStringAnyOf(stringData, schema.anyOf, fullschema.components, loggerPrefix);
+            if (result) {
+                return result;
+            }
+        }
+
         // now can proceed to do the required conversion
         if (schema.type) {
             if (schema.type === 'string') {
@@ -100,6 +193,10 @@ module.exports = class JSONSerializer {
                 value = stringData;
                 jsonForValidation = JSON.stringify(value);
 
+                if (schema.format) {
+                    // dates, big integers and byte arrays are validated in their string form
+                    return {value: this._convert(value, schema), jsonForValidation, validateData: stringData};
+                }
                 return {value, jsonForValidation};
             } else if (schema.type === 'number') {
                 logger.debug(`${loggerPrefix} fromBuffer handling data as number`);
@@ -126,6 +223,11 @@ module.exports = class JSONSerializer {
                 }
                 jsonForValidation = value;
                 return {value, jsonForValidation};
+            } else if (schema.type === 'null') {
+                if (stringData.trim() !== 'null') {
+                    throw new Error('fromBuffer could not convert data to null');
+                }
+                return {value: null, jsonForValidation: null};
             } else if (schema.type === 'object') {
                 logger.debug(`${loggerPrefix} fromBuffer assuming data as object`);
                 // so this implies we have some json that should be formed up as an object
@@ -134,8 +236,8 @@ module.exports = class JSONSerializer {
                 if (cnstr) {
                     logger.debug(`${loggerPrefix} fromBuffer handling data as object`);
                     jsonForValidation = JSON.parse(stringData);
-                    value = plainToClass(cnstr, jsonForValidation);
-                    return {value, jsonForValidation};
+                    value = plainToClass(cnstr, this._convert(jsonForValidation, schema, fullschema.components.schemas));
+                    return {value, jsonForValidation, validateData: jsonForValidation};
                 }
                 logger.debug(`${loggerPrefix} no known constructor`);
             } else if (schema.type === 'array') {
@@ -151,15 +253,16 @@ module.exports = class JSONSerializer {
                         components: fullschema.components
                     };
 
-                    return (this._fromString(JSON.stringify(v), _schema, loggerPrefix)).value;
+                    // strings are sent without quotes, so must be passed on in the same way
+                    return (this._fromString(typeof v === 'string' ? v : JSON.stringify(v), _schema, loggerPrefix)).value;
                 });
-                return {value, jsonForValidation};
+                return {value, jsonForValidation, validateData: jsonForValidation};
             }
         }
 
         try {
             jsonForValidation = JSON.parse(stringData);
-            if (jsonForValidation.type && jsonForValidation.type === 'Buffer') {
+            if (jsonForValidation && jsonForValidation.type && jsonForValidation.type === 'Buffer') {
                 logger.debug(`${loggerPrefix} fromBuffer handling data as buffer`);
                 value = Buffer.from(jsonForValidation.data);
             } else {
@@ -167,6 +270,9 @@ module.exports = class JSONSerializer {
                 value = jsonForValidation;
             }
         } catch (err) {
+            if (strict) {
+                throw err;
+            }
             logger.error('fromBuffer could not parse data as JSON to allow it to be converted to type: ' + JSON.stringify(schema.type), stringData, err);
             logger.error('Converting data to string and JSON.stringify-ing');
             value = stringData;
@@ -176,4 +282,79 @@ module.exports = class JSONSerializer {
         return {value, jsonForValidation};
     }
 
+    /**
+     * Inflates the string form of the data to the first of the types of a union that it can be read as.
+     * Strings are sent without quotes, so any data can be read as one, and those types are tried last
+     *
+     * @param {String} stringData the data
+     * @param {Object[]} schemas schemas of the types in the union
+     * @param {Object} components the components the schemas may refer to
+     * @param {String} loggerPrefix prefix for the log messages
+     * @return {Object} as for _fromString, or undefined if the data cannot be read as any of the types
+     */
+    _fromStringAnyOf (stringData, schemas, components, loggerPrefix) {
+        const isString = (schema) => {
+            return (schema.$ref ? components.schemas[schema.$ref.split(/\//).pop()] : schema).type === 'string';
+        };
+        const ordered = schemas.filter((schema) => !isString(schema)).concat(schemas.filter(isString));
+
+        for (const schema of ordered) {
+            try {
+                return this._fromString(stringData, {properties: {prop: schema}, components}, loggerPrefix, true);
+            } catch (err) {
+                logger.debug(`${loggerPrefix} fromBuffer could not handle data as ${JSON.stringify(schema)}`, err.message);
+            }
+        }
+    }
+
+    /**
+     * Converts the strings within parsed JSON that the schema gives as dates, big integers or
+     * byte arrays to Date, BigInt and Buffer values
+     *
+     * @param {Object} json parsed JSON
+     * @param {Object} schema Fragment of JSON schema that defines its type
+     * @param {Object} components schemas of the complex types, by name
+     * @return {Object} the converted value; objects and arrays are copied rather than changed
+     */
+    _convert (json, schema = {}, components = {}) {
+        if (json === null || typeof json === 'undefined') {
+            return json;
+        }
+
+        if (schema.$ref) {
+            return this._convert(json, components[schema.$ref.split(/\//).pop()], components);
+        } else if (schema.allOf) {
+            return schema.allOf.reduce((value, subschema) => this._convert(value, subschema, components), json);
+        } else if (typeof json === 'string') {
+            switch (schema.format) {
+                case 'date-time':
+                    return new Date(json);
+                case 'bigint':
+                    // anything that is not an integer is left to fail validation
+                    return /^-?\d+$/.test(json) ? BigInt(json) : json;
+                case 'byte':
+                    return Buffer.from(json, 'base64');
+                default:
+                    return json;
+            }
+        } else if (Array.isArray(json)) {
+            return json.map((v) => this._convert(v, schema.items, components));
+        } else if (typeof json === 'object') {
+            // only the properties the schema describes are converted, as subclasses are handled
+            // in several passes
+            const properties = schema.properties || {};
+            const additional = typeof schema.additionalProperties === 'object' ? schema.additionalProperties : undefined;
+            const value = Object.assign({}, json);
+            for (const name of Object.keys(value)) {
+                const propertySchema = properties[name] || additional;
+                if (propertySchema) {
+                    value[name] = this._convert(value[name], propertySchema, components);
+                }
+            }
+            return value;
+        }
+
+        return json;
+    }
+
 };
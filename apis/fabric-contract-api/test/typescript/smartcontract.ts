@@ -58,6 +58,7 @@ export default class TestContractOne extends Contract {
 		// test that the context super class properties are available
 		const stubApi: ChaincodeStub = ctx.stub;
 		const clientIdentity: ClientIdentity = ctx.clientIdentity;
+		ctx.emit('TransactionEvent', 'some payload');
 
 		// test that the name returns a string
 		const ns: string = this.getName();
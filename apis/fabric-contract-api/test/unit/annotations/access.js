@@ -0,0 +1,123 @@
+/*
+ * Copyright IBM Corp. All Rights Reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/* global describe it beforeEach afterEach  */
+'use strict';
+
+const sinon = require('sinon');
+const rewire = require('rewire');
+
+const AccessAnnotations = rewire('./../../../lib/annotations/access');
+const RequireMSP = AccessAnnotations.RequireMSP;
+const RequireRole = AccessAnnotations.RequireRole;
+const RequireAttribute = AccessAnnotations.RequireAttribute;
+require('reflect-metadata');
+
+describe('Access.js', () => {
+
+    const mockTarget = {
+        mockKey: 'something'
+    };
+
+    let sandbox;
+    let getMetadataStub;
+    let defineMetadataStub;
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        getMetadataStub = sandbox.stub(Reflect, 'getMetadata');
+        defineMetadataStub = sandbox.stub(Reflect, 'defineMetadata');
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    describe('RequireMSP', () => {
+
+        it ('should add the rule when there are no existing transactions', () => {
+            getMetadataStub.returns(undefined);
+
+            RequireMSP('Org1MSP', 'Org2MSP')(mockTarget, 'mockKey');
+
+            sinon.assert.calledOnce(getMetadataStub);
+            sinon.assert.calledWith(getMetadataStub, 'fabric:transactions', mockTarget);
+            sinon.assert.calledOnce(defineMetadataStub);
+            sinon.assert.calledWith(defineMetadataStub, 'fabric:transactions', [{
+                name: 'mockKey',
+                access: {mspIds: ['Org1MSP', 'Org2MSP']}
+            }], mockTarget);
+        });
+
+        it ('should keep the other rules of an existing transaction', () => {
+            getMetadataStub.returns([{
+                name: 'mockKey',
+                tag: ['SUBMIT', 'submitTx'],
+                access: {roles: ['admin']}
+            }]);
+
+            RequireMSP('Org1MSP')(mockTarget, 'mockKey');
+
+            sinon.assert.calledWith(defineMetadataStub, 'fabric:transactions', [{
+                name: 'mockKey',
+                tag: ['SUBMIT', 'submitTx'],
+                access: {roles: ['admin'], mspIds: ['Org1MSP']}
+            }], mockTarget);
+        });
+    });
+
+    describe('RequireRole', () => {
+
+        it ('should add the rule to the transaction', () => {
+            getMetadataStub.returns([{name: 'mockKey'}]);
+
+            RequireRole('admin', 'client')(mockTarget, 'mockKey');
+
+            sinon.assert.calledWith(defineMetadataStub, 'fabric:transactions', [{
+                name: 'mockKey',
+                access: {roles: ['admin', 'client']}
+            }], mockTarget);
+        });
+    });
+
+    describe('RequireAttribute', () => {
+
+        it ('should add an attribute with a value', () => {
+            getMetadataStub.returns(undefined);
+
+            RequireAttribute('department', 'finance')(mockTarget, 'mockKey');
+
+            sinon.assert.calledWith(defineMetadataStub, 'fabric:transactions', [{
+                name: 'mockKey',
+                access: {attributes: [{name: 'department', value: 'finance'}]}
+            }], mockTarget);
+        });
+
+        it ('should add an attribute without a value', () => {
+            getMetadataStub.returns(undefined);
+
+            RequireAttribute('auditor')(mockTarget, 'mockKey');
+
+            sinon.assert.calledWith(defineMetadataStub, 'fabric:transactions', [{
+                name: 'mockKey',
+                access: {attributes: [{name: 'auditor'}]}
+            }], mockTarget);
+        });
+
+        it ('should add to the existing attributes, replacing one of the same name', () => {
+            getMetadataStub.returns([{
+                name: 'mockKey',
+                access: {attributes: [{name: 'department', value: 'finance'}, {name: 'auditor'}]}
+            }]);
+
+            RequireAttribute('department', 'sales')(mockTarget, 'mockKey');
+
+            sinon.assert.calledWith(defineMetadataStub, 'fabric:transactions', [{
+                name: 'mockKey',
+                access: {attributes: [{name: 'auditor'}, {name: 'department', value: 'sales'}]}
+            }], mockTarget);
+        });
+    });
+});
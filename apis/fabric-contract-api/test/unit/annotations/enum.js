@@ -0,0 +1,101 @@
+/*
+ * Copyright IBM Corp. All Rights Reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/* global describe it beforeEach afterEach  */
+'use strict';
+
+const sinon = require('sinon');
+const rewire = require('rewire');
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const EnumAnnotations = rewire('./../../../lib/annotations/enum');
+const Enum = EnumAnnotations.Enum;
+require('reflect-metadata');
+
+describe('Enum.js', () => {
+
+    let sandbox;
+    let getMetadataStub;
+    let defineMetadataStub;
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        getMetadataStub = sandbox.stub(Reflect, 'getMetadata');
+        defineMetadataStub = sandbox.stub(Reflect, 'defineMetadata');
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    describe('Enum', () => {
+
+        it ('should register a string enum when no objects exist', () => {
+            getMetadataStub.returns(undefined);
+
+            // as compiled from: enum Status { OPEN = 'OPEN', CLOSED = 'CLOSED' }
+            const Status = {OPEN: 'OPEN', CLOSED: 'CLOSED'};
+            Enum('Status', Status);
+
+            sinon.assert.calledOnce(getMetadataStub);
+            sinon.assert.calledWith(getMetadataStub, 'fabric:objects', global);
+            sinon.assert.calledOnce(defineMetadataStub);
+            sinon.assert.calledWith(defineMetadataStub, 'fabric:objects', {
+                Status: {
+                    $id: 'Status',
+                    type: 'string',
+                    enum: ['OPEN', 'CLOSED']
+                }
+            }, global);
+        });
+
+        it ('should register a numeric enum without its reverse mappings', () => {
+            getMetadataStub.returns({Asset: {$id: 'Asset'}});
+
+            // as compiled from: enum Priority { LOW, HIGH = 5 }
+            const Priority = {};
+            Priority[Priority.LOW = 0] = 'LOW';
+            Priority[Priority.HIGH = 5] = 'HIGH';
+            Enum('Priority', Priority);
+
+            sinon.assert.calledWith(defineMetadataStub, 'fabric:objects', {
+                Asset: {$id: 'Asset'},
+                Priority: {
+                    $id: 'Priority',
+                    type: 'number',
+                    enum: [0, 5]
+                }
+            }, global);
+        });
+
+        it ('should register an enum from an array of values', () => {
+            getMetadataStub.returns(undefined);
+
+            Enum('Colour', ['red', 'green']);
+
+            sinon.assert.calledWith(defineMetadataStub, 'fabric:objects', {
+                Colour: {
+                    $id: 'Colour',
+                    type: 'string',
+                    enum: ['red', 'green']
+                }
+            }, global);
+        });
+
+        it ('should throw an error for an enum with no values', () => {
+            expect(() => Enum('Empty', {})).to.throw(/^Enum Empty must have at least one value$/);
+            expect(() => Enum('Empty')).to.throw(/^Enum Empty must have at least one value$/);
+            sinon.assert.notCalled(defineMetadataStub);
+        });
+
+        it ('should throw an error for an enum with values of mixed or unsupported types', () => {
+            expect(() => Enum('Mixed', ['a', 1])).to.throw(/^Enum Mixed must have only string or only number values$/);
+            expect(() => Enum('Flags', [true, false])).to.throw(/^Enum Flags must have only string or only number values$/);
+            sinon.assert.notCalled(defineMetadataStub);
+        });
+    });
+});
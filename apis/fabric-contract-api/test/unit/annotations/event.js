@@ -0,0 +1,93 @@
+/*
+ * Copyright IBM Corp. All Rights Reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/* global describe it beforeEach afterEach  */
+'use strict';
+
+const sinon = require('sinon');
+const rewire = require('rewire');
+
+const EventAnnotations = rewire('./../../../lib/annotations/event');
+const Event = EventAnnotations.Event;
+const utils = require('../../../lib/annotations/utils');
+require('reflect-metadata');
+
+describe('Event.js', () => {
+
+    class MockContract {}
+    class MockAsset {}
+
+    let sandbox;
+    let generateSchemaStub;
+    let getMetadataStub;
+    let defineMetadataStub;
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        generateSchemaStub = sandbox.stub(utils, 'generateSchema').returns('some new schema');
+        getMetadataStub = sandbox.stub(Reflect, 'getMetadata');
+        defineMetadataStub = sandbox.stub(Reflect, 'defineMetadata');
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    describe('Event', () => {
+
+        it ('should add the event to the contract when used on a class', () => {
+            getMetadataStub.returns(undefined);
+
+            Event('AssetCreated', 'MockAsset')(MockContract);
+
+            sinon.assert.calledOnce(getMetadataStub);
+            sinon.assert.calledWith(getMetadataStub, 'fabric:events', MockContract.prototype);
+            sinon.assert.calledOnce(generateSchemaStub);
+            sinon.assert.calledWith(generateSchemaStub, 'MockAsset');
+            sinon.assert.calledOnce(defineMetadataStub);
+            sinon.assert.calledWith(defineMetadataStub, 'fabric:events', [{
+                name: 'AssetCreated',
+                schema: 'some new schema'
+            }], MockContract.prototype);
+        });
+
+        it ('should add the event to the contract when used on a method', () => {
+            getMetadataStub.returns([{name: 'AssetDeleted'}]);
+
+            Event('AssetCreated', MockAsset)(MockContract.prototype, 'createAsset');
+
+            sinon.assert.calledWith(getMetadataStub, 'fabric:events', MockContract.prototype);
+            sinon.assert.calledWith(generateSchemaStub, 'MockAsset');
+            sinon.assert.calledWith(defineMetadataStub, 'fabric:events', [{
+                name: 'AssetDeleted'
+            }, {
+                name: 'AssetCreated',
+                schema: 'some new schema'
+            }], MockContract.prototype);
+        });
+
+        it ('should replace an event of the same name', () => {
+            getMetadataStub.returns([{name: 'AssetCreated', schema: 'some old schema'}]);
+
+            Event('AssetCreated', 'MockAsset')(MockContract);
+
+            sinon.assert.calledWith(defineMetadataStub, 'fabric:events', [{
+                name: 'AssetCreated',
+                schema: 'some new schema'
+            }], MockContract.prototype);
+        });
+
+        it ('should add an event without a payload type', () => {
+            getMetadataStub.returns(undefined);
+
+            Event('AssetCreated')(MockContract);
+
+            sinon.assert.notCalled(generateSchemaStub);
+            sinon.assert.calledWith(defineMetadataStub, 'fabric:events', [{
+                name: 'AssetCreated'
+            }], MockContract.prototype);
+        });
+    });
+});
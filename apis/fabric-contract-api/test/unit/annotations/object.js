@@ -92,6 +92,45 @@ describe('Object.js', () => {
             );
         });
 
+        it('should add the required properties of an object with a supertype', () => {
+            getMetadataStub
+                .onFirstCall().returns(undefined)
+                .onSecondCall().returns({'some': 'properties'});
+            getOwnMetadataStub.returns(['some']);
+
+            object(SubAsset);
+
+            sinon.assert.calledWith(getOwnMetadataStub, 'fabric:object-required', SubAsset.prototype);
+            sinon.assert.calledWith(defineMetadataStub, 'fabric:objects', {
+                SubAsset:{
+                    $id: 'SubAsset',
+                    allOf: [{properties: {some: 'properties'}, type: 'object', required: ['some']}, {$ref: 'SuperAsset'}],
+                    cnstr: SubAsset
+                }
+            }, sinon.match.any
+            );
+        });
+
+        it('should add the required properties of an object with no supertype', () => {
+            getMetadataStub
+                .onFirstCall().returns(undefined)
+                .onSecondCall().returns({'some': 'properties'});
+            getOwnMetadataStub.returns(['some']);
+
+            object(SuperAsset);
+
+            sinon.assert.calledWith(defineMetadataStub, 'fabric:objects', {
+                SuperAsset:{
+                    $id: 'SuperAsset',
+                    type: 'object',
+                    properties: {some: 'properties'},
+                    required: ['some'],
+                    cnstr: SuperAsset
+                }
+            }, sinon.match.any
+            );
+        });
+
         it('should add object with no supertype', () => {
             getMetadataStub
                 .onFirstCall().returns(undefined)
@@ -179,5 +218,53 @@ describe('Object.js', () => {
             }, mockTarget
             );
         });
+
+        it('should add the constraints to the schema of the property', () => {
+            getOwnMetadataStub.returns(undefined);
+
+            Property('some name', 'number', {minimum: 0, maximum: 10})(mockTarget, 'some key');
+
+            sinon.assert.calledWith(defineMetadataStub, 'fabric:object-properties', {
+                'some name': {
+                    type: 'number',
+                    minimum: 0,
+                    maximum: 10
+                }
+            }, mockTarget);
+            sinon.assert.calledOnce(defineMetadataStub);
+        });
+
+        it('should accept the options in place of the name and type, and record a required property', () => {
+            getOwnMetadataStub
+                .withArgs('fabric:object-properties').returns(undefined)
+                .withArgs('fabric:object-required').returns(['other key']);
+            getMetadataStub
+                .onFirstCall().returns(String);
+
+            Property({required: true, pattern: /^[a-z]+$/})(mockTarget, 'some key');
+
+            sinon.assert.calledWith(getMetadataStub, 'design:type', mockTarget, 'some key');
+            sinon.assert.calledWith(defineMetadataStub, 'fabric:object-properties', {
+                'some key': {
+                    type: 'string',
+                    pattern: '^[a-z]+$'
+                }
+            }, mockTarget);
+            sinon.assert.calledWith(defineMetadataStub, 'fabric:object-required', ['other key', 'some key'], mockTarget);
+        });
+
+        it('should record a required property once', () => {
+            getOwnMetadataStub
+                .withArgs('fabric:object-properties').returns(undefined)
+                .withArgs('fabric:object-required').returns(undefined);
+
+            Property('some name', 'string', {required: true})(mockTarget, 'some key');
+            getOwnMetadataStub.withArgs('fabric:object-required').returns(['some name']);
+            Property('some name', 'string', {required: true})(mockTarget, 'some key');
+
+            sinon.assert.calledWith(defineMetadataStub.firstCall, 'fabric:object-properties');
+            sinon.assert.calledWith(defineMetadataStub.secondCall, 'fabric:object-required', ['some name'], mockTarget);
+            sinon.assert.calledWith(defineMetadataStub.getCall(3), 'fabric:object-required', ['some name'], mockTarget);
+        });
     });
 });
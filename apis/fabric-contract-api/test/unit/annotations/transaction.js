@@ -47,6 +47,62 @@ describe('Transaction.js', () => {
         sandbox.restore();
     });
 
+    describe('getParams', () => {
+        const getParams = TransactionAnnotations.__get__('getParams');
+
+        it ('should return the names of the parameters', () => {
+            class Contract {
+                async someFn(ctx, param1, ...rest) {
+                    return {ctx, param1, rest};
+                }
+            }
+            expect(getParams(Contract.prototype.someFn)).to.deep.equal([
+                {name: 'ctx', optional: false},
+                {name: 'param1', optional: false},
+                {name: '...rest', optional: false}
+            ]);
+            expect(getParams(function () {})).to.deep.equal([]);
+        });
+
+        it ('should mark parameters with default values as optional', () => {
+            class Contract {
+                someFn(ctx, a = 'it\'s', b = "it's", c = `it's ${'('}`, d = a => a + 1, e = {f: [1, (2)]}, g) {
+                    return {ctx, a, b, c, d, e, g};
+                }
+            }
+            expect(getParams(Contract.prototype.someFn)).to.deep.equal([
+                {name: 'ctx', optional: false},
+                {name: 'a', optional: true},
+                {name: 'b', optional: true},
+                {name: 'c', optional: true},
+                {name: 'd', optional: true},
+                {name: 'e', optional: true},
+                {name: 'g', optional: false}
+            ]);
+        });
+
+        it ('should ignore comments and trailing commas', () => {
+            class Contract {
+                someFn(
+                    ctx, // the context, with a )
+                    /* the first, = */ a = ')', /* the second */ b,
+                ) {
+                    return {ctx, a, b};
+                }
+            }
+            expect(getParams(Contract.prototype.someFn)).to.deep.equal([
+                {name: 'ctx', optional: false},
+                {name: 'a', optional: true},
+                {name: 'b', optional: false}
+            ]);
+        });
+
+        it ('should stop at the end of source that is not complete', () => {
+            expect(getParams({toString: () => '(a, // comment'})).to.deep.equal([{name: 'a', optional: false}]);
+            expect(getParams({toString: () => '(a, /* comment'})).to.deep.equal([{name: 'a', optional: false}]);
+        });
+    });
+
     describe('Transaction', () => {
         let origGetParams;
 
@@ -78,7 +134,7 @@ describe('Transaction.js', () => {
             ]);
 
             TransactionAnnotations.__set__('getParams', () => {
-                return ['ctx', 'param1', 'ctx2', 'param2', 'ctx3'];
+                return [{name: 'ctx'}, {name: 'param1'}, {name: 'ctx2'}, {name: 'param2'}, {name: 'ctx3'}];
             });
 
             transaction(mockTarget, 'mockKey');
@@ -122,7 +178,7 @@ describe('Transaction.js', () => {
             ]);
 
             TransactionAnnotations.__set__('getParams', () => {
-                return ['ctx', 'param1'];
+                return [{name: 'ctx'}, {name: 'param1'}];
             });
 
             (() => {
@@ -130,6 +186,38 @@ describe('Transaction.js', () => {
             }).should.throw(/Type not properly specified for parameter .*?, can not process pure Object types/);
 
         });
+        it ('should not error for an Object type when the type of the parameter has been declared', () => {
+            const transactions = [{
+                name: 'mockKey',
+                parameters: [{
+                    name: 'param1',
+                    description: '',
+                    schema: {anyOf: [{type: 'string'}, {type: 'number'}]}
+                }]
+            }];
+
+            sandbox.stub(Reflect, 'getMetadata').onFirstCall().returns(transactions).onSecondCall().returns([
+                MockContext,
+                'Object'
+            ]);
+
+            TransactionAnnotations.__set__('getParams', () => {
+                return [{name: 'ctx'}, {name: 'param1'}];
+            });
+
+            transaction(mockTarget, 'mockKey');
+
+            sinon.assert.calledWith(defineMetadataStub, 'fabric:transactions', [{
+                name: 'mockKey',
+                tag: ['SUBMIT', 'submitTx'],
+                parameters: [{
+                    name: 'param1',
+                    description: '',
+                    schema: {anyOf: [{type: 'string'}, {type: 'number'}]}
+                }]
+            }], mockTarget);
+        });
+
         it ('should handle existing transactions of which matches name and already has param metadata', () => {
             const transactions = [{
                 name: 'mockKey',
@@ -162,7 +250,7 @@ describe('Transaction.js', () => {
                 .onFirstCall().returns(transactions[0]);
 
             TransactionAnnotations.__set__('getParams', () => {
-                return ['ctx', 'param1', 'ctx2', 'param2', 'ctx3'];
+                return [{name: 'ctx'}, {name: 'param1'}, {name: 'ctx2'}, {name: 'param2'}, {name: 'ctx3'}];
             });
 
             transaction(mockTarget, 'mockKey');
@@ -224,6 +312,57 @@ describe('Transaction.js', () => {
             }], mockTarget);
         });
 
+        it ('should mark parameters with default values as optional', () => {
+            sandbox.stub(Reflect, 'getMetadata').onFirstCall().returns(undefined).onSecondCall().returns([
+                MockContext,
+                'some type',
+                'some type',
+                'some type',
+                'some type'
+            ]);
+
+            TransactionAnnotations.__set__('getParams', () => {
+                return [
+                    {name: 'ctx', optional: false},
+                    {name: 'param1', optional: false},
+                    {name: 'param2', optional: true},
+                    {name: 'param3', optional: true},
+                    {name: 'param4', optional: false}
+                ];
+            });
+
+            transaction(mockTarget, 'mockKey');
+
+            sinon.assert.calledWith(defineMetadataStub, 'fabric:transactions', [{
+                name: 'mockKey',
+                tag: ['SUBMIT', 'submitTx'],
+                parameters: [
+                    {
+                        name: 'param1',
+                        description: '',
+                        schema: 'some new schema'
+                    },
+                    {
+                        name: 'param2',
+                        description: '',
+                        required: false,
+                        schema: 'some new schema'
+                    },
+                    {
+                        name: 'param3',
+                        description: '',
+                        required: false,
+                        schema: 'some new schema'
+                    },
+                    {
+                        name: 'param4',
+                        description: '',
+                        schema: 'some new schema'
+                    }
+                ]
+            }], mockTarget);
+        });
+
         it ('should not add a tag if commit is false', () => {
             transaction = Transaction(false);
 
@@ -482,5 +621,100 @@ describe('Transaction.js', () => {
                 }]
             }], mockTarget);
         });
+
+        it ('should mark the parameter as optional', () => {
+            sandbox.stub(Reflect, 'getMetadata').returns(undefined);
+
+            param = Param('some param', 'some type', 'some description', {optional: true});
+            param(mockTarget, 'mockKey');
+
+            sinon.assert.calledWithExactly(defineMetadataStub, 'fabric:transactions', [{
+                name: 'mockKey',
+                parameters: [{
+                    name: 'some param',
+                    description: 'some description',
+                    schema: 'some new schema',
+                    required: false
+                }]
+            }], mockTarget);
+        });
+
+        it ('should record the default value of the parameter and mark it as optional', () => {
+            sandbox.stub(Reflect, 'getMetadata').returns(undefined);
+            generateSchemaStub.returns({type: 'number'});
+
+            param = Param('some param', 'number', 'some description', {default: 10});
+            param(mockTarget, 'mockKey');
+
+            sinon.assert.calledWithExactly(defineMetadataStub, 'fabric:transactions', [{
+                name: 'mockKey',
+                parameters: [{
+                    name: 'some param',
+                    description: 'some description',
+                    schema: {type: 'number', default: 10},
+                    required: false
+                }]
+            }], mockTarget);
+        });
+
+        it ('should accept the options in place of the description', () => {
+            sandbox.stub(Reflect, 'getMetadata').returns(undefined);
+            generateSchemaStub.returns({type: 'string'});
+
+            param = Param('some param', 'string', {default: 'penfold'});
+            param(mockTarget, 'mockKey');
+
+            sinon.assert.calledWithExactly(defineMetadataStub, 'fabric:transactions', [{
+                name: 'mockKey',
+                parameters: [{
+                    name: 'some param',
+                    description: '',
+                    schema: {type: 'string', default: 'penfold'},
+                    required: false
+                }]
+            }], mockTarget);
+        });
+
+        it ('should add the constraints to the schema of the parameter', () => {
+            sandbox.stub(Reflect, 'getMetadata').returns(undefined);
+            generateSchemaStub.returns({type: 'string'});
+
+            param = Param('some param', 'string', 'some description', {minLength: 3, pattern: '^[A-Z]+$', required: false});
+            param(mockTarget, 'mockKey');
+
+            sinon.assert.calledWithExactly(defineMetadataStub, 'fabric:transactions', [{
+                name: 'mockKey',
+                parameters: [{
+                    name: 'some param',
+                    description: 'some description',
+                    schema: {type: 'string', minLength: 3, pattern: '^[A-Z]+$'},
+                    required: false
+                }]
+            }], mockTarget);
+        });
+
+        it ('should mark an existing parameter as optional', () => {
+            const transactions = [{
+                name: 'mockKey',
+                parameters: [{
+                    name: 'some param',
+                    schema: 'some existing schema'
+                }]
+            }];
+            sandbox.stub(Reflect, 'getMetadata').returns(transactions);
+
+            param = Param('some param', 'some type', 'some description', {optional: true});
+            param(mockTarget, 'mockKey');
+
+            expect(transactions).to.deep.equal([{
+                name: 'mockKey',
+                parameters: [{
+                    name: 'some param',
+                    description: 'some description',
+                    schema: 'some new schema',
+                    required: false
+                }]
+            }]);
+        });
     });
 });
@@ -187,5 +187,144 @@ describe('utils', () => {
                 }
             });
         });
+
+        it ('should return strings with a format for dates, big integers and byte arrays', () => {
+            expect(utils.generateSchema('Date')).to.deep.equal({type: 'string', format: 'date-time'});
+            expect(utils.generateSchema('bigint')).to.deep.equal({type: 'string', format: 'bigint'});
+            expect(utils.generateSchema('BigInt')).to.deep.equal({type: 'string', format: 'bigint'});
+            expect(utils.generateSchema('Buffer')).to.deep.equal({type: 'string', format: 'byte'});
+            expect(utils.generateSchema('Uint8Array')).to.deep.equal({type: 'string', format: 'byte'});
+            expect(utils.generateSchema('Date[]')).to.deep.equal({
+                type: 'array',
+                items: {type: 'string', format: 'date-time'}
+            });
+        });
+    });
+
+    describe('generateSchema with literals and unions', () => {
+
+        it ('should return an enum for a literal', () => {
+            expect(utils.generateSchema('\'OPEN\'')).to.deep.equal({type: 'string', enum: ['OPEN']});
+            expect(utils.generateSchema('"OPEN"')).to.deep.equal({type: 'string', enum: ['OPEN']});
+            expect(utils.generateSchema('-1.5')).to.deep.equal({type: 'number', enum: [-1.5]});
+            expect(utils.generateSchema('true')).to.deep.equal({type: 'boolean', enum: [true]});
+            expect(utils.generateSchema('false')).to.deep.equal({type: 'boolean', enum: [false]});
+        });
+
+        it ('should return the null type', () => {
+            expect(utils.generateSchema('null')).to.deep.equal({type: 'null'});
+        });
+
+        it ('should return an enum for a union of literals of the same type', () => {
+            expect(utils.generateSchema('\'OPEN\' | \'CLOSED\'')).to.deep.equal({type: 'string', enum: ['OPEN', 'CLOSED']});
+            expect(utils.generateSchema('1|2|3')).to.deep.equal({type: 'number', enum: [1, 2, 3]});
+        });
+
+        it ('should not split a union within a literal', () => {
+            expect(utils.generateSchema('\'a|b\' | "c|d"')).to.deep.equal({type: 'string', enum: ['a|b', 'c|d']});
+        });
+
+        it ('should return anyOf for other unions', () => {
+            expect(utils.generateSchema('string | number')).to.deep.equal({
+                anyOf: [{type: 'string'}, {type: 'number'}]
+            });
+            expect(utils.generateSchema('Duck | null')).to.deep.equal({
+                anyOf: [{$ref: '#/components/schemas/Duck'}, {type: 'null'}]
+            });
+            expect(utils.generateSchema('\'OPEN\' | 1')).to.deep.equal({
+                anyOf: [{type: 'string', enum: ['OPEN']}, {type: 'number', enum: [1]}]
+            });
+            expect(utils.generateSchema('Duck | string', false)).to.deep.equal({
+                anyOf: [{$ref: 'Duck'}, {type: 'string'}]
+            });
+        });
+
+        it ('should handle unions within arrays and maps', () => {
+            expect(utils.generateSchema('Array<\'OPEN\' | \'CLOSED\'>')).to.deep.equal({
+                type: 'array',
+                items: {type: 'string', enum: ['OPEN', 'CLOSED']}
+            });
+            expect(utils.generateSchema('Map<string, number | string>')).to.deep.equal({
+                type: 'object',
+                additionalProperties: {anyOf: [{type: 'number'}, {type: 'string'}]}
+            });
+            expect(utils.generateSchema('Duck[] | Map<string, Duck>')).to.deep.equal({
+                anyOf: [{
+                    type: 'array',
+                    items: {$ref: '#/components/schemas/Duck'}
+                }, {
+                    type: 'object',
+                    additionalProperties: {$ref: '#/components/schemas/Duck'}
+                }]
+            });
+        });
+
+        it ('should handle parenthesised unions', () => {
+            expect(utils.generateSchema('(\'A\' | \'B\')')).to.deep.equal({type: 'string', enum: ['A', 'B']});
+            expect(utils.generateSchema('(\'A\'|\'B\')[]')).to.deep.equal({
+                type: 'array',
+                items: {type: 'string', enum: ['A', 'B']}
+            });
+            expect(utils.generateSchema('(string | Duck)[][]')).to.deep.equal({
+                type: 'array',
+                items: {
+                    type: 'array',
+                    items: {anyOf: [{type: 'string'}, {$ref: '#/components/schemas/Duck'}]}
+                }
+            });
+            expect(utils.generateSchema('(\')\' | number)[] | (string)')).to.deep.equal({
+                anyOf: [{
+                    type: 'array',
+                    items: {anyOf: [{type: 'string', enum: [')']}, {type: 'number'}]}
+                }, {
+                    type: 'string'
+                }]
+            });
+        });
+
+        it ('should handle parenthesised generic types', () => {
+            expect(utils.generateSchema('(Array<string>)')).to.deep.equal({type: 'array', items: {type: 'string'}});
+        });
+
+        it ('should throw an error for types it does not understand', () => {
+            expect(() => utils.generateSchema('(Duck)(Goose)')).to.throw('Unable to generate a schema for the type (Duck)(Goose)');
+            expect(() => utils.generateSchema('{name: string}')).to.throw('Unable to generate a schema for the type {name: string}');
+        });
+
+        it ('should not treat an array within a map as an array', () => {
+            expect(utils.generateSchema('Map<string, number[]>')).to.deep.equal({
+                type: 'object',
+                additionalProperties: {type: 'array', items: {type: 'number'}}
+            });
+        });
+    });
+
+    describe('addConstraints', () => {
+
+        it ('should add the constraints to the schema', () => {
+            const schema = {type: 'string'};
+            const result = utils.addConstraints(schema, {minLength: 1, maxLength: 10, pattern: '^[A-Z]+$', format: 'email', enum: ['A', 'B']});
+
+            expect(result).to.equal(schema);
+            expect(schema).to.deep.equal({type: 'string', minLength: 1, maxLength: 10, pattern: '^[A-Z]+$', format: 'email', enum: ['A', 'B']});
+        });
+
+        it ('should add numeric and array constraints', () => {
+            expect(utils.addConstraints({type: 'number'}, {minimum: 0, maximum: 100, multipleOf: 5})).to.deep.equal({
+                type: 'number', minimum: 0, maximum: 100, multipleOf: 5
+            });
+            expect(utils.addConstraints({type: 'array'}, {minItems: 1, maxItems: 3, uniqueItems: true})).to.deep.equal({
+                type: 'array', minItems: 1, maxItems: 3, uniqueItems: true
+            });
+        });
+
+        it ('should use the source of a regular expression pattern', () => {
+            expect(utils.addConstraints({type: 'string'}, {pattern: /^\d{3}$/})).to.deep.equal({type: 'string', pattern: '^\\d{3}$'});
+        });
+
+        it ('should ignore options that are not constraints', () => {
+            expect(utils.addConstraints({type: 'string'}, {optional: true, default: 'a', required: true})).to.deep.equal({type: 'string'});
+            expect(utils.addConstraints({type: 'string'})).to.deep.equal({type: 'string'});
+        });
     });
 });
@@ -0,0 +1,97 @@
+/*
+ * Copyright IBM Corp. All Rights Reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/* global describe it */
+'use strict';
+
+const chai = require('chai');
+chai.should();
+const expect = chai.expect;
+
+const path = require('path');
+// class under test
+const pathToRoot = '../../..';
+
+const JSONSerializer = require(path.join(pathToRoot, 'fabric-contract-api/lib/jsontransactionserializer.js'));
+const CanonicalJSONSerializer = require(path.join(pathToRoot, 'fabric-contract-api/lib/canonicaljsonserializer.js'));
+
+describe('canonicaljsonserializer.js', () => {
+
+    describe('#constructor', () => {
+
+        it('should create a JSONSerializer', () => {
+            const sc0 = new CanonicalJSONSerializer();
+            sc0.should.be.an.instanceOf(JSONSerializer);
+        });
+    });
+
+    describe('#toBuffer', () => {
+
+        it('should write the same bytes whatever order the keys were set in', () => {
+            const sc0 = new CanonicalJSONSerializer();
+            const one = {name: 'Mallard', colour: 'green', wings: {left: 1, right: 1}};
+            const two = {wings: {right: 1, left: 1}, colour: 'green', name: 'Mallard'};
+
+            sc0.toBuffer(one).should.deep.equal(sc0.toBuffer(two));
+            sc0.toBuffer(one).toString().should.equal('{"colour":"green","name":"Mallard","wings":{"left":1,"right":1}}');
+        });
+
+        it('should sort the keys of objects within arrays, but keep the order of the arrays', () => {
+            const sc0 = new CanonicalJSONSerializer();
+            sc0.toBuffer([{b: 2, a: 1}, 'eider', [3, 1, 2]]).toString().should.equal('[{"a":1,"b":2},"eider",[3,1,2]]');
+        });
+
+        it('should normalize numbers and leave out undefined properties', () => {
+            const sc0 = new CanonicalJSONSerializer();
+            const value = {zero: -0, large: 1e21, small: 0.000001, fraction: 1.50, missing: undefined, nan: NaN, nothing: null};
+            sc0.toBuffer(value).toString().should.equal('{"fraction":1.5,"large":1e+21,"nan":null,"nothing":null,"small":0.000001,"zero":0}');
+        });
+
+        it('should write the values of classes, and the types that are sent as strings', () => {
+            const sc0 = new CanonicalJSONSerializer();
+            const Duck = class Duck {
+                constructor() {
+                    this.weight = BigInt(42);
+                    this.hatched = new Date('2020-01-02T03:04:05.678Z');
+                    this.photo = Buffer.from('hello world');
+                }
+
+                quack() {
+                    return 'quack!';
+                }
+            };
+
+            sc0.toBuffer(new Duck()).toString().should.equal('{"hatched":"2020-01-02T03:04:05.678Z","photo":{"data":[104,101,108,108,111,32,119,111,114,108,100],"type":"Buffer"},"weight":"42"}');
+        });
+
+        it('should write the Buffers that the schema declares as byte arrays as base64 strings', () => {
+            const sc0 = new CanonicalJSONSerializer();
+            const schema = {properties: {photo: {type: 'string', format: 'byte'}}};
+            sc0.toBuffer({weight: BigInt(42), photo: Buffer.from('hello world')}, schema).toString().should.equal('{"photo":"aGVsbG8gd29ybGQ=","weight":"42"}');
+        });
+
+        it('should write strings, numbers and booleans as the JSONSerializer does', () => {
+            const sc0 = new CanonicalJSONSerializer();
+            sc0.toBuffer('hello world', {type: 'string'}).toString().should.equal('hello world');
+            sc0.toBuffer(42, {type: 'number'}).toString().should.equal('42');
+            sc0.toBuffer(true).toString().should.equal('true');
+            expect(sc0.toBuffer()).to.be.undefined;
+        });
+    });
+
+    describe('#fromBuffer', () => {
+
+        it('should read objects as the JSONSerializer does', () => {
+            const sc0 = new CanonicalJSONSerializer();
+            const schema = {
+                properties: {
+                    prop: {type: 'array', items: {type: 'number'}}
+                }
+            };
+            sc0.fromBuffer(Buffer.from('[1,2,3]'), schema).value.should.deep.equal([1, 2, 3]);
+        });
+    });
+});
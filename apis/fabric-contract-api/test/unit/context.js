@@ -45,6 +45,28 @@ describe('contract.js', () => {
             sc0.stub.should.equal('a stub');
             sc0.setClientIdentity('a client identity');
             sc0.clientIdentity.should.equal('a client identity');
+            const eventEmitter = sinon.stub();
+            sc0.setEventEmitter(eventEmitter);
+            sc0.eventEmitter.should.equal(eventEmitter);
+        });
+
+    });
+
+    describe('#emit', () => {
+
+        it ('should pass the event to the event emitter', () => {
+            const sc0 = new Context();
+            const eventEmitter = sinon.stub();
+            sc0.setEventEmitter(eventEmitter);
+            sc0.emit('AssetCreated', {id: 'asset1'});
+            sinon.assert.calledOnceWithExactly(eventEmitter, 'AssetCreated', {id: 'asset1'});
+        });
+
+        it ('should throw an error if there is no event emitter', () => {
+            const sc0 = new Context();
+            (() => {
+                sc0.emit('AssetCreated', {id: 'asset1'});
+            }).should.throw(/Events can only be emitted during a transaction/);
         });
 
     });
@@ -133,6 +133,36 @@ describe('contract.js', () => {
             sc0.createContext().should.be.an.instanceOf(Context);
         });
 
+        it ('should have no middleware by default', () => {
+            const sc0 = new Contract();
+            expect(sc0.__middleware).to.deep.equal([]);
+        });
+
+        it ('should take the middleware from the options', () => {
+            const first = sandbox.stub();
+            const second = sandbox.stub();
+            const middleware = [first, second];
+            const sc0 = new Contract('brain', {middleware});
+            expect(sc0.__middleware).to.deep.equal([first, second]);
+
+            middleware.push(sandbox.stub());
+            expect(sc0.__middleware).to.deep.equal([first, second]);
+        });
+
+        it ('should throw an error if the middleware is not a function', () => {
+            expect(() => new Contract('brain', {middleware: ['not a function']})).to.throw(/^Middleware must be a function$/);
+        });
+
+        it ('should leave return value validation to the chaincode by default', () => {
+            const sc0 = new Contract();
+            expect(sc0.__returnValuesValidated).to.be.undefined;
+        });
+
+        it ('should take return value validation from the options', () => {
+            expect(new Contract('brain', {validateReturnValues: true}).__returnValuesValidated).to.equal(true);
+            expect(new Contract('brain', {validateReturnValues: false}).__returnValuesValidated).to.equal(false);
+        });
+
         it ('should set the __isContract value', () => {
             const sc0 = new Contract();
             expect(sc0.__isContract).to.deep.equal(true);
@@ -0,0 +1,99 @@
+/*
+ * Copyright IBM Corp. All Rights Reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/* global describe it */
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const path = require('path');
+// class under test
+const pathToRoot = '../../..';
+
+const {
+    ContractError,
+    NotFoundError,
+    ConflictError,
+    UnauthorizedError,
+    ValidationError
+} = require(path.join(pathToRoot, 'fabric-contract-api/lib/errors'));
+
+describe('errors.js', () => {
+
+    describe('ContractError', () => {
+
+        it ('should default the status and code', () => {
+            const error = new ContractError('something went wrong');
+            expect(error).to.be.an.instanceOf(Error);
+            expect(error.message).to.equal('something went wrong');
+            expect(error.name).to.equal('ContractError');
+            expect(error.status).to.equal(500);
+            expect(error.code).to.equal('CONTRACT_ERROR');
+            expect(error.payload).to.be.undefined;
+        });
+
+        it ('should use the supplied status, code and payload', () => {
+            const error = new ContractError('Insufficient funds', {status: 422, code: 'INSUFFICIENT_FUNDS', payload: {balance: 10}});
+            expect(error.status).to.equal(422);
+            expect(error.code).to.equal('INSUFFICIENT_FUNDS');
+            expect(error.payload).to.deep.equal({balance: 10});
+        });
+
+        it ('should throw an error if the status is below 400', () => {
+            expect(() => new ContractError('oops', {status: 200})).to.throw(/^ContractError status must be an integer of at least 400, not 200$/);
+        });
+
+        it ('should throw an error if the status is not an integer', () => {
+            expect(() => new ContractError('oops', {status: '404'})).to.throw(/^ContractError status must be an integer of at least 400, not 404$/);
+        });
+    });
+
+    describe('_isContractError', () => {
+
+        it ('should return true for contract errors', () => {
+            expect(ContractError._isContractError(new NotFoundError('missing'))).to.equal(true);
+        });
+
+        it ('should return true when not instanceOf ContractError but does have __isContractError true', () => {
+            const error = new Error('from another copy of the module');
+            error.__isContractError = true;
+            expect(ContractError._isContractError(error)).to.equal(true);
+        });
+
+        it ('should return false for other errors', () => {
+            expect(ContractError._isContractError(new Error('plain'))).to.equal(false);
+            expect(ContractError._isContractError(undefined)).to.equal(false);
+        });
+    });
+
+    describe('subclasses', () => {
+
+        const subclasses = [
+            [NotFoundError, 404, 'NOT_FOUND'],
+            [ConflictError, 409, 'CONFLICT'],
+            [UnauthorizedError, 403, 'UNAUTHORIZED'],
+            [ValidationError, 400, 'VALIDATION']
+        ];
+
+        subclasses.forEach(([ErrorClass, status, code]) => {
+            it (`should create a ${ErrorClass.name} with status ${status} and code ${code}`, () => {
+                const error = new ErrorClass('some message');
+                expect(error).to.be.an.instanceOf(ContractError);
+                expect(error.name).to.equal(ErrorClass.name);
+                expect(error.status).to.equal(status);
+                expect(error.code).to.equal(code);
+            });
+
+            it (`should allow the code and payload of a ${ErrorClass.name} to be set, but not the status`, () => {
+                const error = new ErrorClass('some message', {status: 500, code: 'SPECIFIC', payload: 'details'});
+                expect(error.status).to.equal(status);
+                expect(error.code).to.equal('SPECIFIC');
+                expect(error.payload).to.equal('details');
+            });
+        });
+    });
+});
@@ -0,0 +1,32 @@
+/*
+ * Copyright IBM Corp. All Rights Reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/* global describe it */
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const path = require('path');
+// class under test
+const pathToRoot = '../../..';
+
+const formats = require(path.join(pathToRoot, 'fabric-contract-api/lib/formats'));
+
+describe('formats.js', () => {
+
+    it ('should match big integers', () => {
+        expect(formats.bigint.test('42')).to.equal(true);
+        expect(formats.bigint.test('-42')).to.equal(true);
+        expect(formats.bigint.test('4.2')).to.equal(false);
+    });
+
+    it ('should match byte arrays', () => {
+        expect(formats.byte.test('aGVsbG8gd29ybGQ=')).to.equal(true);
+        expect(formats.byte.test('hello world')).to.equal(false);
+    });
+
+});
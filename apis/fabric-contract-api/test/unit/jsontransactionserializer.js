@@ -482,4 +482,375 @@ describe('jsontransactionserializer.js', () => {
         });
     });
 
+    describe('#fromBuffer:enums and unions', () => {
+
+        const enumSchema = (values) => {
+            return {
+                properties: {
+                    prop: {
+                        '$ref': '#/components/schemas/Status'
+                    }
+                },
+                components: {
+                    schemas: {
+                        'Status': {
+                            '$id': 'Status',
+                            'type': typeof values[0],
+                            'enum': values
+                        }
+                    }
+                }
+            };
+        };
+
+        it('should handle a string enum', () => {
+            const sc0 = new JSONSerializer();
+            const schema = enumSchema(['OPEN', 'CLOSED']);
+            const v = sc0.fromBuffer(Buffer.from('OPEN'), schema);
+            v.should.deep.equal({value: 'OPEN', jsonForValidation: '"OPEN"'});
+            expect(schema.components.schemas.Status.type).to.equal('string');
+        });
+
+        it('should handle a number enum', () => {
+            const sc0 = new JSONSerializer();
+            const v = sc0.fromBuffer(Buffer.from('5'), enumSchema([0, 5]));
+            v.should.deep.equal({value: 5, jsonForValidation: 5});
+        });
+
+        it('should handle a union of string literals', () => {
+            const sc0 = new JSONSerializer();
+            const schema = {
+                properties: {
+                    prop: {
+                        type: 'string',
+                        enum: ['OPEN', 'CLOSED']
+                    }
+                },
+                components: {
+                    schemas: {}
+                }
+            };
+            const v = sc0.fromBuffer(Buffer.from('CLOSED'), schema);
+            v.should.deep.equal({value: 'CLOSED', jsonForValidation: '"CLOSED"'});
+        });
+
+        it('should handle a union of types', () => {
+            const sc0 = new JSONSerializer();
+            const schema = {
+                properties: {
+                    prop: {
+                        anyOf: [{type: 'string'}, {type: 'number'}, {type: 'null'}]
+                    }
+                },
+                components: {
+                    schemas: {}
+                }
+            };
+            sc0.fromBuffer(Buffer.from('42'), schema).value.should.equal(42);
+            sc0.fromBuffer(Buffer.from('penfold'), schema).value.should.equal('penfold');
+            expect(sc0.fromBuffer(Buffer.from('null'), schema).value).to.be.null;
+        });
+
+        it('should read a string in a union of types as a string without logging errors', () => {
+            const logger = require(path.join(pathToRoot, 'fabric-contract-api/lib/logger.js')).getLogger('./lib/jsontransactionserializer.js');
+            sandbox.stub(logger, 'error');
+            const sc0 = new JSONSerializer();
+            const schema = {
+                properties: {
+                    prop: {
+                        anyOf: [{type: 'string'}, {type: 'number'}]
+                    }
+                },
+                components: {
+                    schemas: {}
+                }
+            };
+            sc0.fromBuffer(Buffer.from('penfold'), schema).should.deep.equal({value: 'penfold', jsonForValidation: '"penfold"'});
+            sinon.assert.notCalled(logger.error);
+        });
+
+        it('should read an object in a union with null as an instance of its class', () => {
+            class Asset { }
+            const sc0 = new JSONSerializer();
+            const schema = {
+                properties: {
+                    prop: {
+                        anyOf: [{type: 'null'}, {'$ref': '#/components/schemas/Asset'}]
+                    }
+                },
+                components: {
+                    schemas: {
+                        'Asset': {
+                            '$id': 'Asset',
+                            'cnstr': Asset,
+                            'properties': {
+                                'id': {
+                                    'type': 'string'
+                                }
+                            }
+                        }
+                    }
+                }
+            };
+            const v = sc0.fromBuffer(Buffer.from('{"id":"A1"}'), schema);
+            v.value.should.be.an.instanceOf(Asset);
+            v.value.should.deep.equal({id: 'A1'});
+            v.jsonForValidation.should.deep.equal({id: 'A1'});
+            expect(sc0.fromBuffer(Buffer.from(' null '), schema).value).to.be.null;
+        });
+
+        it('should fall back to a string when the data cannot be read as any type in a union', () => {
+            const sc0 = new JSONSerializer();
+            const schema = {
+                properties: {
+                    prop: {
+                        anyOf: [{type: 'number'}, {}]
+                    }
+                },
+                components: {
+                    schemas: {}
+                }
+            };
+            sc0.fromBuffer(Buffer.from('penfold'), schema).should.deep.equal({value: 'penfold', jsonForValidation: '"penfold"'});
+            sc0.fromBuffer(Buffer.from('{"id":"A1"}'), schema).should.deep.equal({value: {id: 'A1'}, jsonForValidation: {id: 'A1'}});
+        });
+    });
+
+    describe('dates, big integers and byte arrays', () => {
+
+        const date = new Date('2020-01-02T03:04:05.678Z');
+
+        const Duck = class Duck {
+            constructor(name) {
+                this.name = name;
+            }
+        };
+
+        const duckSchema = {
+            properties: {
+                prop: {
+                    '$ref': '#/components/schemas/Duck'
+                }
+            },
+            components: {
+                schemas: {
+                    'Duck': {
+                        '$id': 'Duck',
+                        'type': 'object',
+                        'properties': {
+                            'name': {type: 'string'},
+                            'age': {type: 'number'},
+                            'notes': {type: 'array'},
+                            'hatched': {type: 'string', format: 'date-time'},
+                            'weight': {type: 'string', format: 'bigint'},
+                            'photo': {type: 'string', format: 'byte'},
+                            'sightings': {type: 'array', items: {type: 'string', format: 'date-time'}},
+                            'tags': {type: 'object', additionalProperties: {type: 'string', format: 'bigint'}},
+                            'mother': {'$ref': '#/components/schemas/Duck'}
+                        },
+                        cnstr: Duck
+                    }
+                }
+            }
+        };
+
+        const primitiveSchema = (format) => {
+            return {
+                properties: {
+                    prop: {type: 'string', format}
+                },
+                components: {
+                    schemas: {}
+                }
+            };
+        };
+
+        it('should send a date as an ISO-8601 string', () => {
+            const sc0 = new JSONSerializer();
+            sc0.toBuffer(date, {type: 'string', format: 'date-time'}).toString().should.equal('2020-01-02T03:04:05.678Z');
+        });
+
+        it('should send a big integer as a decimal string', () => {
+            const sc0 = new JSONSerializer();
+            sc0.toBuffer(BigInt('12345678901234567890'), {type: 'string', format: 'bigint'}).toString().should.equal('12345678901234567890');
+        });
+
+        it('should send a Buffer or Uint8Array declared as a byte array as a base64 string', () => {
+            const sc0 = new JSONSerializer();
+            sc0.toBuffer(Buffer.from('hello world'), {type: 'string', format: 'byte'}).toString().should.equal('aGVsbG8gd29ybGQ=');
+            sc0.toBuffer(new Uint8Array([1, 2, 3]), {type: 'string', format: 'byte'}).toString().should.equal('AQID');
+        });
+
+        it('should send a Buffer that is not declared as a byte array as JSON.stringify() does', () => {
+            const sc0 = new JSONSerializer();
+            sc0.toBuffer(Buffer.from('hi')).toString().should.equal('{"type":"Buffer","data":[104,105]}');
+            sc0.toBuffer({photo: Buffer.from('hi')}).toString().should.equal('{"photo":{"type":"Buffer","data":[104,105]}}');
+        });
+
+        it('should send the dates and big integers within an object as strings, and Buffers as JSON.stringify() does', () => {
+            const sc0 = new JSONSerializer();
+            const duck = new Duck('Mallard');
+            duck.hatched = date;
+            duck.weight = BigInt(42);
+            duck.photo = Buffer.from('hi');
+
+            JSON.parse(sc0.toBuffer(duck).toString()).should.deep.equal({
+                name: 'Mallard',
+                hatched: '2020-01-02T03:04:05.678Z',
+                weight: '42',
+                photo: {type: 'Buffer', data: [104, 105]}
+            });
+        });
+
+        it('should send the Buffers within an object that the schema declares as byte arrays as base64 strings', () => {
+            const sc0 = new JSONSerializer();
+            const duck = new Duck('Mallard');
+            duck.photo = Buffer.from('hello world');
+            duck.notes = [Buffer.from('hi')];
+            duck.mother = new Duck('Muscovy');
+            duck.mother.photo = Buffer.from([1, 2, 3]);
+            duck.mother.tags = {spotted: Buffer.from('hi')};
+
+            JSON.parse(sc0.toBuffer(duck, duckSchema.properties.prop, 'prefix', duckSchema.components.schemas).toString()).should.deep.equal({
+                name: 'Mallard',
+                photo: 'aGVsbG8gd29ybGQ=',
+                notes: [{type: 'Buffer', data: [104, 105]}],
+                mother: {
+                    name: 'Muscovy',
+                    photo: 'AQID',
+                    tags: {spotted: {type: 'Buffer', data: [104, 105]}}
+                }
+            });
+        });
+
+        it('should send the Buffers within an array or subclass that the schema declares as byte arrays as base64 strings', () => {
+            const sc0 = new JSONSerializer();
+            const schema = {
+                type: 'array',
+                items: {
+                    allOf: [
+                        {'$ref': '#/components/schemas/Duck'},
+                        {properties: {egg: {type: 'string', format: 'byte'}}}
+                    ]
+                }
+            };
+            const duck = new Duck('Mallard');
+            duck.photo = Buffer.from('hello world');
+            duck.egg = Buffer.from('hi');
+
+            JSON.parse(sc0.toBuffer([duck, null], schema, 'prefix', duckSchema.components.schemas).toString()).should.deep.equal([
+                {name: 'Mallard', photo: 'aGVsbG8gd29ybGQ=', egg: 'aGk='},
+                null
+            ]);
+        });
+
+        it('should receive a date', () => {
+            const sc0 = new JSONSerializer();
+            const v = sc0.fromBuffer(Buffer.from('2020-01-02T03:04:05.678Z'), primitiveSchema('date-time'));
+            v.value.should.deep.equal(date);
+            v.validateData.should.equal('2020-01-02T03:04:05.678Z');
+        });
+
+        it('should receive a big integer', () => {
+            const sc0 = new JSONSerializer();
+            const v = sc0.fromBuffer(Buffer.from('-12345678901234567890'), primitiveSchema('bigint'));
+            expect(v.value).to.equal(BigInt('-12345678901234567890'));
+            v.validateData.should.equal('-12345678901234567890');
+        });
+
+        it('should leave a big integer that is not an integer to fail validation', () => {
+            const sc0 = new JSONSerializer();
+            const v = sc0.fromBuffer(Buffer.from('1.5'), primitiveSchema('bigint'));
+            v.value.should.equal('1.5');
+        });
+
+        it('should receive a byte array', () => {
+            const sc0 = new JSONSerializer();
+            const v = sc0.fromBuffer(Buffer.from('aGVsbG8gd29ybGQ='), primitiveSchema('byte'));
+            v.value.should.deep.equal(Buffer.from('hello world'));
+            v.validateData.should.equal('aGVsbG8gd29ybGQ=');
+        });
+
+        it('should leave strings with other formats as they are', () => {
+            const sc0 = new JSONSerializer();
+            const v = sc0.fromBuffer(Buffer.from('someone@example.com'), primitiveSchema('email'));
+            v.value.should.equal('someone@example.com');
+        });
+
+        it('should receive the dates, big integers and byte arrays within an object', () => {
+            const sc0 = new JSONSerializer();
+            const json = {
+                name: 'Mallard',
+                age: 3,
+                notes: ['noisy'],
+                hatched: '2020-01-02T03:04:05.678Z',
+                weight: '42',
+                photo: 'aGVsbG8gd29ybGQ=',
+                sightings: ['2020-01-02T03:04:05.678Z'],
+                tags: {ring: '7'},
+                mother: {name: 'Eider', hatched: '2020-01-02T03:04:05.678Z', colour: 'brown', mother: null}
+            };
+
+            const v = sc0.fromBuffer(Buffer.from(JSON.stringify(json)), duckSchema);
+            v.value.should.be.an.instanceOf(Duck);
+            v.value.name.should.equal('Mallard');
+            v.value.notes.should.deep.equal(['noisy']);
+            v.value.hatched.should.deep.equal(date);
+            expect(v.value.weight).to.equal(BigInt(42));
+            v.value.photo.should.deep.equal(Buffer.from('hello world'));
+            v.value.sightings.should.deep.equal([date]);
+            expect(v.value.tags.ring).to.equal(BigInt(7));
+            v.value.mother.hatched.should.deep.equal(date);
+            v.value.mother.colour.should.equal('brown');
+            expect(v.value.mother.mother).to.be.null;
+            v.jsonForValidation.should.deep.equal(json);
+            v.validateData.should.deep.equal(json);
+        });
+
+        it('should receive the dates within the properties of a subclass', () => {
+            const sc0 = new JSONSerializer();
+            const schema = {
+                properties: {
+                    prop: {
+                        '$ref': '#/components/schemas/Duckling'
+                    }
+                },
+                components: {
+                    schemas: {
+                        'Duck': duckSchema.components.schemas.Duck,
+                        'Duckling': {
+                            '$id': 'Duckling',
+                            'type': 'object',
+                            allOf: [
+                                {'$ref': '#/components/schemas/Duck'},
+                                {properties: {fledged: {type: 'string', format: 'date-time'}}}
+                            ],
+                            cnstr: Duck
+                        }
+                    }
+                }
+            };
+
+            const v = sc0.fromBuffer(Buffer.from(JSON.stringify({hatched: '2020-01-02T03:04:05.678Z', fledged: '2020-01-02T03:04:05.678Z'})), schema);
+            v.value.hatched.should.deep.equal(date);
+            v.value.fledged.should.deep.equal(date);
+        });
+
+        it('should receive an array of dates and strings', () => {
+            const sc0 = new JSONSerializer();
+            const schema = {
+                properties: {
+                    prop: {type: 'array', items: {type: 'string', format: 'date-time'}}
+                }
+            };
+
+            sc0.fromBuffer(Buffer.from(JSON.stringify(['2020-01-02T03:04:05.678Z'])), schema).value.should.deep.equal([date]);
+
+            schema.properties.prop.items = {type: 'string'};
+            const v = sc0.fromBuffer(Buffer.from(JSON.stringify(['mallard', 'eider'])), schema);
+            v.value.should.deep.equal(['mallard', 'eider']);
+            v.validateData.should.deep.equal(['mallard', 'eider']);
+        });
+    });
+
 });
@@ -16,10 +16,25 @@ declare module 'fabric-contract-api' {
             setLevel: (level: string) => void,
             getLogger: (name?: string) => Logger
         }
+        emit(name: string, payload?: any): void;
+    }
+
+    export interface TransactionDescription {
+        contract: string;
+        function: string;
+        descriptor: any;
+        parameters: any[];
+    }
+
+    export type Middleware = (ctx: Context, tx: TransactionDescription, next: () => Promise<any>) => Promise<any>;
+
+    export interface ContractOptions {
+        middleware?: Middleware[];
+        validateReturnValues?: boolean;
     }
 
     export class Contract {
-        constructor(name?: string);
+        constructor(name?: string, options?: ContractOptions);
 
         static _isContract(): boolean;
 
@@ -35,16 +50,83 @@ declare module 'fabric-contract-api' {
     }
 
 
+    export interface ContractErrorOptions {
+        status?: number;
+        code?: string;
+        payload?: any;
+    }
+
+    export class ContractError extends Error {
+        constructor(message: string, options?: ContractErrorOptions);
+        status: number;
+        code: string;
+        payload?: any;
+
+        static _isContractError(obj: any): boolean;
+    }
+
+    export class NotFoundError extends ContractError {
+        constructor(message: string, options?: Omit<ContractErrorOptions, 'status'>);
+    }
+
+    export class ConflictError extends ContractError {
+        constructor(message: string, options?: Omit<ContractErrorOptions, 'status'>);
+    }
+
+    export class UnauthorizedError extends ContractError {
+        constructor(message: string, options?: Omit<ContractErrorOptions, 'status'>);
+    }
+
+    export class ValidationError extends ContractError {
+        constructor(message: string, options?: Omit<ContractErrorOptions, 'status'>);
+    }
+
     export class JSONSerializer {
-        toBuffer(result: any,schema:any,loggerPrefix?:string): Buffer;
+        toBuffer(result: any,schema:any,loggerPrefix?:string,components?:any): Buffer;
         fromBuffer(data: Buffer,schema:any,loggerPrefix?:string): any;
     }
 
+    export class CanonicalJSONSerializer extends JSONSerializer {
+    }
+
+    export const formats: {[name: string]: RegExp};
+
+    export interface SchemaConstraints {
+        minimum?: number;
+        maximum?: number;
+        multipleOf?: number;
+        minLength?: number;
+        maxLength?: number;
+        pattern?: string | RegExp;
+        format?: string;
+        enum?: any[];
+        minItems?: number;
+        maxItems?: number;
+        uniqueItems?: boolean;
+    }
+
+    export interface ParamOptions extends SchemaConstraints {
+        optional?: boolean;
+        required?: boolean;
+        default?: any;
+    }
+
+    export interface PropertyOptions extends SchemaConstraints {
+        required?: boolean;
+    }
+
     export function Transaction(commit?: boolean): (target: any, propertyKey: string | symbol) => void;
-    export function Param(paramName: string, paramType: string, description?: string): (target: any, propertyKey: string | symbol) => void;
+    export function Param(paramName: string, paramType: string, description?: string, options?: ParamOptions): (target: any, propertyKey: string | symbol) => void;
+    export function Param(paramName: string, paramType: string, options: ParamOptions): (target: any, propertyKey: string | symbol) => void;
     export function Returns(returnType?: string): (target: any, propertyKey: string | symbol) => void;
     export function Object(opts?: object): (target: any) => void;
     export function Info(info?: object): (target: any) => void;
-    export function Property(name?: string, type?: string): (target: any, propertyKey: string | symbol) => void;
+    export function Property(name?: string, type?: string, options?: PropertyOptions): (target: any, propertyKey: string | symbol) => void;
+    export function Property(options: PropertyOptions): (target: any, propertyKey: string | symbol) => void;
     export function Default(): (target: any) => void;
+    export function Enum(name: string, values: object | Array<string | number>): void;
+    export function RequireMSP(...mspIds: string[]): (target: any, propertyKey: string | symbol) => void;
+    export function RequireRole(...roles: string[]): (target: any, propertyKey: string | symbol) => void;
+    export function RequireAttribute(name: string, value?: string): (target: any, propertyKey: string | symbol) => void;
+    export function Event(name: string, payloadType?: string | Function): (target: any, propertyKey?: string | symbol) => void;
 }
@@ -63,9 +63,13 @@ declare module 'fabric-shim-api' {
         getDateTimestamp(): Date;
         getBinding(): string;
 
+        setReadYourOwnWrites(enabled?: boolean): void;
+
         getState(key: string): Promise<Uint8Array>;
         putState(key: string, value: Uint8Array): Promise<void>;
         deleteState(key: string): Promise<void>;
+        getMultipleStates(keys: string[]): Promise<Uint8Array[]>;
+        putMultipleStates(entries: Array<{ key: string, value: Uint8Array }>): Promise<void>;
         setStateValidationParameter(key: string, ep: Uint8Array): Promise<void>;
         getStateValidationParameter(key: string): Promise<Uint8Array>;
         getStateByRange(startKey: string, endKey: string): Promise<Iterators.StateQueryIterator> & AsyncIterable<Iterators.KV>;
@@ -79,6 +83,7 @@ declare module 'fabric-shim-api' {
 
         invokeChaincode(chaincodeName: string, args: string[], channel: string): Promise<ChaincodeResponse>;
         setEvent(name: string, payload: Uint8Array): void;
+        addEvent(name: string, payload: Uint8Array): void;
 
         createCompositeKey(objectType: string, attributes: string[]): string;
         splitCompositeKey(compositeKey: string): SplitCompositekey;
@@ -87,6 +92,8 @@ declare module 'fabric-shim-api' {
         getPrivateDataHash(collection: string, key: string): Promise<Uint8Array>;
         putPrivateData(collection: string, key: string, value: Uint8Array): Promise<void>;
         deletePrivateData(collection: string, key: string): Promise<void>;
+        getMultiplePrivateData(collection: string, keys: string[]): Promise<Uint8Array[]>;
+        putMultiplePrivateData(collection: string, entries: Array<{ key: string, value: Uint8Array }>): Promise<void>;
         setPrivateDataValidationParameter(collection: string, key: string, ep: Uint8Array): Promise<void>;
         getPrivateDataValidationParameter(collection: string, key: string): Promise<Uint8Array>;
         getPrivateDataByRange(collection: string, startKey: string, endKey: string): Promise<Iterators.StateQueryIterator> & AsyncIterable<Iterators.KV>;
@@ -134,6 +141,7 @@ declare module 'fabric-shim-api' {
             isDelete: boolean;
             value: Uint8Array;
             timestamp: Timestamp;
+            date: Date;
             txId: string;
         }
     }
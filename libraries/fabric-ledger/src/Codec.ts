@@ -0,0 +1,133 @@
+/**
+ * Copyright 2020 IBM All Rights Reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import 'reflect-metadata';
+
+import Ajv = require('ajv');
+import {CanonicalJSONSerializer, JSONSerializer, formats} from 'fabric-contract-api';
+
+/**
+ * Converts the values held in a collection to and from the bytes stored on the ledger.
+ *
+ * @memberof module:fabric-ledger
+ */
+export interface ICodec<T> {
+    encode(value: T): Uint8Array;
+    decode(data: Uint8Array): T;
+}
+
+/**
+ * Codec that stores values as the raw bytes supplied, without any conversion.
+ *
+ * @memberof module:fabric-ledger
+ */
+export class BytesCodec implements ICodec<Uint8Array> {
+
+    public encode (value: Uint8Array): Uint8Array {
+        return value;
+    }
+
+    public decode (data: Uint8Array): Uint8Array {
+        return data;
+    }
+}
+
+/**
+ * Codec that stores values as JSON, using the same {@link JSONSerializer} as is used
+ * for transaction arguments and return values.
+ *
+ * If the name of a type declared with the <code>@Object</code> annotation is supplied,
+ * values are validated against the schema of that type when written and read, and are
+ * returned as instances of the annotated class.
+ *
+ * If canonical is set, values are written using the {@link CanonicalJSONSerializer}, so that
+ * the same value is always written as the same bytes whatever order its properties were set in.
+ *
+ * @memberof module:fabric-ledger
+ */
+export class JSONCodec<T> implements ICodec<T> {
+
+    private readonly _serializer: JSONSerializer;
+    private readonly _typeName: string | undefined;
+    private _ajv: Ajv.Ajv | undefined;
+    private _validator: Ajv.ValidateFunction | undefined;
+
+    /**
+     * @param {string} [typeName] Name of the <code>@Object</code> type the values must conform to
+     * @param {boolean} [canonical] Whether to write values as canonical JSON, with sorted keys
+     */
+    public constructor (typeName?: string, canonical: boolean = false) {
+        this._typeName = typeName;
+        this._serializer = canonical ? new CanonicalJSONSerializer() : new JSONSerializer();
+    }
+
+    public encode (value: T): Uint8Array {
+        const data: Buffer = this._serializer.toBuffer(value, this._schema(), undefined, JSONCodec._objectSchemas());
+        if (this._typeName) {
+            this._validate(JSONCodec._jsonForValidation(value, data));
+        }
+        return data;
+    }
+
+    public decode (data: Uint8Array): T {
+        const {value, jsonForValidation} = this._serializer.fromBuffer(Buffer.from(data), this._fullSchema());
+        this._validate(jsonForValidation);
+        return value;
+    }
+
+    private _schema (): object {
+        return this._typeName ? {$ref: `#/components/schemas/${this._typeName}`} : {};
+    }
+
+    private _fullSchema (): object {
+        return {
+            properties: {prop: this._schema()},
+            components: {
+                schemas: JSONCodec._objectSchemas()
+            }
+        };
+    }
+
+    private _validate (json: unknown): void {
+        if (!this._typeName) {
+            return;
+        }
+
+        if (!this._validator) {
+            const schemas: {[name: string]: object} = JSONCodec._objectSchemas();
+            if (!schemas[this._typeName]) {
+                throw new Error(`No @Object schema has been registered for type ${this._typeName}`);
+            }
+
+            this._ajv = new Ajv({
+                useDefaults: true,
+                coerceTypes: false,
+                allErrors: true,
+                formats,
+                schemas: Object.values(schemas)
+            });
+            this._validator = this._ajv.getSchema(this._typeName) as Ajv.ValidateFunction;
+        }
+
+        const validator: Ajv.ValidateFunction = this._validator;
+        if (!validator(json)) {
+            const errors: string = (this._ajv as Ajv.Ajv).errorsText(validator.errors);
+            throw new Error(`Value does not match the schema for type ${this._typeName}: ${errors}`);
+        }
+    }
+
+    private static _jsonForValidation (value: unknown, data: Buffer): unknown {
+        // strings, and the dates and big integers sent as strings, are written without quotes
+        if (typeof value === 'string' || typeof value === 'bigint' || value instanceof Date) {
+            return data.toString();
+        }
+        return JSON.parse(data.toString());
+    }
+
+    private static _objectSchemas (): {[name: string]: object} {
+        return Reflect.getMetadata('fabric:objects', global) || {};
+    }
+}
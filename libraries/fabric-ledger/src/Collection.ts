@@ -4,13 +4,320 @@
  * SPDX-License-Identifier: Apache-2.0
  */
 
+import {Context} from 'fabric-contract-api';
+import {Iterators} from 'fabric-shim-api';
+
+import {BytesCodec, ICodec} from './Codec';
+
 export enum CollectionNames {
     WORLD = 'worldstate'
 }
 
 /**
- * Collection placeholder.
+ * A single key and value returned from a query against a collection.
+ *
+ * @memberof module:fabric-ledger
+ */
+export interface ICollectionEntry<T = Uint8Array> {
+    key: string;
+    value: T;
+}
+
+/**
+ * Options used when obtaining a Collection from the {@link Ledger}.
  *
  * @memberof module:fabric-ledger
  */
-export class Collection { }
+export interface ICollectionOptions<T> {
+    /**
+     * Codec used to convert values to and from their stored bytes. Defaults
+     * to a {@link JSONCodec} for the given type.
+     */
+    codec?: ICodec<T>;
+
+    /**
+     * Name of an <code>@Object</code> annotated type. Values are validated
+     * against its schema and returned as instances of that class.
+     */
+    type?: string;
+
+    /**
+     * Whether the default {@link JSONCodec} writes values as canonical JSON,
+     * with sorted keys, so that equal values are always written as the same bytes.
+     */
+    canonical?: boolean;
+}
+
+/**
+ * A key-level endorsement policy, such as the <code>KeyEndorsementPolicy</code>
+ * provided by <code>fabric-shim</code>.
+ *
+ * @memberof module:fabric-ledger
+ */
+export interface IEndorsementPolicy {
+    getPolicy(): Uint8Array;
+}
+
+/**
+ * Options used when writing a private data value from the transient data.
+ *
+ * @memberof module:fabric-ledger
+ */
+export interface ITransientOptions {
+    /**
+     * Key of the value in the transient data. Defaults to the key being written.
+     */
+    transientKey?: string;
+
+    /**
+     * Key-level endorsement policy to set on the written key.
+     */
+    endorsementPolicy?: IEndorsementPolicy;
+}
+
+/**
+ * A Collection provides access to the states held in either the world state
+ * or a private data collection, using the same API for both.
+ *
+ * Values are converted to and from the bytes held on the ledger by the
+ * collection's codec; by default values are the raw bytes.
+ *
+ * Instances should be obtained from {@link Ledger#getCollection} or
+ * {@link Ledger#getDefaultCollection}.
+ *
+ * @memberof module:fabric-ledger
+ */
+export class Collection<T = Uint8Array> {
+
+    private readonly _ctx: Context;
+    private readonly _name: string;
+    private readonly _codec: ICodec<T>;
+
+    /**
+     * @param {Context} ctx The transaction context
+     * @param {string} name The name of the collection
+     * @param {ICodec} [codec] The codec for values, defaults to the raw bytes
+     */
+    public constructor (ctx: Context, name: string, codec?: ICodec<T>) {
+        this._ctx = ctx;
+        this._name = name;
+        this._codec = codec || (new BytesCodec() as unknown as ICodec<T>);
+    }
+
+    /**
+     * Get the name of this collection.
+     *
+     * @returns {string} The collection name
+     */
+    public getName (): string {
+        return this._name;
+    }
+
+    /**
+     * Check whether this collection represents the world state rather than
+     * a private data collection.
+     *
+     * @returns {boolean} true if this is the world state
+     */
+    public isWorldState (): boolean {
+        return this._name === CollectionNames.WORLD;
+    }
+
+    /**
+     * Get the current value of a key in this collection.
+     *
+     * @param {string} key The key to retrieve
+     * @returns {Promise<T>} The decoded value of the key, or undefined if the key does not exist
+     */
+    public async get (key: string): Promise<T | undefined> {
+        const data: Uint8Array = await this._getBytes(key);
+        if (!data || data.length === 0) {
+            return undefined;
+        }
+        return this._codec.decode(data);
+    }
+
+    /**
+     * Write a value for a key in this collection, replacing any existing value.
+     *
+     * @param {string} key The key to write
+     * @param {T} value The value to write, which is encoded using the collection's codec
+     * @returns {Promise<void>} Resolves when the peer has accepted the write
+     */
+    public async put (key: string, value: T): Promise<void> {
+        const data: Uint8Array = this._codec.encode(value);
+        if (this.isWorldState()) {
+            return this._ctx.stub.putState(key, data);
+        }
+        return this._ctx.stub.putPrivateData(this._name, key, data);
+    }
+
+    /**
+     * Delete a key from this collection.
+     *
+     * @param {string} key The key to delete
+     * @returns {Promise<void>} Resolves when the peer has accepted the delete
+     */
+    public async delete (key: string): Promise<void> {
+        if (this.isWorldState()) {
+            return this._ctx.stub.deleteState(key);
+        }
+        return this._ctx.stub.deletePrivateData(this._name, key);
+    }
+
+    /**
+     * Check whether a key currently has a value in this collection.
+     *
+     * @param {string} key The key to check
+     * @returns {Promise<boolean>} true if the key has a non-empty value
+     */
+    public async exists (key: string): Promise<boolean> {
+        const data: Uint8Array = await this._getBytes(key);
+        return !!data && data.length > 0;
+    }
+
+    /**
+     * Iterate over the keys in this collection between startKey (inclusive)
+     * and endKey (exclusive), in lexical order. Empty strings imply an
+     * unbounded start or end of the range.
+     *
+     * The underlying query is only started once iteration begins, and is
+     * closed when iteration completes or the loop is exited early.
+     *
+     * @param {string} startKey The start of the key range (inclusive)
+     * @param {string} endKey The end of the key range (exclusive)
+     * @returns {AsyncIterable<ICollectionEntry>} The matching entries
+     */
+    public getRange (startKey: string, endKey: string): AsyncIterable<ICollectionEntry<T>> {
+        return this._toEntries(() => {
+            if (this.isWorldState()) {
+                return this._ctx.stub.getStateByRange(startKey, endKey);
+            }
+            return this._ctx.stub.getPrivateDataByRange(this._name, startKey, endKey);
+        });
+    }
+
+    /**
+     * Iterate over the composite keys in this collection that start with the
+     * partial composite key formed from objectType and attributes.
+     *
+     * @param {string} objectType The object type of the composite key
+     * @param {string[]} attributes Leading attributes of the composite key
+     * @returns {AsyncIterable<ICollectionEntry>} The matching entries
+     */
+    public getByPrefix (objectType: string, attributes: string[]): AsyncIterable<ICollectionEntry<T>> {
+        return this._toEntries(() => {
+            if (this.isWorldState()) {
+                return this._ctx.stub.getStateByPartialCompositeKey(objectType, attributes);
+            }
+            return this._ctx.stub.getPrivateDataByPartialCompositeKey(this._name, objectType, attributes);
+        });
+    }
+
+    /**
+     * Perform a rich query against this collection. This is only supported
+     * by state databases that support rich queries, such as CouchDB.
+     *
+     * @param {string|object} selector The query, either as a string native to the
+     * state database or as an object that will be converted to JSON
+     * @returns {AsyncIterable<ICollectionEntry>} The matching entries
+     */
+    public query (selector: string | object): AsyncIterable<ICollectionEntry<T>> {
+        const query: string = typeof selector === 'string' ? selector : JSON.stringify(selector);
+        return this._toEntries(() => {
+            if (this.isWorldState()) {
+                return this._ctx.stub.getQueryResult(query);
+            }
+            return this._ctx.stub.getPrivateDataQueryResult(this._name, query);
+        });
+    }
+
+    /**
+     * Get the hash of the value of a key in this private data collection. This
+     * is available to peers of organizations that do not hold the private data.
+     *
+     * @param {string} key The key to retrieve the hash for
+     * @returns {Promise<Uint8Array>} The hash of the value, which will be empty if the key does not exist
+     */
+    public async getHash (key: string): Promise<Uint8Array> {
+        this._assertPrivate('getHash');
+        return this._ctx.stub.getPrivateDataHash(this._name, key);
+    }
+
+    /**
+     * Get the key-level endorsement policy for a key in this collection.
+     *
+     * @param {string} key The key to retrieve the endorsement policy for
+     * @returns {Promise<Uint8Array>} The serialized endorsement policy, which can be
+     * used to construct a <code>KeyEndorsementPolicy</code>
+     */
+    public async getEndorsementPolicy (key: string): Promise<Uint8Array> {
+        if (this.isWorldState()) {
+            return this._ctx.stub.getStateValidationParameter(key);
+        }
+        return this._ctx.stub.getPrivateDataValidationParameter(this._name, key);
+    }
+
+    /**
+     * Set the key-level endorsement policy for a key in this collection.
+     *
+     * @param {string} key The key to set the endorsement policy for
+     * @param {IEndorsementPolicy} policy The endorsement policy
+     * @returns {Promise<void>} Resolves when the peer has accepted the policy
+     */
+    public async setEndorsementPolicy (key: string, policy: IEndorsementPolicy): Promise<void> {
+        const ep: Uint8Array = policy.getPolicy();
+        if (this.isWorldState()) {
+            return this._ctx.stub.setStateValidationParameter(key, ep);
+        }
+        return this._ctx.stub.setPrivateDataValidationParameter(this._name, key, ep);
+    }
+
+    /**
+     * Write a value supplied in the transaction's transient data to this private
+     * data collection, optionally setting a key-level endorsement policy on it.
+     *
+     * The transient value is decoded with the collection's codec before being
+     * written, so it is validated in the same way as any other value.
+     *
+     * @param {string} key The key to write
+     * @param {ITransientOptions} [options] Where to find the value and how to protect it
+     * @returns {Promise<T>} The value that was written
+     */
+    public async putFromTransient (key: string, options: ITransientOptions = {}): Promise<T> {
+        this._assertPrivate('putFromTransient');
+
+        const transientKey: string = options.transientKey || key;
+        const data: Uint8Array | undefined = this._ctx.stub.getTransient().get(transientKey);
+        if (!data || data.length === 0) {
+            throw new Error(`No value for ${transientKey} was supplied in the transient data`);
+        }
+
+        const value: T = this._codec.decode(data);
+        await this.put(key, value);
+
+        if (options.endorsementPolicy) {
+            await this.setEndorsementPolicy(key, options.endorsementPolicy);
+        }
+        return value;
+    }
+
+    private _assertPrivate (method: string): void {
+        if (this.isWorldState()) {
+            throw new Error(`${method} is only supported for private data collections`);
+        }
+    }
+
+    private async _getBytes (key: string): Promise<Uint8Array> {
+        if (this.isWorldState()) {
+            return this._ctx.stub.getState(key);
+        }
+        return this._ctx.stub.getPrivateData(this._name, key);
+    }
+
+    private async *_toEntries (runQuery: () => AsyncIterable<Iterators.KV>): AsyncIterableIterator<ICollectionEntry<T>> {
+        for await (const kv of runQuery()) {
+            yield {key: kv.key, value: this._codec.decode(kv.value)};
+        }
+    }
+}
@@ -4,7 +4,8 @@
  * SPDX-License-Identifier: Apache-2.0
  */
 
-import {Collection, CollectionNames} from './Collection';
+import {Collection, CollectionNames, ICollectionOptions} from './Collection';
+import {JSONCodec} from './Codec';
 
 import {Context} from 'fabric-contract-api';
 
@@ -34,19 +35,35 @@ export class Ledger {
     /**
      * Get a Collection instance for the named collection.
      *
+     * Without options the collection reads and writes raw bytes. When options
+     * are supplied, values are converted using the given codec, or as JSON if
+     * no codec is given.
+     *
      * @param {string} collectionName The name of the collection
+     * @param {ICollectionOptions} [options] How values in the collection are encoded
      * @returns {Promise<Collection>} A new Collection instance
      */
-    public async getCollection (collectionName: string): Promise<Collection> {
-        return new Collection();
+    public async getCollection (collectionName: string): Promise<Collection>;
+    public async getCollection<T> (collectionName: string, options: ICollectionOptions<T>): Promise<Collection<T>>;
+    public async getCollection<T> (collectionName: string, options?: ICollectionOptions<T>): Promise<Collection<T> | Collection> {
+        if (!options) {
+            return new Collection<Uint8Array>(this._ctx, collectionName);
+        }
+        return new Collection<T>(this._ctx, collectionName, options.codec || new JSONCodec<T>(options.type, options.canonical));
     }
 
     /**
      * Get a Collection instance representing the default world state.
      *
+     * @param {ICollectionOptions} [options] How values in the collection are encoded
      * @returns {Promise<Collection>} A new Collection instance
      */
-    public async getDefaultCollection (): Promise<Collection> {
-        return this.getCollection(CollectionNames.WORLD);
+    public async getDefaultCollection (): Promise<Collection>;
+    public async getDefaultCollection<T> (options: ICollectionOptions<T>): Promise<Collection<T>>;
+    public async getDefaultCollection<T> (options?: ICollectionOptions<T>): Promise<Collection<T> | Collection> {
+        if (!options) {
+            return this.getCollection(CollectionNames.WORLD);
+        }
+        return this.getCollection<T>(CollectionNames.WORLD, options);
     }
 }
@@ -4,5 +4,6 @@
  * SPDX-License-Identifier: Apache-2.0
  */
 
-export {Collection} from './Collection';
+export {BytesCodec, ICodec, JSONCodec} from './Codec';
+export {Collection, CollectionNames, ICollectionEntry, ICollectionOptions, IEndorsementPolicy, ITransientOptions} from './Collection';
 export {Ledger} from './Ledger';
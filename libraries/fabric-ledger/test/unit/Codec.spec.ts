@@ -0,0 +1,162 @@
+/*
+ * Copyright 2020 IBM All Rights Reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import {Object as DataType, Property} from 'fabric-contract-api';
+
+import {BytesCodec, JSONCodec} from '../../src/Codec';
+
+import chai = require('chai');
+const expect = chai.expect;
+
+
+class CodecTestAsset {
+	public id: string = '';
+	public value: number = 0;
+
+	public describe (): string {
+		return `${this.id}=${this.value}`;
+	}
+}
+
+Property('id', 'string')(CodecTestAsset.prototype, 'id');
+Property('value', 'number')(CodecTestAsset.prototype, 'value');
+DataType()(CodecTestAsset);
+
+class CodecTestToken {
+	public id: string = '';
+	public supply: bigint = BigInt(0);
+	public data: Buffer = Buffer.alloc(0);
+}
+
+Property('id', 'string')(CodecTestToken.prototype, 'id');
+Property('supply', 'bigint')(CodecTestToken.prototype, 'supply');
+Property('data', 'Buffer')(CodecTestToken.prototype, 'data');
+DataType()(CodecTestToken);
+
+
+describe('Codec', () => {
+
+	describe('BytesCodec', () => {
+		it('should encode values unchanged', () => {
+			const data = Buffer.from('value');
+			expect(new BytesCodec().encode(data)).to.equal(data);
+		});
+
+		it('should decode values unchanged', () => {
+			const data = Buffer.from('value');
+			expect(new BytesCodec().decode(data)).to.equal(data);
+		});
+	});
+
+	describe('JSONCodec', () => {
+		describe('without a type', () => {
+			const codec = new JSONCodec<{[key: string]: unknown}>();
+
+			it('should encode values as JSON', () => {
+				const data = codec.encode({name: 'fred', count: 3});
+				expect(JSON.parse(Buffer.from(data).toString())).to.deep.equal({name: 'fred', count: 3});
+			});
+
+			it('should decode JSON values', () => {
+				expect(codec.decode(Buffer.from('{"name":"fred","count":3}'))).to.deep.equal({name: 'fred', count: 3});
+			});
+
+			it('should encode strings', () => {
+				const stringCodec = new JSONCodec<string>();
+				expect(Buffer.from(stringCodec.encode('hello')).toString()).to.equal('hello');
+			});
+
+			it('should encode dates', () => {
+				const dateCodec = new JSONCodec<Date>();
+				const data = dateCodec.encode(new Date('2020-01-02T03:04:05.678Z'));
+				expect(Buffer.from(data).toString()).to.equal('2020-01-02T03:04:05.678Z');
+			});
+		});
+
+		describe('canonical', () => {
+			const codec = new JSONCodec<{[key: string]: unknown}>(undefined, true);
+
+			it('should encode values as JSON with sorted keys', () => {
+				const one = codec.encode({name: 'fred', count: 3});
+				const two = codec.encode({count: 3, name: 'fred'});
+				expect(Buffer.from(one).toString()).to.equal('{"count":3,"name":"fred"}');
+				expect(Buffer.from(two).toString()).to.equal('{"count":3,"name":"fred"}');
+			});
+
+			it('should decode JSON values', () => {
+				expect(codec.decode(Buffer.from('{"count":3,"name":"fred"}'))).to.deep.equal({name: 'fred', count: 3});
+			});
+		});
+
+		describe('with a type', () => {
+			const codec = new JSONCodec<CodecTestAsset>('CodecTestAsset');
+
+			it('should encode a valid value', () => {
+				const asset = new CodecTestAsset();
+				asset.id = 'A1';
+				asset.value = 10;
+				const data = codec.encode(asset);
+				expect(JSON.parse(Buffer.from(data).toString())).to.deep.equal({id: 'A1', value: 10});
+			});
+
+			it('should decode into an instance of the type', () => {
+				const asset = codec.decode(Buffer.from('{"id":"A1","value":10}'));
+				expect(asset).to.be.instanceOf(CodecTestAsset);
+				expect(asset.describe()).to.equal('A1=10');
+			});
+
+			it('should refuse to encode a value that does not match the schema', () => {
+				const asset: any = {id: 'A1', value: 'ten'};
+				expect(() => codec.encode(asset)).to.throw(/Value does not match the schema for type CodecTestAsset: .*value should be number/);
+			});
+
+			it('should refuse to encode a string or date rather than an object of the type', () => {
+				expect(() => codec.encode('hello' as any)).to.throw(/Value does not match the schema for type CodecTestAsset: .*should be object/);
+				expect(() => codec.encode(new Date() as any)).to.throw(/Value does not match the schema for type CodecTestAsset: .*should be object/);
+			});
+
+			it('should refuse to decode a value that does not match the schema', () => {
+				expect(() => codec.decode(Buffer.from('{"id":1,"value":10}'))).to.throw(/Value does not match the schema for type CodecTestAsset: .*id should be string/);
+			});
+
+			it('should encode and decode big integer and byte array properties', () => {
+				const tokenCodec = new JSONCodec<CodecTestToken>('CodecTestToken');
+				const token = new CodecTestToken();
+				token.id = 'T1';
+				token.supply = BigInt('12345678901234567890');
+				token.data = Buffer.from('hello world');
+				const data = tokenCodec.encode(token);
+				expect(JSON.parse(Buffer.from(data).toString())).to.deep.equal({id: 'T1', supply: '12345678901234567890', data: 'aGVsbG8gd29ybGQ='});
+
+				const decoded = tokenCodec.decode(data);
+				expect(decoded).to.be.instanceOf(CodecTestToken);
+				expect(decoded.supply).to.equal(BigInt('12345678901234567890'));
+				expect(Buffer.from(decoded.data).toString()).to.equal('hello world');
+			});
+
+			it('should refuse to decode a big integer that is not a string of digits', () => {
+				const tokenCodec = new JSONCodec<CodecTestToken>('CodecTestToken');
+				expect(() => tokenCodec.decode(Buffer.from('{"id":"T1","supply":"lots","data":""}'))).to.throw(/Value does not match the schema for type CodecTestToken: .*supply should match format "bigint"/);
+			});
+
+			it('should throw if the type has not been registered', () => {
+				const unknownCodec = new JSONCodec('UnknownType');
+				expect(() => unknownCodec.encode({})).to.throw(/No @Object schema has been registered for type UnknownType/);
+			});
+
+			it('should throw if no types have been registered', () => {
+				const objects = Reflect.getMetadata('fabric:objects', global);
+				Reflect.deleteMetadata('fabric:objects', global);
+				try {
+					const unregisteredCodec = new JSONCodec('CodecTestAsset');
+					expect(() => unregisteredCodec.encode({})).to.throw(/No @Object schema has been registered for type CodecTestAsset/);
+				} finally {
+					Reflect.defineMetadata('fabric:objects', objects, global);
+				}
+			});
+		});
+	});
+});
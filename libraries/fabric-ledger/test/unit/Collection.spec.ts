@@ -0,0 +1,347 @@
+/*
+ * Copyright 2020 IBM All Rights Reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import {Context} from 'fabric-contract-api';
+import {ChaincodeStub} from 'fabric-shim-api';
+import {anything, deepEqual, instance, mock, verify, when} from 'ts-mockito';
+
+import {ICodec} from '../../src/Codec';
+import {Collection, ICollectionEntry, CollectionNames} from '../../src/Collection';
+
+import chai = require('chai');
+import chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+
+function queryResultOf (...keys: string[]): any {
+	const kvs: any[] = keys.map((key) => ({namespace: 'ns', key, value: Buffer.from(`${key}-value`)}));
+	const result: any = {
+		closed: false,
+		async *[Symbol.asyncIterator] () {
+			try {
+				yield* kvs;
+			} finally {
+				result.closed = true;
+			}
+		}
+	};
+	return result;
+}
+
+async function collect<T> (entries: AsyncIterable<ICollectionEntry<T>>): Promise<ICollectionEntry<T>[]> {
+	const results: ICollectionEntry<T>[] = [];
+	for await (const entry of entries) {
+		results.push(entry);
+	}
+	return results;
+}
+
+describe('Collection', () => {
+
+	let stubMock: ChaincodeStub;
+	let ctx: Context;
+
+	const value = Buffer.from('value');
+
+	beforeEach(() => {
+		stubMock = mock<ChaincodeStub>();
+		ctx = new Context();
+		ctx.stub = instance(stubMock);
+	});
+
+	describe('getName()', () => {
+		it('should return the collection name', () => {
+			const collection = new Collection(ctx, 'mycollection');
+			expect(collection.getName()).to.equal('mycollection');
+		});
+	});
+
+	describe('isWorldState()', () => {
+		it('should return true for the world state collection', () => {
+			const collection = new Collection(ctx, CollectionNames.WORLD);
+			expect(collection.isWorldState()).to.be.true;
+		});
+
+		it('should return false for a private data collection', () => {
+			const collection = new Collection(ctx, 'mycollection');
+			expect(collection.isWorldState()).to.be.false;
+		});
+	});
+
+	describe('world state', () => {
+		let collection: Collection;
+
+		beforeEach(() => {
+			collection = new Collection(ctx, CollectionNames.WORLD);
+		});
+
+		it('should get using getState', async () => {
+			when(stubMock.getState('key')).thenResolve(value);
+			await expect(collection.get('key')).to.eventually.equal(value);
+		});
+
+		it('should get undefined if the key does not exist', async () => {
+			when(stubMock.getState('key')).thenResolve(Buffer.alloc(0));
+			await expect(collection.get('key')).to.eventually.be.undefined;
+		});
+
+		it('should put using putState', async () => {
+			when(stubMock.putState('key', value)).thenResolve();
+			await collection.put('key', value);
+			verify(stubMock.putState('key', value)).once();
+		});
+
+		it('should delete using deleteState', async () => {
+			when(stubMock.deleteState('key')).thenResolve();
+			await collection.delete('key');
+			verify(stubMock.deleteState('key')).once();
+		});
+	});
+
+	describe('private data', () => {
+		let collection: Collection;
+
+		beforeEach(() => {
+			collection = new Collection(ctx, 'mycollection');
+		});
+
+		it('should get using getPrivateData', async () => {
+			when(stubMock.getPrivateData('mycollection', 'key')).thenResolve(value);
+			await expect(collection.get('key')).to.eventually.equal(value);
+		});
+
+		it('should put using putPrivateData', async () => {
+			when(stubMock.putPrivateData('mycollection', 'key', value)).thenResolve();
+			await collection.put('key', value);
+			verify(stubMock.putPrivateData('mycollection', 'key', value)).once();
+		});
+
+		it('should delete using deletePrivateData', async () => {
+			when(stubMock.deletePrivateData('mycollection', 'key')).thenResolve();
+			await collection.delete('key');
+			verify(stubMock.deletePrivateData('mycollection', 'key')).once();
+		});
+	});
+
+	describe('exists()', () => {
+		let collection: Collection;
+
+		beforeEach(() => {
+			collection = new Collection(ctx, CollectionNames.WORLD);
+		});
+
+		it('should return true if the key has a value', async () => {
+			when(stubMock.getState('key')).thenResolve(value);
+			await expect(collection.exists('key')).to.eventually.be.true;
+		});
+
+		it('should return false if the key has an empty value', async () => {
+			when(stubMock.getState('key')).thenResolve(Buffer.alloc(0));
+			await expect(collection.exists('key')).to.eventually.be.false;
+		});
+
+		it('should return false if the key has no value', async () => {
+			when(stubMock.getState('key')).thenResolve(undefined as any);
+			await expect(collection.exists('key')).to.eventually.be.false;
+		});
+	});
+
+	describe('getRange()', () => {
+		it('should query the world state using getStateByRange', async () => {
+			when(stubMock.getStateByRange('a', 'c')).thenReturn(queryResultOf('a', 'b'));
+			const collection = new Collection(ctx, CollectionNames.WORLD);
+			const results = await collect(collection.getRange('a', 'c'));
+			expect(results).to.deep.equal([
+				{key: 'a', value: Buffer.from('a-value')},
+				{key: 'b', value: Buffer.from('b-value')}
+			]);
+		});
+
+		it('should query private data using getPrivateDataByRange', async () => {
+			when(stubMock.getPrivateDataByRange('mycollection', 'a', 'c')).thenReturn(queryResultOf('a'));
+			const collection = new Collection(ctx, 'mycollection');
+			const results = await collect(collection.getRange('a', 'c'));
+			expect(results).to.deep.equal([{key: 'a', value: Buffer.from('a-value')}]);
+		});
+
+		it('should not start the query until iterated', () => {
+			const collection = new Collection(ctx, CollectionNames.WORLD);
+			collection.getRange('a', 'c');
+			verify(stubMock.getStateByRange('a', 'c')).never();
+		});
+
+		it('should close the query when exiting the loop early', async () => {
+			const queryResult = queryResultOf('a', 'b');
+			when(stubMock.getStateByRange('a', 'c')).thenReturn(queryResult);
+			const collection = new Collection(ctx, CollectionNames.WORLD);
+			for await (const entry of collection.getRange('a', 'c')) {
+				expect(entry.key).to.equal('a');
+				break;
+			}
+			expect(queryResult.closed).to.be.true;
+		});
+	});
+
+	describe('getByPrefix()', () => {
+		it('should query the world state using getStateByPartialCompositeKey', async () => {
+			when(stubMock.getStateByPartialCompositeKey('type', deepEqual(['attr']))).thenReturn(queryResultOf('k1'));
+			const collection = new Collection(ctx, CollectionNames.WORLD);
+			const results = await collect(collection.getByPrefix('type', ['attr']));
+			expect(results).to.deep.equal([{key: 'k1', value: Buffer.from('k1-value')}]);
+		});
+
+		it('should query private data using getPrivateDataByPartialCompositeKey', async () => {
+			when(stubMock.getPrivateDataByPartialCompositeKey('mycollection', 'type', deepEqual(['attr']))).thenReturn(queryResultOf('k1'));
+			const collection = new Collection(ctx, 'mycollection');
+			const results = await collect(collection.getByPrefix('type', ['attr']));
+			expect(results).to.deep.equal([{key: 'k1', value: Buffer.from('k1-value')}]);
+		});
+	});
+
+	describe('query()', () => {
+		it('should query the world state using getQueryResult', async () => {
+			when(stubMock.getQueryResult('{"selector":{}}')).thenReturn(queryResultOf('k1'));
+			const collection = new Collection(ctx, CollectionNames.WORLD);
+			const results = await collect(collection.query('{"selector":{}}'));
+			expect(results).to.deep.equal([{key: 'k1', value: Buffer.from('k1-value')}]);
+		});
+
+		it('should query private data using getPrivateDataQueryResult', async () => {
+			when(stubMock.getPrivateDataQueryResult('mycollection', '{"selector":{}}')).thenReturn(queryResultOf('k1'));
+			const collection = new Collection(ctx, 'mycollection');
+			const results = await collect(collection.query('{"selector":{}}'));
+			expect(results).to.deep.equal([{key: 'k1', value: Buffer.from('k1-value')}]);
+		});
+
+		it('should convert an object selector to JSON', async () => {
+			when(stubMock.getQueryResult('{"selector":{"owner":"bob"}}')).thenReturn(queryResultOf('k1'));
+			const collection = new Collection(ctx, CollectionNames.WORLD);
+			const results = await collect(collection.query({selector: {owner: 'bob'}}));
+			expect(results).to.have.lengthOf(1);
+		});
+	});
+
+	describe('with a codec', () => {
+		const upperCodec: ICodec<string> = {
+			encode: (text: string) => Buffer.from(text.toUpperCase()),
+			decode: (data: Uint8Array) => Buffer.from(data).toString().toLowerCase()
+		};
+
+		it('should encode values when putting', async () => {
+			const collection = new Collection<string>(ctx, 'mycollection', upperCodec);
+			when(stubMock.putPrivateData('mycollection', 'key', deepEqual(Buffer.from('VALUE')))).thenResolve();
+			await collection.put('key', 'value');
+			verify(stubMock.putPrivateData('mycollection', 'key', deepEqual(Buffer.from('VALUE')))).once();
+		});
+
+		it('should decode values when getting', async () => {
+			const collection = new Collection<string>(ctx, CollectionNames.WORLD, upperCodec);
+			when(stubMock.getState('key')).thenResolve(Buffer.from('VALUE'));
+			await expect(collection.get('key')).to.eventually.equal('value');
+		});
+
+		it('should decode values of query results', async () => {
+			const collection = new Collection<string>(ctx, CollectionNames.WORLD, upperCodec);
+			when(stubMock.getStateByRange('a', 'c')).thenReturn(queryResultOf('a'));
+			const results = await collect(collection.getRange('a', 'c'));
+			expect(results).to.deep.equal([{key: 'a', value: 'a-value'}]);
+		});
+	});
+
+	describe('getHash()', () => {
+		it('should get the hash using getPrivateDataHash', async () => {
+			when(stubMock.getPrivateDataHash('mycollection', 'key')).thenResolve(value);
+			const collection = new Collection(ctx, 'mycollection');
+			await expect(collection.getHash('key')).to.eventually.equal(value);
+		});
+
+		it('should not be supported for the world state', async () => {
+			const collection = new Collection(ctx, CollectionNames.WORLD);
+			await expect(collection.getHash('key')).to.be.rejectedWith(/getHash is only supported for private data collections/);
+		});
+	});
+
+	describe('endorsement policies', () => {
+		const policy = {getPolicy: () => Buffer.from('policy')};
+
+		it('should get the world state policy using getStateValidationParameter', async () => {
+			when(stubMock.getStateValidationParameter('key')).thenResolve(value);
+			const collection = new Collection(ctx, CollectionNames.WORLD);
+			await expect(collection.getEndorsementPolicy('key')).to.eventually.equal(value);
+		});
+
+		it('should get the private data policy using getPrivateDataValidationParameter', async () => {
+			when(stubMock.getPrivateDataValidationParameter('mycollection', 'key')).thenResolve(value);
+			const collection = new Collection(ctx, 'mycollection');
+			await expect(collection.getEndorsementPolicy('key')).to.eventually.equal(value);
+		});
+
+		it('should set the world state policy using setStateValidationParameter', async () => {
+			when(stubMock.setStateValidationParameter('key', deepEqual(Buffer.from('policy')))).thenResolve();
+			const collection = new Collection(ctx, CollectionNames.WORLD);
+			await collection.setEndorsementPolicy('key', policy);
+			verify(stubMock.setStateValidationParameter('key', deepEqual(Buffer.from('policy')))).once();
+		});
+
+		it('should set the private data policy using setPrivateDataValidationParameter', async () => {
+			when(stubMock.setPrivateDataValidationParameter('mycollection', 'key', deepEqual(Buffer.from('policy')))).thenResolve();
+			const collection = new Collection(ctx, 'mycollection');
+			await collection.setEndorsementPolicy('key', policy);
+			verify(stubMock.setPrivateDataValidationParameter('mycollection', 'key', deepEqual(Buffer.from('policy')))).once();
+		});
+	});
+
+	describe('putFromTransient()', () => {
+		const policy = {getPolicy: () => Buffer.from('policy')};
+		const textCodec: ICodec<string> = {
+			encode: (text: string) => Buffer.from(text),
+			decode: (data: Uint8Array) => Buffer.from(data).toString()
+		};
+
+		let collection: Collection<string>;
+
+		beforeEach(() => {
+			collection = new Collection<string>(ctx, 'mycollection', textCodec);
+			when(stubMock.getTransient()).thenReturn(new Map([
+				['key', Buffer.from('secret')],
+				['other', Buffer.from('other secret')],
+				['empty', Buffer.alloc(0)]
+			]));
+		});
+
+		it('should write the transient value for the same key', async () => {
+			await expect(collection.putFromTransient('key')).to.eventually.equal('secret');
+			verify(stubMock.putPrivateData('mycollection', 'key', deepEqual(Buffer.from('secret')))).once();
+			verify(stubMock.setPrivateDataValidationParameter('mycollection', 'key', anything())).never();
+		});
+
+		it('should write the transient value for a different transient key', async () => {
+			await expect(collection.putFromTransient('key', {transientKey: 'other'})).to.eventually.equal('other secret');
+			verify(stubMock.putPrivateData('mycollection', 'key', deepEqual(Buffer.from('other secret')))).once();
+		});
+
+		it('should set the endorsement policy if supplied', async () => {
+			await collection.putFromTransient('key', {endorsementPolicy: policy});
+			verify(stubMock.putPrivateData('mycollection', 'key', deepEqual(Buffer.from('secret')))).calledBefore(
+				stubMock.setPrivateDataValidationParameter('mycollection', 'key', deepEqual(Buffer.from('policy'))));
+			verify(stubMock.setPrivateDataValidationParameter('mycollection', 'key', deepEqual(Buffer.from('policy')))).once();
+		});
+
+		it('should throw if the transient value is missing', async () => {
+			await expect(collection.putFromTransient('missing')).to.be.rejectedWith(/No value for missing was supplied in the transient data/);
+		});
+
+		it('should throw if the transient value is empty', async () => {
+			await expect(collection.putFromTransient('empty')).to.be.rejectedWith(/No value for empty was supplied in the transient data/);
+		});
+
+		it('should not be supported for the world state', async () => {
+			const worldState = new Collection<string>(ctx, CollectionNames.WORLD, textCodec);
+			await expect(worldState.putFromTransient('key')).to.be.rejectedWith(/putFromTransient is only supported for private data collections/);
+		});
+	});
+});
@@ -4,9 +4,10 @@
  * SPDX-License-Identifier: Apache-2.0
  */
 
-import {Context} from 'fabric-contract-api';
+import {CanonicalJSONSerializer, Context} from 'fabric-contract-api';
 import {mock} from 'ts-mockito';
 
+import {ICodec, JSONCodec} from '../../src/Codec';
 import {Collection} from '../../src/Collection';
 import {Ledger} from '../../src/Ledger';
 
@@ -50,6 +51,35 @@ describe('Ledger', () => {
 			const collection2 = await ledger.getCollection('mycollection');
 			expect(collection1).to.not.equal(collection2);
 		});
+
+		it('should return a Collection with the requested name', async () => {
+			const ctxMock: Context = mock(Context);
+			const ledger = await Ledger.getLedger(ctxMock);
+			const collection = await ledger.getCollection('mycollection');
+			expect(collection.getName()).to.equal('mycollection');
+		});
+
+		it('should use the supplied codec', async () => {
+			const codec: ICodec<string> = {
+				encode: (text: string) => Buffer.from(text),
+				decode: (data: Uint8Array) => Buffer.from(data).toString()
+			};
+			const ledger = await Ledger.getLedger(mock(Context));
+			const collection = await ledger.getCollection('mycollection', {codec});
+			expect((collection as any)._codec).to.equal(codec);
+		});
+
+		it('should default to a JSON codec when options are supplied', async () => {
+			const ledger = await Ledger.getLedger(mock(Context));
+			const collection = await ledger.getCollection('mycollection', {type: 'Asset'});
+			expect((collection as any)._codec).to.be.instanceOf(JSONCodec);
+		});
+
+		it('should use a canonical JSON codec when requested', async () => {
+			const ledger = await Ledger.getLedger(mock(Context));
+			const collection = await ledger.getCollection('mycollection', {canonical: true});
+			expect((collection as any)._codec._serializer).to.be.instanceOf(CanonicalJSONSerializer);
+		});
 	});
 
 	describe('getDefaultCollection()', () => {
@@ -68,5 +98,19 @@ describe('Ledger', () => {
 			const collection2 = await ledger.getDefaultCollection();
 			expect(collection1).to.not.equal(collection2);
 		});
+
+		it('should return the world state Collection', async () => {
+			const ctxMock: Context = mock(Context);
+			const ledger = await Ledger.getLedger(ctxMock);
+			const collection = await ledger.getDefaultCollection();
+			expect(collection.isWorldState()).to.be.true;
+		});
+
+		it('should return the world state Collection using the supplied options', async () => {
+			const ledger = await Ledger.getLedger(mock(Context));
+			const collection = await ledger.getDefaultCollection({});
+			expect(collection.isWorldState()).to.be.true;
+			expect((collection as any)._codec).to.be.instanceOf(JSONCodec);
+		});
 	});
 });
@@ -19,6 +19,7 @@ const ChaincodeServer = require('./server');
 const Iterators = require('./iterators');
 const ChaincodeStub = require('./stub');
 const KeyEndorsementPolicy = require('./utils/statebased');
+const ChaincodeEvents = require('./utils/events');
 const fs = require('fs');
 
 const {peer} = require('@hyperledger/fabric-protos');
@@ -166,23 +167,33 @@ class Shim {
 
     /**
 	 * @typedef {Object} ErrorResponse
-	 * @property {number} status Value is always set to 500 to indicate error
+	 * @property {number} status Status code of the error, 500 unless another has been given
 	 * @property {string} message Optional error message returned by the chaincode
+	 * @property {Buffer} [payload] Optional details of the error returned by the chaincode
 	 * @class
 	 * @memberof fabric-shim
 	 */
 
     /**
-	 * Returns a standard response object with status code 200 and an optional payload
+	 * Returns a standard response object with status code 500, or the status code given, a message and an optional payload
 	 * @static
 	 * @param {string} msg A message describing the error
+	 * @param {number} [status] Status code of the error, which must be at least 400 for the peer to treat it as an error
+	 * @param {Buffer} [payload] Details of the error
 	 * @returns {ErrorResponse}
 	 */
-    static error(msg) {
-        return {
-            status: ChaincodeStub.RESPONSE_CODE.ERROR,
+    static error(msg, status = ChaincodeStub.RESPONSE_CODE.ERROR, payload) {
+        if (status < ChaincodeStub.RESPONSE_CODE.ERRORTHRESHOLD) {
+            throw new Error(`Error status must be at least ${ChaincodeStub.RESPONSE_CODE.ERRORTHRESHOLD}, not ${status}`);
+        }
+        const response = {
+            status,
             message: msg
         };
+        if (payload) {
+            response.payload = payload;
+        }
+        return response;
     }
 
     /**
@@ -210,6 +221,7 @@ class Shim {
      * @property {string} ccid Chaincode ID
      * @property {string} address Listen address for the server
      * @property {ChaincodeServerTLSProperties} [tlsProps] TLS properties if TLS is required.
+     * @property {number} [request-timeout] Time in milliseconds to wait for the peer to respond to a request, defaults to 30 seconds.
      */
     /**
      * Returns a new Chaincode server. Should be called when the chaincode is launched in a server mode.
@@ -416,3 +428,4 @@ module.exports.HistoryQueryIterator = Iterators.HistoryQueryIterator;
 module.exports.StateQueryIterator = Iterators.StateQueryIterator;
 module.exports.ChaincodeInterface = ChaincodeInterface;
 module.exports.KeyEndorsementPolicy = KeyEndorsementPolicy;
+module.exports.ChaincodeEvents = ChaincodeEvents;
@@ -20,6 +20,11 @@ const validOptions = {
     'grpc.keepalive_timeout_ms': {type: 'number', default: 20000},
     'grpc.http2.max_pings_without_data': {type: 'number', default: 0},
     'grpc.keepalive_permit_without_calls': {type: 'number', default: 1},
+    'request-timeout': {type: 'number', default: 30000},
+    'shutdown-timeout': {type: 'number', default: 30000},
+    'health-address': {type: 'string'},
+    'health-max-event-loop-delay': {type: 'number', default: 5000},
+    'metrics-address': {type: 'string'},
     'chaincode-id': {type: 'string', required: true},
     'chaincode-tls-cert-file': {type: 'string', conflicts: 'chaincode-tls-cert-path'},
     'chaincode-tls-cert-path': {type: 'string', conflicts: 'chaincode-tls-cert-file'},
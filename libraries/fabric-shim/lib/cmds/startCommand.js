@@ -17,6 +17,12 @@ const validOptions = {
     'grpc.keepalive_timeout_ms': {type: 'number', default: 20000},
     'grpc.http2.max_pings_without_data': {type: 'number', default: 0},
     'grpc.keepalive_permit_without_calls': {type: 'number', default: 1},
+    'request-timeout': {type: 'number', default: 30000},
+    'reconnect-attempts': {type: 'number', default: 0},
+    'reconnect-delay': {type: 'number', default: 1000},
+    'reconnect-max-delay': {type: 'number', default: 30000},
+    'shutdown-timeout': {type: 'number', default: 30000},
+    'metrics-address': {type: 'string'},
     'ssl-target-name-override': {type: 'string'},
     'chaincode-id-name': {type: 'string', required: true},
     'module-path': {type: 'string', default: process.cwd()}
@@ -29,19 +29,53 @@ class Bootstrap {
      * @ignore
      * @param {Contract} contracts contract to register to use
      */
-    static register(contracts, serializers, fileMetadata, title, version, opts, serverMode = false) {
+    static async register(contracts, serializers, fileMetadata, title, version, opts, serverMode = false, middleware = [], validateReturnValues = false) {
         // load up the meta data that the user may have specified
         // this will need to passed in and rationalized with the
         // code as implemented
-        const chaincode = new ChaincodeFromContract(contracts, serializers, fileMetadata, title, version);
+        const chaincode = new ChaincodeFromContract(contracts, serializers, fileMetadata, title, version, middleware, validateReturnValues);
 
+        let target;
         if (serverMode) {
-            const server = shim.server(chaincode, opts);
-            server.start();
+            target = shim.server(chaincode, opts);
+            try {
+                await target.start();
+            } catch (err) {
+                // the gRPC, health or metrics port could not be bound
+                logger.error('Failed to start the chaincode server', err);
+                process.exit(1);
+                return;
+            }
         } else {
             // say hello to the peer
-            shim.start(chaincode);
+            target = shim.start(chaincode);
         }
+        Bootstrap.stopOnSignals(target, (opts || {})['shutdown-timeout']);
+    }
+
+    /**
+     * Stops the chaincode gracefully when the process is asked to terminate, so that the
+     * running transactions can complete before it exits
+     *
+     * @ignore
+     * @param {ChaincodeServer|ChaincodeSupportClient} target the server or client to stop
+     * @param {number} [timeout] the longest time in milliseconds to wait for the running transactions
+     */
+    static stopOnSignals(target, timeout) {
+        const stop = async (signal) => {
+            logger.info('Received %s, stopping the chaincode', signal);
+            try {
+                if (!await target.stop(timeout)) {
+                    logger.warn('Stopped the chaincode before all the running transactions had completed');
+                }
+            } catch (err) {
+                logger.error('Failed to stop the chaincode cleanly', err);
+            }
+            process.exit(0);
+        };
+
+        process.once('SIGTERM', stop);
+        process.once('SIGINT', stop);
     }
 
     /**
@@ -51,9 +85,9 @@ class Bootstrap {
      */
     static async bootstrap(serverMode = false) {
         const opts = serverMode ? ServerCommand.getArgs(yargs) : StartCommand.getArgs(yargs);
-        const {contracts, serializers, title, version} = this.getInfoFromContract(opts['module-path']);
+        const {contracts, serializers, title, version, middleware, validateReturnValues} = this.getInfoFromContract(opts['module-path']);
         const fileMetadata = await Bootstrap.getMetadata(opts['module-path']);
-        Bootstrap.register(contracts, serializers, fileMetadata, title, version, opts, serverMode);
+        await Bootstrap.register(contracts, serializers, fileMetadata, title, version, opts, serverMode, middleware, validateReturnValues);
     }
 
     static getInfoFromContract(modulePath) {
@@ -63,11 +97,12 @@ class Bootstrap {
         const json = require(jsonPath);
         logger.debug('starting up and reading package.json at %s', jsonPath);
         logger.debug('read JSON', json);
-        const JSONSerializer = require('fabric-contract-api').JSONSerializer;
+        const {JSONSerializer, CanonicalJSONSerializer} = require('fabric-contract-api');
         const defaultSerialization = {
             transaction: 'jsonSerializer',
             serializers: {
-                jsonSerializer : JSONSerializer
+                jsonSerializer : JSONSerializer,
+                canonicalJsonSerializer : CanonicalJSONSerializer
             }
         };
 
@@ -85,6 +120,7 @@ class Bootstrap {
                     throw new Error('There should be a \'transaction\' property to define the serializer for use with transactions');
                 }
                 serializers = r.serializers;
+                serializers.serializers = serializers.serializers || {};
 
                 // copy in the default ones if not already set
                 for (const s in defaultSerialization.serializers) {
@@ -93,11 +129,17 @@ class Bootstrap {
 
             }
 
+            // middleware that is run around the transactions of all the contracts
+            const middleware = r.middleware || [];
+
+            // whether to check the values returned by the transactions of all the contracts
+            const validateReturnValues = r.validateReturnValues === true;
+
             if (r.contracts) {
-                return {contracts: r.contracts, serializers, title: json.name, version: json.version};
+                return {contracts: r.contracts, serializers, title: json.name, version: json.version, middleware, validateReturnValues};
             }
 
-            return {contracts: [r], serializers, title: json.name, version: json.version};
+            return {contracts: [r], serializers, title: json.name, version: json.version, middleware, validateReturnValues};
         } else {
             throw new Error('package.json does not contain a \'main\' entry for the module');
         }
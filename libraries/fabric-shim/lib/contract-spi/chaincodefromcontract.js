@@ -8,15 +8,102 @@
 const shim = require('../chaincode');
 
 const utils = require('../utils/utils');
+const {setTransactionName} = require('../metrics');
 const Logger = require('../logger');
 const logger = Logger.getLogger('contracts-spi/chaincodefromcontract.js');
 const DataMarshall = require('./datamarshall.js');
 const ClientIdentity = require('../chaincode').ClientIdentity;
 const Ajv = require('ajv');
-const Contract = require('fabric-contract-api').Contract;
+const {Contract, ContractError, UnauthorizedError, formats} = require('fabric-contract-api');
 
 require('reflect-metadata');
 
+// a function name with this suffix is called with a single JSON object of named arguments
+const NAMED_ARGUMENTS_SUFFIX = '#named';
+
+/*
+ * Checks the invoking identity against the access rules of a transaction, returning
+ * the reason access is denied, or undefined if it is allowed. The identity must belong
+ * to one of the MSPs, have one of the roles and have all of the attributes.
+ */
+function checkAccess(access, clientIdentity) {
+    const {mspIds = [], roles = [], attributes = []} = access;
+
+    const mspId = clientIdentity.getMSPID();
+    if (mspIds.length > 0 && !mspIds.includes(mspId)) {
+        return `MSP ID ${mspId} is not one of ${mspIds.join(', ')}`;
+    }
+
+    const role = clientIdentity.getAttributeValue('hf.Type');
+    if (roles.length > 0 && !roles.includes(role)) {
+        return `role ${role} is not one of ${roles.join(', ')}`;
+    }
+
+    for (const {name, value} of attributes) {
+        const actual = clientIdentity.getAttributeValue(name);
+        if (actual === null) {
+            return `attribute ${name} is required`;
+        } else if (typeof value !== 'undefined' && actual !== value) {
+            return `attribute ${name} must have the value ${value}`;
+        }
+    }
+}
+
+/*
+ * Checks the invoking identity against the access rules that the annotations in the code give
+ * a transaction function. The metadata is not used, as it may have been supplied with the chaincode
+ * and leave the rules out; if it has rules that the code does not, access is denied, as the code is
+ * not what the metadata describes.
+ */
+function checkTransactionAccess(contractInstance, transaction, clientIdentity) {
+    const annotated = (Reflect.getMetadata('fabric:transactions', contractInstance) || []).find((t) => {
+        return t.name === transaction.name;
+    });
+    if (annotated && annotated.access) {
+        return checkAccess(annotated.access, clientIdentity);
+    } else if (transaction.access) {
+        return 'the access rules in the metadata cannot be found in the code';
+    }
+}
+
+/*
+ * Maps an error thrown while invoking a transaction onto the response to the peer. Contract
+ * errors provide the status, and their code and payload are returned as the JSON payload;
+ * any other error has the default status.
+ */
+function toErrorResponse(error) {
+    if (ContractError._isContractError(error)) {
+        const details = {code: error.code, payload: error.payload};
+        return shim.error(error.message, error.status, Buffer.from(JSON.stringify(details)));
+    }
+    return shim.error(error.message);
+}
+
+/*
+ * Combines middleware, Koa style, into a single function that runs each in turn
+ * around the handler. Each middleware is called with the context, the transaction
+ * description and a function to call the next one, and returns the result.
+ */
+function compose(middleware, handler) {
+    return (ctx, tx) => {
+        const dispatch = async (i) => {
+            if (i === middleware.length) {
+                return handler();
+            }
+
+            let called = false;
+            return middleware[i](ctx, tx, () => {
+                if (called) {
+                    return Promise.reject(new Error('next() called multiple times by transaction middleware'));
+                }
+                called = true;
+                return dispatch(i + 1);
+            });
+        };
+        return dispatch(0);
+    };
+}
+
 /**
  * The user will have written a class than extends the 'Contract' interface; this
  * is expressed in terms of domain specific functions - that need to be called in the
@@ -32,8 +119,10 @@ class ChaincodeFromContract {
      * Stores a reference to those, so they can be specifically called at a later time
      *
      * @param {Contract[]} contractClasses array of contracts to register
+     * @param {Function[]} middleware middleware to run around the transactions of all the contracts
+     * @param {Boolean} validateReturnValues check the values returned by all the contracts against their declared return types
      */
-    constructor(contractClasses, serializers, metadata = {}, title, version) {
+    constructor(contractClasses, serializers, metadata = {}, title, version, middleware = [], validateReturnValues = false) {
 
         if (!contractClasses) {
             throw new Error('Missing argument: array of contract classes');
@@ -41,10 +130,16 @@ class ChaincodeFromContract {
         if (!serializers) {
             throw new Error('Missing argument: serialization implement information');
         }
+        if (!Array.isArray(middleware) || middleware.some((m) => typeof m !== 'function')) {
+            throw new Error('Middleware must be an array of functions');
+        }
 
         this.serializers = serializers;
         logger.debug('Using serializers', serializers);
 
+        this.middleware = middleware;
+        this.validateReturnValues = validateReturnValues;
+
 
         this.title = title;
         this.version = version;
@@ -125,6 +220,7 @@ class ChaincodeFromContract {
             useDefaults: true,
             coerceTypes: false,
             allErrors: true,
+            formats,
             schemas: schemaList
         });
     }
@@ -204,6 +300,11 @@ class ChaincodeFromContract {
 
                 contract.transactions = this._processContractTransactions(impl, skipNames);
                 contract.info = this._processContractInfo(impl);
+
+                const events = this._processContractEvents(impl);
+                if (events.length > 0) {
+                    contract.events = events;
+                }
             }
         }
 
@@ -276,6 +377,15 @@ class ChaincodeFromContract {
         return transactions;
     }
 
+    /** read the events that have been declared by the contract */
+    _processContractEvents(contract) {
+        const events = Reflect.getMetadata('fabric:events', contract) || [];
+
+        logger.debug('Events for contract ' + contract.name, events);
+
+        return events;
+    }
+
     /**
      * get information on this contract
      * @param {*} contract
@@ -331,9 +441,15 @@ class ChaincodeFromContract {
         const txID = stub.getTxID();
         const channelID = stub.getChannelID();
         const loggerPrefix = utils.generateLoggingPrefix(channelID, txID);
+
+        // the metrics of transactions for contracts or functions that are not known are recorded
+        // without the names, so that any arguments cannot add to the number of series
+        setTransactionName(stub, '', '');
         try {
-            const {contractName: cn, function: fn} = this._splitFunctionName(fAndP);
-            logger.debug(`${loggerPrefix} Invoking ${cn} ${fn}`);
+            const {contractName: cn, function: requestedFn} = this._splitFunctionName(fAndP);
+            const namedArguments = requestedFn.endsWith(NAMED_ARGUMENTS_SUFFIX);
+            const fn = namedArguments ? requestedFn.slice(0, -NAMED_ARGUMENTS_SUFFIX.length) : requestedFn;
+            logger.debug(`${loggerPrefix} Invoking ${cn} ${fn}${namedArguments ? ' with named arguments' : ''}`);
 
 
             const contractData = this.contractImplementations[cn];
@@ -350,6 +466,12 @@ class ChaincodeFromContract {
             const ctx = contractInstance.createContext();
             ctx.setChaincodeStub(stub);
             ctx.setClientIdentity(new ClientIdentity(stub));
+            ctx.setEventEmitter((name, payload) => {
+                const event = (transactionDescriptor.events || []).find((e) => {
+                    return e.name === name;
+                });
+                stub.addEvent(name, dataMarshall.handleEvent(event, name, payload, loggerPrefix));
+            });
             ctx.logging = {
                 setLevel: Logger.setLevel,
                 getLogger: (name) => {
@@ -361,22 +483,39 @@ class ChaincodeFromContract {
             const functionExists = transactionDescriptor.transactions.find((transaction) => {
                 return transaction.name === fn;
             });
+            setTransactionName(stub, cn, functionExists ? fn : '');
 
             // if the function exists, then we can call it otherwise, call the unkownn tx handler
             if (functionExists) {
                 logger.debug(`${JSON.stringify(functionExists)}`);
-                // marhsall the parameters into the correct types for hanlding by
-                // the tx function
-                const parameters = dataMarshall.handleParameters(functionExists, txArgs, loggerPrefix);
-
-                // before tx
-                await contractInstance.beforeTransaction(ctx);
 
-                // around tx
-                const result = await contractInstance.aroundTransaction(ctx, fn, parameters);
+                // check the invoking identity is allowed to call the tx function
+                const reason = checkTransactionAccess(contractInstance, functionExists, ctx.clientIdentity);
+                if (reason) {
+                    throw new UnauthorizedError(`Access denied to ${fn}: ${reason}`);
+                }
 
-                // after tx fn, assuming that the smart contract hasn't gone wrong
-                await contractInstance.afterTransaction(ctx, result);
+                // marhsall the parameters into the correct types for hanlding by
+                // the tx function
+                const parameters = namedArguments ?
+                    dataMarshall.handleNamedParameters(functionExists, txArgs, loggerPrefix) :
+                    dataMarshall.handleParameters(functionExists, txArgs, loggerPrefix);
+
+                // run the global then the contract's middleware, around the
+                // before, around and after tx fns
+                const middleware = this.middleware.concat(contractInstance.__middleware || []);
+                const tx = {contract: cn, function: fn, descriptor: functionExists, parameters};
+                const result = await compose(middleware, async () => {
+                    // before tx
+                    await contractInstance.beforeTransaction(ctx);
+
+                    // around tx
+                    const result = await contractInstance.aroundTransaction(ctx, fn, tx.parameters);
+
+                    // after tx fn, assuming that the smart contract hasn't gone wrong
+                    await contractInstance.afterTransaction(ctx, result);
+                    return result;
+                })(ctx, tx);
 
                 let returnSchema = {};
                 // javascript/typescript so there will only be one type
@@ -384,6 +523,14 @@ class ChaincodeFromContract {
                     returnSchema = functionExists.returns;
                 }
                 logger.debug(`${JSON.stringify(result)},${returnSchema.schema}`);
+
+                // the contract's own setting takes precedence over the chaincode-wide one
+                const validateReturnValues = typeof contractInstance.__returnValuesValidated === 'boolean' ?
+                    contractInstance.__returnValuesValidated : this.validateReturnValues;
+                if (validateReturnValues && returnSchema.schema) {
+                    return shim.success(dataMarshall.handleReturnValue(functionExists, result, returnSchema.schema, loggerPrefix));
+                }
+
                 // returnSchema can be undefined if there is no return value - the datamarshall can handle that
                 // return the data value, if any to the shim. Including converting the result to the wire format
                 return shim.success(dataMarshall.toWireBuffer(result, returnSchema.schema, loggerPrefix));
@@ -393,14 +540,14 @@ class ChaincodeFromContract {
                     await contractInstance.unknownTransaction(ctx);
                     return shim.success();
                 } catch (error) {
-                    return shim.error(error.message);
+                    return toErrorResponse(error);
                 }
             }
 
         } catch (error) {
             // log the error and then fail the transaction
             logger.error(`${loggerPrefix} ${error}`);
-            return shim.error(error.message);
+            return toErrorResponse(error);
         }
     }
 
@@ -8,6 +8,7 @@
 const Logger = require('../logger');
 const logger = Logger.getLogger('contracts-spi/datamarshall.js');
 const Ajv = require('ajv');
+const {ValidationError, formats} = require('fabric-contract-api');
 
 /** DataMarshall
  * An important class that provides the bridge between the serializers that are defining the wire (and ledger) data formats
@@ -37,10 +38,14 @@ module.exports = class DataMarshall {
         // setup an instance of the AJV JSONSchema parser to process the types
         this.ajv = new Ajv({useDefaults: true,
             coerceTypes: false,
-            allErrors: true
+            allErrors: true,
+            formats
         });
 
         this.components = components;
+
+        // the validators compiled for each fragment of schema, as they are used for every transaction
+        this._validators = new WeakMap();
     }
 
     /**
@@ -52,7 +57,7 @@ module.exports = class DataMarshall {
      * @return {Buffer} byte buffer to send
      */
     toWireBuffer(result, schema = {}, loggerPrefix) {
-        return this.serializer.toBuffer(result, schema, loggerPrefix);
+        return this.serializer.toBuffer(result, schema, loggerPrefix, this.components);
     }
 
     /**
@@ -70,6 +75,57 @@ module.exports = class DataMarshall {
         return {value, validateData:(validateData ? validateData : value)};
     }
 
+    /**
+     * Convert the payload of an event emitted by a tx function into the buffer used as the
+     * event payload. If the event has been declared with a schema the payload is checked against it.
+     *
+     * @param {Object} event Event as declared in the metadata, if it has been declared
+     * @param {String} name Name of the event
+     * @param {Object} payload Payload supplied by the tx function
+     * @return {Buffer} byte buffer to use as the event payload
+     */
+    handleEvent(event, name, payload, loggerPrefix) {
+        if (!event || !event.schema) {
+            logger.debug(`${loggerPrefix} No schema declared for event ${name}`);
+            return this.toWireBuffer(payload, {}, loggerPrefix);
+        }
+
+        const buffer = this.toWireBuffer(payload, event.schema, loggerPrefix);
+        if (!buffer) {
+            throw new Error(`Event ${name} requires a payload`);
+        }
+
+        const {errors} = this._validateWireBuffer(buffer, event.schema, loggerPrefix);
+        if (errors) {
+            throw new Error(`Unable to validate payload of event ${name} due to ${errors}`);
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Convert the value returned by a tx function into the buffer sent back to the peer, checking it
+     * against the schema declared for the return value first.
+     *
+     * @param {object} fn Function currently being called
+     * @param {Object} result Value returned by the tx function
+     * @param {Object} returnSchema Fragment of JSON schema that defines the return type
+     * @return {Buffer} byte buffer to send
+     */
+    handleReturnValue(fn, result, returnSchema, loggerPrefix) {
+        const buffer = this.toWireBuffer(result, returnSchema, loggerPrefix);
+        if (!buffer) {
+            throw new Error(`Transaction ${fn.name} must return a value`);
+        }
+
+        const {errors} = this._validateWireBuffer(buffer, returnSchema, loggerPrefix);
+        if (errors) {
+            throw new Error(`Unable to validate return value of ${fn.name} due to ${errors}`);
+        }
+
+        return buffer;
+    }
+
     /**
      * Process all the parameters
      *
@@ -89,47 +145,121 @@ module.exports = class DataMarshall {
             }
         }
 
-        if (expectedParams.length !== parameters.length) {
-            const errMsg = `Expected ${expectedParams.length} parameters, but ${parameters.length} have been supplied`;
+        // trailing parameters that are optional can be left out by the caller
+        const missing = expectedParams.slice(parameters.length).filter((p) => p.required !== false);
+        if (parameters.length > expectedParams.length || missing.length > 0) {
+            let minimum = 0;
+            expectedParams.forEach((p, i) => {
+                if (p.required !== false) {
+                    minimum = i + 1;
+                }
+            });
+            const expectedCount = minimum === expectedParams.length ? `${expectedParams.length}` : `between ${minimum} and ${expectedParams.length}`;
+            let errMsg = `Expected ${expectedCount} parameters, but ${parameters.length} have been supplied`;
+            if (missing.length > 0) {
+                errMsg += `; missing required parameters ${missing.map((p) => p.name).join(', ')}`;
+            }
             logger.error(`${loggerPrefix} ${errMsg}`);
-            throw new Error(errMsg);
+            throw new ValidationError(errMsg);
+        }
+
+        return this._processParameters(expectedParams, parameters, loggerPrefix);
+    }
+
+    /**
+     * Process the parameters when they have been supplied as a single JSON object, keyed
+     * by the names of the parameters rather than in order
+     *
+     * @param {object} fn Function currently being called
+     * @param {array} parameters Parameters as passed from the shim, the first being the JSON object
+     * @return {array} of parameters that can be passed to the actual tx function
+     */
+    handleNamedParameters(fn, parameters, loggerPrefix) {
+        const expectedParams = fn.parameters || [];
+        if (parameters.length !== 1) {
+            throw new ValidationError(`Expected a single JSON object of named parameters, but ${parameters.length} arguments have been supplied`);
         }
 
+        let named;
+        try {
+            named = JSON.parse(parameters[0].toString());
+        } catch (err) {
+            throw new ValidationError(`Unable to parse named parameters: ${err.message}`);
+        }
+        if (!named || typeof named !== 'object' || Array.isArray(named)) {
+            throw new ValidationError('Named parameters must be a JSON object');
+        }
+
+        const isSupplied = (p) => Object.prototype.hasOwnProperty.call(named, p.name);
+        const unknown = Object.keys(named).filter((name) => {
+            return !expectedParams.some((p) => p.name === name);
+        });
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown parameters ${unknown.join(', ')} have been supplied`);
+        }
+        const missing = expectedParams.filter((p) => p.required !== false && !isSupplied(p));
+        if (missing.length > 0) {
+            throw new ValidationError(`Missing required parameters ${missing.map((p) => p.name).join(', ')}`);
+        }
+
+        // put the values in order, in the form they would have had as positional arguments; their JSON
+        // types are lost in that form, so are checked first
+        const positional = expectedParams.map((p) => {
+            if (!isSupplied(p)) {
+                return undefined;
+            }
+            const value = named[p.name];
+            const errors = this._validate(value, p.schema, loggerPrefix);
+            if (errors) {
+                throw new ValidationError(`Unable to validate parameter ${p.name} due to ${errors}`);
+            }
+            return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value));
+        });
+        logger.debug(`${loggerPrefix} Named parameters in order ${require('util').inspect(positional)}`);
+
+        return this._processParameters(expectedParams, positional, loggerPrefix);
+    }
+
+    /**
+     * Check each of the supplied parameters matches its type and demarshall it
+     *
+     * @param {array} expectedParams Parameters of the function from the metadata
+     * @param {array} parameters Parameters in order, undefined for any optional ones that have not been supplied
+     * @return {array} of parameters that can be passed to the actual tx function
+     */
+    _processParameters(expectedParams, parameters, loggerPrefix) {
         const returnParams = [];
 
         // check each parameter matches the type and then demarshall
-        for (let i = 0; i < fn.parameters.length; i++) {
+        for (let i = 0; i < expectedParams.length; i++) {
             const supplied = parameters[i];
             const expected = expectedParams[i];
+
+            if (typeof supplied === 'undefined') {
+                // use a copy of the default, so the tx function can't change the one in the metadata
+                const defaultValue = expected.schema && expected.schema.default;
+                logger.debug(`${loggerPrefix} Optional parameter ${expected.name} not supplied, using ${JSON.stringify(defaultValue)}`);
+                returnParams.push(typeof defaultValue === 'undefined' ? undefined : JSON.parse(JSON.stringify(defaultValue)));
+                continue;
+            }
+
             logger.debug(`${loggerPrefix} Expected parameter ${JSON.stringify(expected)}`);
             logger.debug(`${loggerPrefix} Supplied parameter ${require('util').inspect(supplied)}`);
             // check the type
-            const schema = {
-                properties: {
-                    prop: expected.schema
-                },
-                components: {
-                    schemas: this.components
-                }
-            };
-
-            if (!expected.schema.type && !expected.schema.$ref) {
+            if (!expected.schema.type && !expected.schema.$ref && !expected.schema.anyOf) {
                 throw new Error(`Incorrect type information ${JSON.stringify(expected.schema)}`);
             }
 
-            const validator = this.ajv.compile(schema);
-
-            const {value, validateData} = this.fromWireBuffer(supplied, schema, loggerPrefix);
-            logger.debug(`${JSON.stringify(validateData)}`);
-            logger.debug(`${JSON.stringify(schema)}`);
-            const valid = validator({prop:validateData});
-
-            if (!valid) {
-                const errors = JSON.stringify(validator.errors.map((err) => {
-                    return err.message;
-                }));
-                logger.debug(`${loggerPrefix} ${errors}`);
-                throw new Error(`Unable to validate parameter due to ${errors}`);
+            // the serializer fails to convert values that are not of the expected type, such as a number
+            let converted;
+            try {
+                converted = this._validateWireBuffer(supplied, expected.schema, loggerPrefix);
+            } catch (err) {
+                throw new ValidationError(`Unable to convert parameter ${expected.name} due to ${err.message}`);
+            }
+            const {value, errors} = converted;
+            if (errors) {
+                throw new ValidationError(`Unable to validate parameter due to ${errors}`);
             }
 
             returnParams.push(value);
@@ -137,4 +267,61 @@ module.exports = class DataMarshall {
         logger.debug(`${loggerPrefix} Processed params ${returnParams}`);
         return returnParams;
     }
+
+    /**
+     * Demarshall a buffer and check it against a fragment of JSON schema
+     *
+     * @param {Buffer} buffer byte buffer of the data
+     * @param {Object} fragment Fragment of JSON schema that defines its type
+     * @return {Object} value is the demarshalled value, and errors the messages of any failed checks as a JSON array
+     */
+    _validateWireBuffer(buffer, fragment, loggerPrefix) {
+        const {value, validateData} = this.fromWireBuffer(buffer, this._compile(fragment).schema, loggerPrefix);
+        return {value, errors: this._validate(validateData, fragment, loggerPrefix)};
+    }
+
+    /**
+     * Check data in its JSON form against a fragment of JSON schema
+     *
+     * @param {Object} data the data to check
+     * @param {Object} fragment Fragment of JSON schema that defines its type
+     * @return {String} the messages of the failed checks as a JSON array, or undefined if the data is valid
+     */
+    _validate(data, fragment, loggerPrefix) {
+        const {validator} = this._compile(fragment);
+        logger.debug(`${loggerPrefix} Validating ${JSON.stringify(data)}`);
+        if (validator({prop:data})) {
+            return;
+        }
+
+        const errors = JSON.stringify(validator.errors.map((err) => {
+            return err.message;
+        }));
+        logger.debug(`${loggerPrefix} ${errors}`);
+        return errors;
+    }
+
+    /**
+     * The full schema and validator for a fragment of JSON schema. The validator for each fragment
+     * is compiled the first time it is used, and kept for the later transactions.
+     *
+     * @param {Object} fragment Fragment of JSON schema that defines a type
+     * @return {Object} schema is the fragment within the schemas of the complex types, and validator its validator
+     */
+    _compile(fragment) {
+        let compiled = this._validators.get(fragment);
+        if (!compiled) {
+            const schema = {
+                properties: {
+                    prop: fragment
+                },
+                components: {
+                    schemas: this.components
+                }
+            };
+            compiled = {schema, validator: this.ajv.compile(schema)};
+            this._validators.set(fragment, compiled);
+        }
+        return compiled;
+    }
 };
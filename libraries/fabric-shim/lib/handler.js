@@ -9,6 +9,7 @@
 process.env.GRPC_SSL_CIPHER_SUITES = 'ECDHE-RSA-AES128-GCM-SHA256:ECDHE-RSA-AES128-SHA256:ECDHE-RSA-AES256-SHA384:ECDHE-RSA-AES256-GCM-SHA384:ECDHE-ECDSA-AES128-GCM-SHA256:ECDHE-ECDSA-AES128-SHA256:ECDHE-ECDSA-AES256-SHA384:ECDHE-ECDSA-AES256-GCM-SHA384';
 
 const grpc = require('@grpc/grpc-js');
+const EventEmitter = require('events');
 const {peer} = require('@hyperledger/fabric-protos');
 const {URL} = require('url');
 const util = require('util');
@@ -19,6 +20,7 @@ const logger = require('./logger').getLogger('lib/handler.js');
 const Stub = require('./stub.js');
 
 const utils = require('./utils/utils');
+const {metrics, getTransactionName, MetricsServer} = require('./metrics');
 
 const STATES = {
     Created: 'created',
@@ -37,6 +39,16 @@ const MSG_TYPE = {
     COMPLETED: peer.ChaincodeMessage.Type.COMPLETED,
 };
 
+// time in milliseconds to wait for the peer to respond to a request
+const DEFAULT_REQUEST_TIMEOUT = 30000;
+
+// times in milliseconds to wait before reconnecting to the peer; the delay doubles on each attempt, up to the maximum
+const DEFAULT_RECONNECT_DELAY = 1000;
+const DEFAULT_RECONNECT_MAX_DELAY = 30000;
+
+// time in milliseconds to wait for the running transactions to complete when stopping
+const DEFAULT_SHUTDOWN_TIMEOUT = 30000;
+
 /*
  * Simple class to represent a message to be queued with the associated
  * promise methods to be driven around this message
@@ -61,13 +73,42 @@ class QMsg {
         return this.method;
     }
 
+    /*
+     * Start the timer for the response to this message, calling onTimeout
+     * if no response has been received within the timeout
+     *
+     * @param {number} timeout the time in milliseconds to wait for a response
+     * @param {function} onTimeout the function to call if the timeout expires
+     */
+    startTimer(timeout, onTimeout) {
+        this.timer = setTimeout(onTimeout, timeout);
+        this.endTimer = metrics.peerRequestDuration.startTimer();
+    }
+
     success(response) {
+        clearTimeout(this.timer);
+        this._recordDuration('success');
         this.resolve(response);
     }
 
-    fail(err) {
+    /*
+     * @param {Error} err the error to reject with
+     * @param {string} [result] how the request failed, for the metrics: error or timeout
+     */
+    fail(err, result = 'error') {
+        clearTimeout(this.timer);
+        this._recordDuration(result);
         this.reject(err);
     }
+
+    /*
+     * Record how long the peer took to respond, if the message was sent
+     */
+    _recordDuration(result) {
+        if (this.endTimer) {
+            this.endTimer({type: this.method, result});
+        }
+    }
 }
 
 
@@ -83,6 +124,9 @@ class MsgQueueHandler {
         this.handler = handler;
         this.stream = handler._stream;
         this.txQueues = {};
+
+        // the transactions that a request has timed out for; the peer may still reply to that request
+        this.timedOut = new Set();
     }
 
     /*
@@ -92,13 +136,24 @@ class MsgQueueHandler {
      * @param {QMsg} qMsg the message to queue
      */
     queueMsg(qMsg) {
+        if (this.error) {
+            qMsg.fail(this.error);
+            return;
+        }
+
         const txContextId = qMsg.getMsgTxContextId();
+        if (this.timedOut.has(txContextId)) {
+            qMsg.fail(this._timedOutError(qMsg));
+            return;
+        }
+
         let msgQueue = this.txQueues[txContextId];
         if (!msgQueue) {
             msgQueue = this.txQueues[txContextId] = [];
         }
 
         msgQueue.push(qMsg);
+        metrics.peerRequestQueueDepth.inc();
         if (msgQueue.length === 1) {
             this._sendMsg(txContextId);
         }
@@ -117,6 +172,13 @@ class MsgQueueHandler {
         const txId = response.txid;
         const channel_id = response.channel_id;
         const txContextId = channel_id + txId;
+        if (this.timedOut.has(txContextId)) {
+            const loggerPrefix = utils.generateLoggingPrefix(channel_id, txId);
+            logger.warn(util.format('%s Ignoring a response of type %s as a request for the transaction has timed out',
+                loggerPrefix, response.type));
+            return;
+        }
+
         const qMsg = this._getCurrentMsg(txContextId);
         if (qMsg) {
             try {
@@ -159,6 +221,7 @@ class MsgQueueHandler {
         const msgQueue = this.txQueues[txContextId];
         if (msgQueue && msgQueue.length > 0) {
             msgQueue.shift();
+            metrics.peerRequestQueueDepth.dec();
             if (msgQueue.length === 0) {
                 delete this.txQueues[txContextId];
             } else {
@@ -177,18 +240,91 @@ class MsgQueueHandler {
         if (qMsg) {
             try {
                 this.stream.write(qMsg.getMsg());
+                qMsg.startTimer(this.handler._request_timeout, () => this._handleTimeout(txContextId, qMsg));
             } catch (err) {
                 qMsg.fail(err);
             }
         }
     }
+
+    /**
+     * Fail all the messages that are queued or waiting for a response, as the stream
+     * to the peer has closed. Messages that are queued afterwards fail straight away.
+     *
+     * @param {Error} err the error to fail the messages with
+     */
+    failAll(err) {
+        this.error = err;
+        for (const txContextId in this.txQueues) {
+            this.txQueues[txContextId].forEach((qMsg) => qMsg.fail(err));
+            metrics.peerRequestQueueDepth.dec({}, this.txQueues[txContextId].length);
+        }
+        this.txQueues = {};
+    }
+
+    /**
+     * Handle the peer not responding to the current message within the request
+     * timeout. The message is failed, along with the rest of the messages queued
+     * for the transaction, and no more can be sent for it.
+     *
+     * @param {any} txContextId the transaction context id
+     * @param {QMsg} qMsg the message that timed out
+     */
+    _handleTimeout(txContextId, qMsg) {
+        const msg = qMsg.getMsg();
+        const loggerPrefix = utils.generateLoggingPrefix(msg.getChannelId(), msg.getTxid());
+        const errMsg = util.format('%s Timed out after %d ms waiting for the peer to respond to %s for transaction %s',
+            loggerPrefix, this.handler._request_timeout, qMsg.getMethod(), msg.getTxid());
+        logger.error(errMsg);
+
+        qMsg.fail(new Error(errMsg), 'timeout');
+
+        // a late reply from the peer cannot be told apart from the reply to the next message, so the
+        // rest of the messages for the transaction are failed, and its later responses ignored
+        this.timedOut.add(txContextId);
+        const msgQueue = this.txQueues[txContextId] || [];
+        delete this.txQueues[txContextId];
+        metrics.peerRequestQueueDepth.dec({}, msgQueue.length);
+        msgQueue.slice(1).forEach((queued) => queued.fail(this._timedOutError(queued)));
+    }
+
+    /*
+     * The error for a message that cannot be sent as a request for its transaction has timed out
+     *
+     * @param {QMsg} qMsg the message
+     * @returns {Error} the error
+     */
+    _timedOutError(qMsg) {
+        const msg = qMsg.getMsg();
+        const loggerPrefix = utils.generateLoggingPrefix(msg.getChannelId(), msg.getTxid());
+        return new Error(util.format('%s Cannot send %s as a request to the peer for transaction %s has timed out',
+            loggerPrefix, qMsg.getMethod(), msg.getTxid()));
+    }
+
+    /*
+     * Forget a transaction once it has completed
+     *
+     * @param {string} txContextId the transaction context id
+     */
+    endTransaction(txContextId) {
+        this.timedOut.delete(txContextId);
+    }
 }
 
 
 /*
  * The ChaincodeSupportClient class represents a chaincode gRPC client to the peer.
+ *
+ * When the stream to the peer is lost the client registers with the peer again, after a delay
+ * that doubles on each attempt. It emits events as the connection changes:
+ * <br>- established: the peer has accepted the registration
+ * <br>- ready: the peer is ready to send transactions
+ * <br>- disconnected: the stream to the peer has been lost, with the error if there was one
+ * <br>- reconnecting: the client will register again, with the attempt number and the delay in milliseconds
+ * <br>- closed: the client has been closed, or has run out of attempts, and will not register again
+ * <br>- protocolError: the peer sent a message that cannot be handled, with its type, channel_id, txid and the state
  */
-class ChaincodeSupportClient {
+class ChaincodeSupportClient extends EventEmitter {
 
     /*
      * Constructs an object with the endpoint configuration settings.
@@ -203,9 +339,21 @@ class ChaincodeSupportClient {
      *    hostname (in the 'CN' field) does not match the actual host endpoint that the server process runs
      *    at, the application can work around the client TLS verify failure by setting this property to the
      *    value of the server certificate's hostname
+     * <br>- request-timeout {number} The time in milliseconds to wait for the peer to respond to a
+     *    request made by the chaincode, defaults to 30 seconds
+     * <br>- reconnect-attempts {number} The number of times to try to register again after the stream
+     *    to the peer is lost, or -1 for no limit; defaults to 0, which does not reconnect
+     * <br>- reconnect-delay {number} The time in milliseconds to wait before the first attempt, defaults to 1 second
+     * <br>- reconnect-max-delay {number} The longest time in milliseconds to wait between attempts, defaults to 30 seconds
+     * <br>- shutdown-timeout {number} The time in milliseconds that stopping waits for the running transactions
+     *    to complete, defaults to 30 seconds
+     * <br>- metrics-address {string} The host and port, as host:port, to serve the metrics on in the Prometheus
+     *    text format, at /metrics; the metrics are not served if not set
      * <br>- any other standard grpc call options will be passed to the grpc service calls directly
      */
     constructor(chaincode, url, opts) {
+        super();
+
         if (typeof chaincode !== 'object') {
             throw new Error('Missing required argument: chaincode');
         }
@@ -228,7 +376,7 @@ class ChaincodeSupportClient {
         }
 
         for (const key in opts ? opts : {}) {
-            if (key !== 'pem' && key !== 'ssl-target-name-override') {
+            if (key !== 'pem' && key !== 'ssl-target-name-override' && key !== 'request-timeout' && key !== 'shutdown-timeout' && key !== 'metrics-address' && !key.startsWith('reconnect-')) {
                 this._options[key] = opts[key];
             }
         }
@@ -238,27 +386,116 @@ class ChaincodeSupportClient {
         this._endpoint = new Endpoint(url, opts);
 
         // node.js based timeout
-        this._request_timeout = 30000;
+        this._request_timeout = DEFAULT_REQUEST_TIMEOUT;
         if (opts && opts['request-timeout']) {
             this._request_timeout = opts['request-timeout'];
         }
 
+        // reconnection to the peer
+        this._reconnectAttempts = 0;
+        if (opts && typeof opts['reconnect-attempts'] === 'number') {
+            this._reconnectAttempts = opts['reconnect-attempts'];
+        }
+        this._reconnectDelay = DEFAULT_RECONNECT_DELAY;
+        if (opts && opts['reconnect-delay']) {
+            this._reconnectDelay = opts['reconnect-delay'];
+        }
+        this._reconnectMaxDelay = DEFAULT_RECONNECT_MAX_DELAY;
+        if (opts && opts['reconnect-max-delay']) {
+            this._reconnectMaxDelay = opts['reconnect-max-delay'];
+        }
+        this._attempt = 0;
+        this._closed = false;
+
+        this._shutdownTimeout = DEFAULT_SHUTDOWN_TIMEOUT;
+        if (opts && opts['shutdown-timeout']) {
+            this._shutdownTimeout = opts['shutdown-timeout'];
+        }
+
+        if (opts && opts['metrics-address']) {
+            this._metrics = new MetricsServer({address: opts['metrics-address']});
+        }
+
         logger.info('Creating new Chaincode Support Client for peer comminications');
         this._client = new peer.ChaincodeSupportClient(this._endpoint.addr, this._endpoint.creds, this._options);
 
     }
 
     close() {
+        this._closed = true;
+        clearTimeout(this._reconnectTimer);
         this._stream.end();
     }
 
+    /*
+     * Stop gracefully, by refusing new transactions and waiting for the running ones to
+     * complete before closing the connection to the peer
+     *
+     * @param {number} [timeout] the longest time in milliseconds to wait for the running transactions
+     * @return {Promise<boolean>} true if all the running transactions completed
+     */
+    async stop(timeout = this._shutdownTimeout) {
+        logger.info('Stopping the Chaincode Support Client');
+        this._closed = true;
+        clearTimeout(this._reconnectTimer);
+
+        const drained = this._handler ? await this._handler.drain(timeout) : true;
+        this.close();
+        this._client.close();
+        if (this._metrics) {
+            await this._metrics.stop();
+        }
+        return drained;
+    }
+
     chat(convStarterMsg) {
+        // the metrics are served from the first registration, rather than on each reconnection
+        if (this._metrics && !this._convStarterMsg) {
+            this._metrics.start().catch((err) => logger.error('Failed to serve the metrics: ' + err));
+        }
+
+        // kept to register with the peer again if the stream is lost
+        this._convStarterMsg = convStarterMsg;
         this._stream = this._client.register();
 
-        this._handler = new ChaincodeMessageHandler(this._stream, this.chaincode);
+        this._handler = new ChaincodeMessageHandler(this._stream, this.chaincode, {
+            'request-timeout': this._request_timeout
+        });
+        this._handler.on('established', () => this.emit('established'));
+        this._handler.on('ready', () => {
+            this._attempt = 0;
+            this.emit('ready');
+        });
+        this._handler.on('disconnected', (err) => this._handleDisconnect(err));
+        this._handler.on('protocolError', (details) => this.emit('protocolError', details));
         this._handler.chat(mapToChaincodeMessage(convStarterMsg));
     }
 
+    /*
+     * Register with the peer again after the stream has been lost, unless the client
+     * has been closed or has run out of attempts
+     *
+     * @param {Error} [err] the error the stream failed with, if there was one
+     */
+    _handleDisconnect(err) {
+        this.emit('disconnected', err);
+
+        if (this._closed || this._attempt === this._reconnectAttempts) {
+            logger.info('Not reconnecting to the peer');
+            this.emit('closed');
+            return;
+        }
+
+        this._attempt++;
+        const delay = Math.min(this._reconnectDelay * Math.pow(2, this._attempt - 1), this._reconnectMaxDelay);
+        logger.info(util.format('Reconnecting to the peer in %d ms, attempt %d', delay, this._attempt));
+        this.emit('reconnecting', {attempt: this._attempt, delay});
+
+        this._reconnectTimer = setTimeout(() => {
+            this.chat(this._convStarterMsg);
+        }, delay);
+    }
+
     /*
      return a printable representation of this object
      */
@@ -272,11 +509,60 @@ class ChaincodeSupportClient {
 
 /**
  * The ChaincodeMessageHandler class handles messages between peer and chaincode both in the chaincode server and client model.
+ *
+ * It emits 'established' and 'ready' as the registration with the peer progresses,
+ * 'disconnected' when the stream to the peer ends or fails, and 'protocolError' when
+ * the peer sends a message that cannot be handled.
  */
-class ChaincodeMessageHandler {
-    constructor(stream, chaincode) {
+class ChaincodeMessageHandler extends EventEmitter {
+    /*
+     * @param {Object} stream The gRPC stream connected to the peer
+     * @param {Object} chaincode The user-supplied object to handle chaincode interface calls Init() and Invoke()
+     * @param {Object} [opts] An Object that may contain the request-timeout in milliseconds
+     */
+    constructor(stream, chaincode, opts) {
+        super();
+
         this._stream = stream;
         this.chaincode = chaincode;
+
+        this._request_timeout = DEFAULT_REQUEST_TIMEOUT;
+        if (opts && opts['request-timeout']) {
+            this._request_timeout = opts['request-timeout'];
+        }
+
+        // optional features of the peer, which are only used once the peer has advertised them
+        this._useGetMultipleKeys = false;
+        this._maxSizeGetMultipleKeys = 0;
+        this._useWriteBatch = false;
+        this._maxSizeWriteBatch = 0;
+
+        // the number of messages from the peer that broke the protocol
+        this.protocolErrors = 0;
+
+        // the transactions that are running, and whether new ones are refused as the chaincode is stopping
+        this._inFlight = new Set();
+        this._draining = false;
+    }
+
+    /*
+     * Record the optional features supported by the peer, which it sends
+     * as the payload of the READY message
+     *
+     * @param {Buffer} payload the serialized ChaincodeAdditionalParams, empty if the peer sent none
+     */
+    setAdditionalParams(payload) {
+        if (!payload || payload.length === 0) {
+            return;
+        }
+
+        const params = peer.ChaincodeAdditionalParams.deserializeBinary(payload);
+        this._useGetMultipleKeys = params.getUseGetMultipleKeys();
+        this._maxSizeGetMultipleKeys = params.getMaxSizeGetMultipleKeys();
+        this._useWriteBatch = params.getUseWriteBatch();
+        this._maxSizeWriteBatch = params.getMaxSizeWriteBatch();
+        logger.debug('Peer supports get multiple keys: %s (max %d), write batch: %s (max %d)',
+            this._useGetMultipleKeys, this._maxSizeGetMultipleKeys, this._useWriteBatch, this._maxSizeWriteBatch);
     }
 
     // this is a long-running method that does not return until
@@ -312,26 +598,21 @@ class ChaincodeMessageHandler {
                         logger.debug(util.format('%s Received %s, invoking transaction on chaincode(state:%s)', loggerPrefix, msg.type, state));
                         self.handleTransaction(msg);
                     } else {
-                        logger.error('Received unknown message from the peer. Exiting.');
-                        // TODO: Should we really do this ?
-                        // Yes
-                        process.exit(1);
+                        self.handleProtocolError(msg, state);
                     }
                 }
             }
 
             if (state === STATES.Established) {
                 if (msg.type === MSG_TYPE.READY) {
+                    self.setAdditionalParams(msg.payload);
                     logger.info('Successfully established communication with peer node. State transferred to "ready"');
                     state = STATES.Ready;
+                    self.emit('ready');
                 } else {
                     // can not process any message other than "ready"
                     // from the peer when in "established" state
-                    // send an error message telling the peer about this
-                    logger.error(util.format('Chaincode is in "ready" state, can only ' +
-                        'process messages of type "established", but received "%s"', msg.type));
-                    const errMsg = newErrorMsg(msg, state);
-                    stream.write(errMsg);
+                    self.handleProtocolError(msg, state);
                 }
             }
 
@@ -339,26 +620,35 @@ class ChaincodeMessageHandler {
                 if (msg.type === MSG_TYPE.REGISTERED) {
                     logger.info('Successfully registered with peer node. State transferred to "established"');
                     state = STATES.Established;
+                    self.emit('established');
                 } else {
                     // can not process any message other than "registered"
                     // from the peer when in "created" state
-                    // send an error message telling the peer about this
-                    logger.error(util.format('Chaincode is in "created" state, can only ' +
-                        'process messages of type "registered", but received "%s"', msg.type));
-                    const errMsg = newErrorMsg(msg, state);
-                    stream.write(errMsg);
+                    self.handleProtocolError(msg, state);
                 }
             }
         });
 
+        // the stream can both end and fail, but the requests in flight are failed only once
+        let disconnected = false;
+        const disconnect = (err) => {
+            if (!disconnected) {
+                disconnected = true;
+                self.msgQueueHandler.failAll(new Error(util.format('Lost the connection to the peer: %s', err ? err.message : 'the stream ended')));
+                self.emit('disconnected', err);
+            }
+        };
+
         stream.on('end', function () {
             logger.debug('Chat stream ending');
             stream.cancel();
+            disconnect();
         });
 
         stream.on('error', function (err) {
             logger.error('Chat stream with peer - on error: %j', err.stack ? err.stack : err);
             stream.end();
+            disconnect(err);
         });
 
         // now let's kick off the conversation already!
@@ -366,12 +656,97 @@ class ChaincodeMessageHandler {
         stream.write(convStarterMsg);
     }
 
+    /*
+     * Handle a message that the peer should not have sent in the current state, by telling
+     * the peer with an ERROR for its transaction. The other transactions carry on as normal,
+     * and the violation is counted and emitted as a 'protocolError' event so that it can be
+     * alerted on.
+     *
+     * @param {Object} msg the message received from the peer
+     * @param {string} state the state of the conversation with the peer
+     */
+    handleProtocolError(msg, state) {
+        const loggerPrefix = utils.generateLoggingPrefix(msg.channel_id, msg.txid);
+        logger.error(util.format('%s Received a message of type %s from the peer, which cannot be handled in state "%s"',
+            loggerPrefix, msg.type, state));
+
+        this.protocolErrors++;
+        this._stream.write(mapToChaincodeMessage(newErrorMsg(msg, state)));
+        this.emit('protocolError', {type: msg.type, channel_id: msg.channel_id, txid: msg.txid, state});
+    }
+
     handleInit(msg) {
-        handleMessage(msg, this, 'init');
+        this._handleMessage(msg, 'init');
     }
 
     handleTransaction(msg) {
-        handleMessage(msg, this, 'invoke');
+        this._handleMessage(msg, 'invoke');
+    }
+
+    /*
+     * Run a transaction, keeping track of it until it has completed so that stopping can wait
+     * for it. Once the chaincode is stopping, new transactions are refused with an ERROR.
+     *
+     * @param {Object} msg the INIT or TRANSACTION message received from the peer
+     * @param {string} action init or invoke
+     */
+    _handleMessage(msg, action) {
+        if (this._draining) {
+            const loggerPrefix = utils.generateLoggingPrefix(msg.channel_id, msg.txid);
+            logger.warn(util.format('%s Refusing the transaction as the chaincode is stopping', loggerPrefix));
+            this._stream.write(mapToChaincodeMessage({
+                type: MSG_TYPE.ERROR,
+                payload: Buffer.from('Chaincode is stopping'),
+                txid: msg.txid,
+                channel_id: msg.channel_id
+            }));
+            return;
+        }
+
+        const running = Promise.resolve(handleMessage(msg, this, action));
+        this._inFlight.add(running);
+        const done = () => {
+            this._inFlight.delete(running);
+            if (this.msgQueueHandler) {
+                this.msgQueueHandler.endTransaction(msg.channel_id + msg.txid);
+            }
+        };
+        running.then(done, (err) => {
+            const loggerPrefix = utils.generateLoggingPrefix(msg.channel_id, msg.txid);
+            logger.error(`${loggerPrefix} Failed to handle the transaction: ${err}`);
+            done();
+        });
+    }
+
+    /*
+     * Refuse new transactions, and wait for the running ones to complete
+     *
+     * @param {number} timeout the longest time in milliseconds to wait
+     * @return {Promise<boolean>} true if all the running transactions completed within the timeout
+     */
+    async drain(timeout) {
+        this._draining = true;
+        logger.info(util.format('Waiting for %d running transactions to complete', this._inFlight.size));
+
+        let timer;
+        const timedOut = new Promise((resolve) => {
+            timer = setTimeout(() => resolve(false), timeout);
+        });
+        const completed = Promise.allSettled([...this._inFlight]).then(() => true);
+
+        const drained = await Promise.race([completed, timedOut]);
+        clearTimeout(timer);
+        if (!drained) {
+            logger.warn(util.format('%d transactions were still running after %d ms', this._inFlight.size, timeout));
+        }
+        return drained;
+    }
+
+    /*
+     * End the stream to the peer
+     */
+    close() {
+        this._stream.end();
     }
 
     async handleGetState(collection, key, channel_id, txId) {
@@ -402,6 +777,62 @@ class ChaincodeMessageHandler {
         return await this._askPeerAndListen(msg, 'PutState');
     }
 
+    /*
+     * Get the values of several keys, in a single request for each batch of keys if
+     * the peer supports it, otherwise with a request for each key
+     */
+    async handleGetMultipleStates(collection, keys, channel_id, txId) {
+        if (!this._useGetMultipleKeys) {
+            return await Promise.all(keys.map((key) => this.handleGetState(collection, key, channel_id, txId)));
+        }
+
+        const values = [];
+        for (const batch of splitIntoBatches(keys, this._maxSizeGetMultipleKeys)) {
+            const msgPb = new peer.GetStateMultiple();
+            msgPb.setKeysList(batch);
+            msgPb.setCollection(collection);
+            const msg = mapToChaincodeMessage({
+                type: peer.ChaincodeMessage.Type.GET_STATE_MULTIPLE,
+                payload: msgPb.serializeBinary(),
+                txid: txId,
+                channel_id: channel_id
+            });
+            logger.debug('handleGetMultipleStates - with keys:', batch);
+            values.push(...await this._askPeerAndListen(msg, 'GetStateMultiple'));
+        }
+        return values;
+    }
+
+    /*
+     * Write several keys, in a single request for each batch of writes if the peer
+     * supports it, otherwise with a request for each key
+     */
+    async handlePutMultipleStates(collection, entries, channel_id, txId) {
+        if (!this._useWriteBatch) {
+            await Promise.all(entries.map(({key, value}) => this.handlePutState(collection, key, value, channel_id, txId)));
+            return;
+        }
+
+        for (const batch of splitIntoBatches(entries, this._maxSizeWriteBatch)) {
+            const msgPb = new peer.WriteBatchState();
+            msgPb.setRecList(batch.map(({key, value}) => {
+                const recordPb = new peer.WriteRecord();
+                recordPb.setKey(key);
+                recordPb.setValue(value);
+                recordPb.setCollection(collection);
+                recordPb.setType(peer.WriteRecord.Type.PUT_STATE);
+                return recordPb;
+            }));
+            const msg = mapToChaincodeMessage({
+                type: peer.ChaincodeMessage.Type.WRITE_BATCH_STATE,
+                payload: msgPb.serializeBinary(),
+                txid: txId,
+                channel_id: channel_id
+            });
+            await this._askPeerAndListen(msg, 'WriteBatchState');
+        }
+    }
+
     async handleDeleteState(collection, key, channel_id, txId) {
         const msgPb = new peer.DelState();
         msgPb.setKey(key);
@@ -652,6 +1083,7 @@ async function handleMessage(msg, client, action) {
         }
 
         if (stub) {
+            const endTimer = metrics.transactionDuration.startTimer();
             let resp, method;
             if (action === 'init') {
                 resp = await client.chaincode.Init(stub);
@@ -673,6 +1105,10 @@ async function handleMessage(msg, client, action) {
                     message: errMsg
                 };
             }
+
+            const transactionName = getTransactionName(stub);
+            endTimer(transactionName);
+            metrics.transactions.inc(Object.assign({status: resp.status}, transactionName));
             logger.debug(util.format(
                 '%s Calling chaincode %s(), response status: %s',
                 loggerPrefix,
@@ -684,7 +1120,7 @@ async function handleMessage(msg, client, action) {
             respPb.setStatus(resp.status);
             respPb.setPayload(resp.payload);
 
-            if (resp.status >= Stub.RESPONSE_CODE.ERROR) {
+            if (resp.status >= Stub.RESPONSE_CODE.ERRORTHRESHOLD) {
                 const errMsg = util.format('%s Calling chaincode %s() returned error response [%s]. Sending COMPLETED message back to peer',
                     loggerPrefix, method, resp.message);
                 logger.error(errMsg);
@@ -781,6 +1217,19 @@ function handleGetHistoryQueryResult(handler, res) {
     return new HistoryQueryIterator(handler, res.channel_id, res.txid, queryResponse);
 }
 
+/*
+ * Split an array into batches of at most maxSize items, where a maxSize of
+ * zero means there is no limit on the size of a batch
+ */
+function splitIntoBatches(items, maxSize) {
+    const size = maxSize > 0 ? maxSize : items.length;
+    const batches = [];
+    for (let i = 0; i < items.length; i += size) {
+        batches.push(items.slice(i, i + size));
+    }
+    return batches;
+}
+
 function parseResponse(handler, res, method) {
     const loggerPrefix = utils.generateLoggingPrefix(res.channel_id, res.txid);
 
@@ -804,6 +1253,9 @@ function parseResponse(handler, res, method) {
             }
             case 'GetStateMetadata':
                 return handleGetStateMetadata(res.payload);
+            case 'GetStateMultiple':
+                return peer.GetStateMultipleResult.deserializeBinary(res.payload).getValuesList_asU8()
+                    .map((value) => Buffer.from(value));
         }
 
         return Buffer.from(res.payload);
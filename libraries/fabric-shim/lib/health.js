@@ -0,0 +1,114 @@
+/*
+# Copyright IBM Corp. All Rights Reserved.
+#
+# SPDX-License-Identifier: Apache-2.0
+*/
+
+'use strict';
+
+const http = require('http');
+const logger = require('./logger').getLogger('lib/health.js');
+const utils = require('./utils/utils');
+
+// time in milliseconds between the checks of how responsive the event loop is
+const CHECK_INTERVAL = 1000;
+
+// longest time in milliseconds that the event loop can be late before the chaincode is not live
+const DEFAULT_MAX_EVENT_LOOP_DELAY = 5000;
+
+/**
+ * The HealthServer class serves the health of the chaincode over HTTP, for probes such as those of Kubernetes.
+ *
+ * <br>- /healthz responds with 200 while the event loop is responsive, and 503 once it has been
+ *    delayed by more than the maximum
+ * <br>- /readyz responds with 200 while the chaincode is ready to handle transactions, and 503 otherwise
+ *
+ * Both respond with a JSON document that has the status, and the other paths with 404.
+ */
+class HealthServer {
+    /**
+     * @param {Function} isReady returns true while the chaincode is ready to handle transactions
+     * @param {Object} opts the options of the server
+     * @param {string} opts.address the host and port to listen on, as host:port
+     * @param {number} [opts.maxEventLoopDelay] the longest time in milliseconds that the event loop can be
+     *    delayed before the chaincode is not live, defaults to 5 seconds
+     */
+    constructor(isReady, opts) {
+        const {host, port} = utils.parseAddress(opts.address, 'health');
+        this._host = host;
+        this._port = port;
+
+        this._isReady = isReady;
+        this._maxEventLoopDelay = opts.maxEventLoopDelay || DEFAULT_MAX_EVENT_LOOP_DELAY;
+        this._eventLoopDelay = 0;
+
+        this._server = http.createServer((req, res) => this._handleRequest(req, res));
+    }
+
+    /**
+     * Start listening, and checking how responsive the event loop is
+     *
+     * @returns {Promise<void>} resolves once listening
+     */
+    async start() {
+        this._lastCheck = Date.now();
+        this._timer = setInterval(() => {
+            const now = Date.now();
+            this._eventLoopDelay = Math.max(0, now - this._lastCheck - CHECK_INTERVAL);
+            this._lastCheck = now;
+        }, CHECK_INTERVAL);
+        // the checks alone must not keep the process running
+        this._timer.unref();
+
+        await utils.listen(this._server, this._host, this._port);
+        logger.info('HealthServer listening on ' + this._host + ':' + this._server.address().port);
+    }
+
+    /**
+     * Stop listening
+     *
+     * @returns {Promise<void>} resolves once the server has closed
+     */
+    stop() {
+        clearInterval(this._timer);
+        return new Promise((resolve) => this._server.close(() => resolve()));
+    }
+
+    /**
+     * How late the event loop is, as the larger of the delay of the last check and the time
+     * that the next check is overdue by
+     *
+     * @returns {number} the delay in milliseconds
+     */
+    getEventLoopDelay() {
+        const overdue = Date.now() - this._lastCheck - CHECK_INTERVAL;
+        return Math.max(this._eventLoopDelay, overdue, 0);
+    }
+
+    _handleRequest(req, res) {
+        const path = req.url.split('?')[0];
+        let statusCode;
+        let body;
+        if (path === '/healthz') {
+            const eventLoopDelay = this.getEventLoopDelay();
+            const live = eventLoopDelay <= this._maxEventLoopDelay;
+            if (!live) {
+                logger.warn('HealthServer reporting not live, the event loop is delayed by ' + eventLoopDelay + ' ms');
+            }
+            statusCode = live ? 200 : 503;
+            body = {status: live ? 'ok' : 'unavailable', eventLoopDelay};
+        } else if (path === '/readyz') {
+            const ready = Boolean(this._isReady());
+            statusCode = ready ? 200 : 503;
+            body = {status: ready ? 'ok' : 'unavailable'};
+        } else {
+            statusCode = 404;
+            body = {status: 'not found'};
+        }
+
+        res.writeHead(statusCode, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify(body));
+    }
+}
+
+module.exports = HealthServer;
@@ -10,6 +10,35 @@ const logger = require('./logger').getLogger('lib/iterators.js');
 
 const {ledger} = require('@hyperledger/fabric-protos');
 
+/*
+ * Extract the details of a KeyModification, other than the value, that describe
+ * the transaction that made the modification.
+ */
+function createKeyModification(keyModificationPb) {
+    const keyModification = {
+        txId: keyModificationPb.getTxId(),
+        isDelete: keyModificationPb.getIsDelete()
+    };
+
+    const timestampPb = keyModificationPb.getTimestamp();
+    if (timestampPb) {
+        const seconds = timestampPb.getSeconds();
+        const nanos = timestampPb.getNanos();
+        keyModification.timestamp = {seconds, nanos};
+        keyModification.date = new Date(seconds * 1e3 + nanos / 1e6);
+    }
+
+    return keyModification;
+}
+
+/*
+ * Compare two keys by their UTF-8 bytes, which is the order in which
+ * the peer returns the keys from a range query.
+ */
+function compareKeys(a, b) {
+    return Buffer.compare(Buffer.from(a), Buffer.from(b));
+}
+
 /**
  * CommonIterator allows a chaincode to check whether any more result(s)
  * need to be fetched from an iterator and close it when done.
@@ -75,8 +104,9 @@ class CommonIterator {
 
         const queryResultPb = this._getResultFromBytes(resultsList[this.currentLoc]);
         queryResult.value = {value:Buffer.from(queryResultPb.getValue())};
-        /* istanbul ignore else*/
-        if ('getKey' in queryResultPb) {
+        if (this.type === 'HISTORY') {
+            Object.assign(queryResult.value, createKeyModification(queryResultPb));
+        } else /* istanbul ignore else*/ if ('getKey' in queryResultPb) {
             queryResult.value.key = Buffer.from(queryResultPb.getKey()).toString();
         }
 
@@ -119,6 +149,17 @@ class CommonIterator {
 
 }
 
+/**
+ * @typedef {Object} KeyModification
+ * @property {Buffer} value The value of the key after the modification, empty if the key was deleted
+ * @property {string} txId The ID of the transaction that made the modification
+ * @property {boolean} isDelete Whether the modification deleted the key
+ * @property {Object} timestamp The timestamp of the transaction as <code>{seconds, nanos}</code>
+ * @property {Date} date The timestamp of the transaction as a Date
+ * @memberof fabric-shim
+ * @class
+ */
+
 /**
  * A State Query iterator allows a chaincode to iterate over a
  * set of key/value pairs returned by range and execute queries
@@ -134,7 +175,10 @@ class StateQueryIterator extends CommonIterator {
 
 /**
  * A History Query iterator allows a chaincode to iterate over a
- * set of key/value pairs returned by a history query
+ * set of key/value pairs returned by a history query.
+ *
+ * Each value returned is a {@link KeyModification} that, as well as the value,
+ * describes the transaction that made the modification.
  *
  * @extends CommonIterator
  * @memberof fabric-shim
@@ -145,5 +189,79 @@ class HistoryQueryIterator extends CommonIterator {
     }
 }
 
+/**
+ * A Write Set Query iterator merges the writes made earlier in a transaction
+ * into the results of a range query, so that the results are as they will be
+ * once the transaction is committed. The keys are returned in the same order
+ * as the peer returns them; keys written by the transaction return the value
+ * written and keys deleted by the transaction are skipped.
+ *
+ * @memberof fabric-shim
+ */
+class WriteSetQueryIterator {
+
+    /**
+     * @param {StateQueryIterator} iterator iterator over the range query results from the peer
+     * @param {Map<string, Buffer>} writes the values written by the transaction, null for deleted keys
+     * @param {string} startKey the start of the key range (inclusive)
+     * @param {string} endKey the end of the key range (exclusive), empty for an unbounded range
+     */
+    constructor(iterator, writes, startKey, endKey) {
+        // not named iterator, which would be unwrapped as the iterator from a query response
+        this.peerIterator = iterator;
+        this.writes = Array.from(writes)
+            .filter(([key]) => compareKeys(key, startKey) >= 0 && (!endKey || compareKeys(key, endKey) < 0))
+            .sort(([a], [b]) => compareKeys(a, b))
+            .map(([key, value]) => ({key, value}));
+        this.currentLoc = 0;
+        this.peerResult = null;
+    }
+
+    /**
+     * close the iterator.
+     * @async
+     * @return {promise} A promise that is resolved with the close payload or rejected
+     * if there is a problem
+     */
+    async close() {
+        return await this.peerIterator.close();
+    }
+
+    /**
+     * Get the next value and return it through a promise.
+     * @async
+     * @return {promise} a promise that is fulfilled with an object { value: (next value) },
+     * is fulfilled with an object { done: true } if there is no more value,
+     * or is rejected if any error occurs.
+     */
+    async next() {
+        for (;;) {
+            if (!this.peerResult) {
+                this.peerResult = await this.peerIterator.next();
+            }
+            const peerResult = this.peerResult;
+            const write = this.writes[this.currentLoc];
+
+            const order = !write ? 1 : peerResult.done ? -1 : compareKeys(write.key, peerResult.value.key);
+            if (order > 0) {
+                if (!peerResult.done) {
+                    this.peerResult = null;
+                }
+                return peerResult;
+            }
+
+            // the write comes first or replaces the value from the peer
+            this.currentLoc++;
+            if (order === 0) {
+                this.peerResult = null;
+            }
+            if (write.value !== null) {
+                return {value: {key: write.key, value: write.value}, done: false};
+            }
+        }
+    }
+}
+
 module.exports.StateQueryIterator = StateQueryIterator;
 module.exports.HistoryQueryIterator = HistoryQueryIterator;
+module.exports.WriteSetQueryIterator = WriteSetQueryIterator;
@@ -0,0 +1,266 @@
+/*
+# Copyright IBM Corp. All Rights Reserved.
+#
+# SPDX-License-Identifier: Apache-2.0
+*/
+
+'use strict';
+
+const http = require('http');
+const logger = require('./logger').getLogger('lib/metrics.js');
+const utils = require('./utils/utils');
+
+// upper bounds in seconds of the buckets of the histograms, as used by the Prometheus client libraries
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/*
+ * Escape a label value for the Prometheus text format
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/*
+ * Format a set of label values, such as {contract="fabcar",function="createCar"}
+ */
+function formatLabels(names, values) {
+    if (names.length === 0) {
+        return '';
+    }
+    return '{' + names.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`).join(',') + '}';
+}
+
+/*
+ * The base class of the metrics, which keeps a value for each combination of label values
+ */
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this._values = new Map();
+    }
+
+    _key(labels) {
+        return JSON.stringify(this.labelNames.map((name) => labels[name] === undefined ? '' : labels[name]));
+    }
+
+    /*
+     * @returns {string} the metric in the Prometheus text format
+     */
+    collect() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const [key, value] of this._values) {
+            lines.push(...this._format(JSON.parse(key), value));
+        }
+        return lines.join('\n');
+    }
+
+    _format(labelValues, value) {
+        return [`${this.name}${formatLabels(this.labelNames, labelValues)} ${value}`];
+    }
+
+    reset() {
+        this._values.clear();
+    }
+}
+
+/**
+ * A count that only goes up, such as the number of transactions
+ */
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    /**
+     * @param {Object} [labels] the values of the labels
+     * @param {number} [value] the amount to add, defaults to 1
+     */
+    inc(labels = {}, value = 1) {
+        const key = this._key(labels);
+        this._values.set(key, (this._values.get(key) || 0) + value);
+    }
+}
+
+/**
+ * A value that goes up and down, such as the length of a queue
+ */
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    /**
+     * @param {Object} [labels] the values of the labels
+     * @param {number} [value] the amount to add, which may be negative, defaults to 1
+     */
+    inc(labels = {}, value = 1) {
+        const key = this._key(labels);
+        this._values.set(key, (this._values.get(key) || 0) + value);
+    }
+
+    /**
+     * @param {Object} [labels] the values of the labels
+     * @param {number} [value] the amount to take away, defaults to 1
+     */
+    dec(labels = {}, value = 1) {
+        this.inc(labels, -value);
+    }
+}
+
+/**
+ * A distribution of values, such as durations, counted in buckets
+ */
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    /**
+     * @param {Object} labels the values of the labels
+     * @param {number} value the value to record
+     */
+    observe(labels, value) {
+        const key = this._key(labels);
+        let entry = this._values.get(key);
+        if (!entry) {
+            entry = {counts: this.buckets.map(() => 0), sum: 0, count: 0};
+            this._values.set(key, entry);
+        }
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                entry.counts[i]++;
+            }
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    /**
+     * Start timing something
+     *
+     * @returns {Function} call with the values of the labels to record the time in seconds since the start
+     */
+    startTimer() {
+        const start = process.hrtime.bigint();
+        return (labels) => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+
+    _format(labelValues, entry) {
+        const names = this.labelNames.concat('le');
+        const lines = this.buckets.map((bound, i) => {
+            return `${this.name}_bucket${formatLabels(names, labelValues.concat(bound))} ${entry.counts[i]}`;
+        });
+        lines.push(`${this.name}_bucket${formatLabels(names, labelValues.concat('+Inf'))} ${entry.count}`);
+        lines.push(`${this.name}_sum${formatLabels(this.labelNames, labelValues)} ${entry.sum}`);
+        lines.push(`${this.name}_count${formatLabels(this.labelNames, labelValues)} ${entry.count}`);
+        return lines;
+    }
+}
+
+/**
+ * The metrics that the chaincode records
+ */
+const metrics = {
+    transactions: new Counter('fabric_chaincode_transactions_total',
+        'Transactions completed by the chaincode, by contract, function and response status',
+        ['contract', 'function', 'status']),
+    transactionDuration: new Histogram('fabric_chaincode_transaction_duration_seconds',
+        'Time taken by the chaincode to complete transactions, by contract and function',
+        ['contract', 'function']),
+    peerRequestDuration: new Histogram('fabric_chaincode_peer_request_duration_seconds',
+        'Time taken by the peer to respond to requests from the chaincode, by message type and result',
+        ['type', 'result']),
+    peerRequestQueueDepth: new Gauge('fabric_chaincode_peer_request_queue_depth',
+        'Requests to the peer that are waiting to be sent or for a response')
+};
+
+// the names of the transactions as resolved by the chaincode, such as the contract and function
+const transactionNames = new WeakMap();
+
+/**
+ * Record the contract and function that a transaction was for, once the chaincode has worked them out
+ * from the arguments, to label the metrics of the transaction with
+ *
+ * @param {ChaincodeStub} stub the stub of the transaction
+ * @param {string} contract the name of the contract
+ * @param {string} fn the name of the function
+ */
+function setTransactionName(stub, contract, fn) {
+    transactionNames.set(stub, {contract, function: fn});
+}
+
+/**
+ * The contract and function that a transaction was for; both are empty unless the chaincode has
+ * recorded them, as the arguments are chosen by the caller and would give a series of the metrics
+ * for every value sent
+ *
+ * @param {ChaincodeStub} stub the stub of the transaction
+ * @returns {Object} the contract and function
+ */
+function getTransactionName(stub) {
+    return transactionNames.get(stub) || {contract: '', function: ''};
+}
+
+/**
+ * @returns {string} all the metrics in the Prometheus text format
+ */
+function collect() {
+    return Object.values(metrics).map((metric) => metric.collect()).join('\n') + '\n';
+}
+
+/**
+ * The MetricsServer class serves the metrics over HTTP at /metrics, in the Prometheus text format.
+ */
+class MetricsServer {
+    /**
+     * @param {Object} opts the options of the server
+     * @param {string} opts.address the host and port to listen on, as host:port
+     */
+    constructor(opts) {
+        const {host, port} = utils.parseAddress(opts.address, 'metrics');
+        this._host = host;
+        this._port = port;
+
+        this._server = http.createServer((req, res) => this._handleRequest(req, res));
+    }
+
+    /**
+     * @returns {Promise<void>} resolves once listening
+     */
+    async start() {
+        await utils.listen(this._server, this._host, this._port);
+        logger.info('MetricsServer listening on ' + this._host + ':' + this._server.address().port);
+    }
+
+    /**
+     * @returns {Promise<void>} resolves once the server has closed
+     */
+    stop() {
+        return new Promise((resolve) => this._server.close(() => resolve()));
+    }
+
+    _handleRequest(req, res) {
+        if (req.url.split('?')[0] === '/metrics') {
+            res.writeHead(200, {'Content-Type': 'text/plain; version=0.0.4; charset=utf-8'});
+            res.end(collect());
+        } else {
+            res.writeHead(404, {'Content-Type': 'text/plain; charset=utf-8'});
+            res.end('Not Found\n');
+        }
+    }
+}
+
+module.exports = {
+    Counter,
+    Gauge,
+    Histogram,
+    MetricsServer,
+    metrics,
+    setTransactionName,
+    getTransactionName,
+    collect
+};
@@ -7,16 +7,38 @@
 'use strict';
 
 const grpc = require('@grpc/grpc-js');
+const EventEmitter = require('events');
 
 const {ChaincodeMessageHandler} = require('./handler');
+const HealthServer = require('./health');
+const {MetricsServer} = require('./metrics');
 const {peer} = require('@hyperledger/fabric-protos');
 const logger = require('./logger').getLogger('lib/server.js');
 
+// time in milliseconds to wait for the running transactions to complete when stopping
+const DEFAULT_SHUTDOWN_TIMEOUT = 30000;
+
 /**
  * The ChaincodeServer class represents a chaincode gRPC server, which waits for connections from peers.
+ *
+ * It emits 'protocolError' when a peer sends a message that cannot be handled, with the type,
+ * channel_id and txid of the message and the state of the conversation with the peer.
+ *
+ * Calling stop() refuses new transactions, waits for the running ones to complete and then shuts
+ * down the gRPC server; the longest time to wait is given by the shutdown-timeout property of the
+ * serverOpts, and defaults to 30 seconds.
+ *
+ * If the health-address property of the serverOpts is set, the health of the chaincode is also served
+ * over HTTP on that address: /healthz reports whether the event loop is responsive, and /readyz whether
+ * a peer has connected and registered the chaincode.
+ *
+ * If the metrics-address property of the serverOpts is set, the metrics of the chaincode are served
+ * over HTTP on that address at /metrics, in the Prometheus text format.
  */
-class ChaincodeServer {
+class ChaincodeServer extends EventEmitter {
     constructor(chaincode, serverOpts) {
+        super();
+
         // Validate arguments
         if (typeof chaincode !== 'object' || chaincode === null) {
             throw new Error('Missing required argument: chaincode');
@@ -64,10 +86,37 @@ class ChaincodeServer {
 
         this._serverOpts = serverOpts;
         this._chaincode = chaincode;
+
+        // the handlers of the streams from peers that are connected
+        this._handlers = new Set();
+        this._stopping = false;
+        this._shutdownTimeout = serverOpts['shutdown-timeout'] || DEFAULT_SHUTDOWN_TIMEOUT;
+
+        // the handlers whose peer has registered the chaincode
+        this._readyHandlers = new Set();
+        if (serverOpts['health-address']) {
+            this._health = new HealthServer(() => this.isReady(), {
+                address: serverOpts['health-address'],
+                maxEventLoopDelay: serverOpts['health-max-event-loop-delay']
+            });
+        }
+        if (serverOpts['metrics-address']) {
+            this._metrics = new MetricsServer({address: serverOpts['metrics-address']});
+        }
     }
 
-    start() {
-        return new Promise((resolve, reject) => {
+    /**
+     * Whether the chaincode is ready to handle transactions, which is once at least one peer
+     * has registered it, and until the server is stopping
+     *
+     * @returns {boolean} true if ready
+     */
+    isReady() {
+        return !this._stopping && this._readyHandlers.size > 0;
+    }
+
+    async start() {
+        await new Promise((resolve, reject) => {
             logger.debug('ChaincodeServer trying to bind to ' + this._serverOpts.address);
 
             this._server.bindAsync(this._serverOpts.address, this._credentials, (error, port) => {
@@ -84,13 +133,67 @@ class ChaincodeServer {
                 }
             });
         });
+
+        if (this._health) {
+            await this._health.start();
+        }
+        if (this._metrics) {
+            await this._metrics.start();
+        }
+    }
+
+    /**
+     * Stop the server gracefully. New transactions are refused, and the running ones are given
+     * until the timeout to complete, before the gRPC server is shut down.
+     *
+     * @param {number} [timeout] the longest time in milliseconds to wait for the running transactions
+     * @returns {Promise<boolean>} true if all the running transactions completed
+     */
+    async stop(timeout = this._shutdownTimeout) {
+        logger.info('ChaincodeServer stopping');
+        this._stopping = true;
+
+        const handlers = [...this._handlers];
+        const drained = await Promise.all(handlers.map((handler) => handler.drain(timeout)));
+        handlers.forEach((handler) => handler.close());
+
+        await new Promise((resolve) => {
+            this._server.tryShutdown((error) => {
+                if (error) {
+                    logger.warn('ChaincodeServer failed to shut down cleanly: ' + error);
+                }
+                resolve();
+            });
+        });
+        if (this._health) {
+            await this._health.stop();
+        }
+        if (this._metrics) {
+            await this._metrics.stop();
+        }
+        logger.info('ChaincodeServer stopped');
+
+        return drained.every(Boolean);
     }
 
     connect(stream) {
         logger.debug('ChaincodeServer.connect called.');
 
+        if (this._stopping) {
+            logger.warn('ChaincodeServer is stopping, refusing the connection from peer');
+            stream.end();
+            return;
+        }
+
         try {
-            const client = new ChaincodeMessageHandler(stream, this._chaincode);
+            const client = new ChaincodeMessageHandler(stream, this._chaincode, this._serverOpts);
+            client.on('protocolError', (details) => this.emit('protocolError', details));
+            this._handlers.add(client);
+            client.on('ready', () => this._readyHandlers.add(client));
+            client.on('disconnected', () => {
+                this._handlers.delete(client);
+                this._readyHandlers.delete(client);
+            });
 
             const msgPb = new peer.ChaincodeID();
             msgPb.setName(this._serverOpts.ccid);
@@ -12,6 +12,8 @@ const {msp, peer, common} = require('@hyperledger/fabric-protos');
 const util = require('util');
 const crypto = require('crypto');
 const {ChaincodeEvent} = require('@hyperledger/fabric-protos/lib/peer');
+const {WriteSetQueryIterator} = require('./iterators');
+const {BATCH_EVENT_NAME, encodeEvents} = require('./utils/events');
 
 const logger = require('./logger').getLogger('lib/stub.js');
 
@@ -34,6 +36,15 @@ const MAX_UNICODE_RUNE_VALUE = '\u{10ffff}';
 const COMPOSITEKEY_NS = '\x00';
 const EMPTY_KEY_SUBSTITUTE = '\x01';
 
+function validateEventName(name) {
+    if (typeof name !== 'string' || name === '') {
+        throw new Error('Event name must be a non-empty string');
+    }
+    if (name === BATCH_EVENT_NAME) {
+        throw new Error(`Event name ${BATCH_EVENT_NAME} is reserved for batches of events`);
+    }
+}
+
 function validateCompositeKeyAttribute(attr) {
     if (!attr || typeof attr !== 'string' || attr.length === 0) {
         throw new Error('object type or attribute not a non-zero length string');
@@ -52,6 +63,33 @@ function validateSimpleKeys(...keys) {
     });
 }
 
+// check the keys and values of a batch of writes, converting string values to buffers
+function toWriteEntries(entries) {
+    if (!Array.isArray(entries)) {
+        throw new Error('entries must be an array');
+    }
+    return entries.map(({key, value}) => {
+        if (!key || typeof key !== 'string') {
+            throw new Error('key must be a valid string');
+        }
+        if (!value) {
+            throw new Error('value must be valid');
+        }
+        return {key, value: typeof value === 'string' ? Buffer.from(value) : value};
+    });
+}
+
+// get the map held for a collection in a map of maps keyed by collection,
+// creating it if it does not exist yet
+function getCollectionMap(maps, collection) {
+    let map = maps.get(collection);
+    if (!map) {
+        map = new Map();
+        maps.set(collection, map);
+    }
+    return map;
+}
+
 function computeProposalBinding(decodedSP) {
     const nonce = decodedSP.proposal.header.signatureHeader.nonce;
     const creator = decodedSP.proposal.header.signatureHeader.creator_u8;
@@ -143,6 +181,15 @@ class ChaincodeStub {
         this.handler = client;
         this.validationParameterMetakey = VALIDATION_PARAMETER;
 
+        // the writes made and the reads served by this transaction, by collection,
+        // only tracked if reading the transaction's own writes has been enabled
+        this.readYourOwnWrites = false;
+        this.writeSet = new Map();
+        this.readCache = new Map();
+
+        // the events added by this transaction, in the order they were added
+        this.events = [];
+
         if (signedProposalPb) {
             const decodedSP = {
                 signature: signedProposalPb.getSignature()
@@ -461,6 +508,28 @@ class ChaincodeStub {
         return this.binding;
     }
 
+    /**
+     * Enables or disables reading the transaction's own writes. Fabric does not
+     * return the uncommitted writes of a transaction, so by default
+     * [getState()]{@link ChaincodeStub#getState} after [putState()]{@link ChaincodeStub#putState}
+     * of the same key returns the value from before the transaction.<br><br>
+     *
+     * When enabled, the writes made by the transaction are tracked. Reads of a written
+     * key return the value written, or an empty value if the key has been deleted,
+     * and range and partial composite key queries include the written keys in key
+     * order. Repeated reads of a key that has not been written are served without
+     * asking the peer again. This applies to both the world state and private data
+     * collections; rich queries, paginated queries and history are not affected.<br><br>
+     *
+     * Only writes made after this is enabled are tracked, so it should be enabled
+     * before the transaction makes any writes.
+     *
+     * @param {boolean} [enabled] true, the default, to enable or false to disable
+     */
+    setReadYourOwnWrites(enabled = true) {
+        this.readYourOwnWrites = enabled;
+    }
+
     /**
      * Retrieves the current value of the state variable <code>key</code>
      * @async
@@ -471,7 +540,79 @@ class ChaincodeStub {
         logger.debug('getState called with key:%s', key);
         // Access public data by setting the collection to empty string
         const collection = '';
-        return await this.handler.handleGetState(collection, key, this.channel_id, this.txId);
+        return await this._getState(collection, key);
+    }
+
+    /*
+     * Get the value of a key from the peer, or from the writes and reads of this
+     * transaction if reading its own writes is enabled
+     */
+    async _getState(collection, key) {
+        if (!this.readYourOwnWrites) {
+            return await this.handler.handleGetState(collection, key, this.channel_id, this.txId);
+        }
+
+        const writes = getCollectionMap(this.writeSet, collection);
+        if (writes.has(key)) {
+            const value = writes.get(key);
+            return value === null ? Buffer.from('') : value;
+        }
+
+        // share a single request to the peer between all reads of the key
+        const reads = getCollectionMap(this.readCache, collection);
+        if (!reads.has(key)) {
+            const read = this.handler.handleGetState(collection, key, this.channel_id, this.txId);
+            read.catch(() => reads.delete(key));
+            reads.set(key, read);
+        }
+        return await reads.get(key);
+    }
+
+    /*
+     * Get the values of several keys from the peer, or from the writes and reads of this
+     * transaction if reading its own writes is enabled
+     */
+    async _getMultipleStates(collection, keys) {
+        if (!this.readYourOwnWrites) {
+            return await this.handler.handleGetMultipleStates(collection, keys, this.channel_id, this.txId);
+        }
+
+        // ask the peer for the keys not already known, caching each of their values
+        // so that _getState can then serve all the keys
+        const writes = getCollectionMap(this.writeSet, collection);
+        const reads = getCollectionMap(this.readCache, collection);
+        const unknownKeys = Array.from(new Set(keys)).filter((key) => !writes.has(key) && !reads.has(key));
+        if (unknownKeys.length > 0) {
+            const values = this.handler.handleGetMultipleStates(collection, unknownKeys, this.channel_id, this.txId);
+            unknownKeys.forEach((key, i) => {
+                const read = values.then((result) => result[i]);
+                read.catch(() => reads.delete(key));
+                reads.set(key, read);
+            });
+        }
+        return await Promise.all(keys.map((key) => this._getState(collection, key)));
+    }
+
+    /*
+     * Record a write made by this transaction, with a null value for a delete,
+     * if reading its own writes is enabled. Writes are recorded once the peer
+     * has accepted them, so that a failed write is not read back
+     */
+    _recordWrite(collection, key, value) {
+        if (this.readYourOwnWrites) {
+            getCollectionMap(this.writeSet, collection).set(key, value);
+        }
+    }
+
+    /*
+     * Get a copy of the writes made so far to a collection by this transaction,
+     * or null if reading its own writes is not enabled
+     */
+    _getWriteSetSnapshot(collection) {
+        if (!this.readYourOwnWrites) {
+            return null;
+        }
+        return new Map(getCollectionMap(this.writeSet, collection));
     }
 
     /**
@@ -490,7 +631,9 @@ class ChaincodeStub {
         if (typeof value === 'string') {
             value = Buffer.from(value);
         }
-        return await this.handler.handlePutState(collection, key, value, this.channel_id, this.txId);
+        const result = await this.handler.handlePutState(collection, key, value, this.channel_id, this.txId);
+        this._recordWrite(collection, key, value);
+        return result;
     }
 
     /**
@@ -503,7 +646,42 @@ class ChaincodeStub {
     async deleteState(key) {
         // Access public data by setting the collection to empty string
         const collection = '';
-        return await this.handler.handleDeleteState(collection, key, this.channel_id, this.txId);
+        const result = await this.handler.handleDeleteState(collection, key, this.channel_id, this.txId);
+        this._recordWrite(collection, key, null);
+        return result;
+    }
+
+    /**
+     * Retrieves the current values of several state variables. When the peer supports it,
+     * the keys are retrieved in batches with a single request to the peer for each batch,
+     * otherwise a request is made for each key.
+     * @async
+     * @param {string[]} keys State variable keys to retrieve from the state store
+     * @returns {Promise<byte[][]>} Promise for the current values of the state variables, in the same order as the keys
+     */
+    async getMultipleStates(keys) {
+        logger.debug('getMultipleStates called with keys:%j', keys);
+        // Access public data by setting the collection to empty string
+        const collection = '';
+        return await this._getMultipleStates(collection, keys);
+    }
+
+    /**
+     * Writes several state variables to the state store, overwriting any existing
+     * values. When the peer supports it, the writes are sent in batches with a single
+     * request to the peer for each batch, otherwise a request is made for each key.
+     * @async
+     * @param {Array<{key: string, value: byte[]|string}>} entries State variable keys and the values to set for them
+     * @returns {Promise} Promise will be resolved when the peer has successfully handled all the state updates
+     * or rejected if any errors
+     */
+    async putMultipleStates(entries) {
+        // Access public data by setting the collection to empty string
+        const collection = '';
+        entries = toWriteEntries(entries);
+        const result = await this.handler.handlePutMultipleStates(collection, entries, this.channel_id, this.txId);
+        entries.forEach(({key, value}) => this._recordWrite(collection, key, value));
+        return result;
     }
 
     /**
@@ -567,8 +745,12 @@ class ChaincodeStub {
         // Access public data by setting the collection to empty string
         const collection = '';
         // Need to ensure that the resolved promise returns an iterator and not an object containing an iterator property.
-        const promise = this.handler.handleGetStateByRange(collection, startKey, endKey, this.channel_id, this.txId)
+        let promise = this.handler.handleGetStateByRange(collection, startKey, endKey, this.channel_id, this.txId)
             .then((result) => result.iterator);
+        const writes = this._getWriteSetSnapshot(collection);
+        if (writes) {
+            promise = promise.then((iterator) => new WriteSetQueryIterator(iterator, writes, startKey, endKey));
+        }
         return convertToAsyncIterator(promise);
     }
 
@@ -763,16 +945,33 @@ class ChaincodeStub {
      * @param {byte[]} payload A payload can be used to include data about the event
      */
     setEvent(name, payload) {
-        if (typeof name !== 'string' || name === '') {
-            throw new Error('Event name must be a non-empty string');
-        }
+        validateEventName(name);
+        this.events = [];
+        this.addEvent(name, payload);
+    }
+
+    /**
+     * Adds an event to the transaction proposal, in addition to any events already set or added by
+     * the transaction. The peer only records one chaincode event per transaction, so a single event
+     * is sent as it is while several events are packed, in the order they were added, into one event
+     * named [BATCH_EVENT_NAME]{@link module:fabric-shim.ChaincodeEvents.BATCH_EVENT_NAME}, which is
+     * why that name cannot be used for an event itself. Client applications can unpack the events with
+     * [ChaincodeEvents.decodeEvents()]{@link module:fabric-shim.ChaincodeEvents.decodeEvents}.
+     * @param {string} name Name of the event
+     * @param {byte[]} payload A payload can be used to include data about the event
+     */
+    addEvent(name, payload) {
+        validateEventName(name);
+
+        this.events.push({name, payload});
+        const event = encodeEvents(this.events);
 
         // Because this is passed directly into gRPC as an object, rather
         // than a serialized protocol buffer message, it uses snake_case
         // rather than camelCase like the rest of the code base.
         this.chaincodeEvent = new ChaincodeEvent();
-        this.chaincodeEvent.setPayload(payload);
-        this.chaincodeEvent.setEventName(name);
+        this.chaincodeEvent.setPayload(event.payload);
+        this.chaincodeEvent.setEventName(event.name);
     }
 
     /**
@@ -863,8 +1062,12 @@ class ChaincodeStub {
         const endKey = partialCompositeKey + MAX_UNICODE_RUNE_VALUE;
         const collection = '';
         // Need to ensure that the resolved promise returns an iterator and not an object containing an iterator property.
-        const promise = this.handler.handleGetStateByRange(collection, startKey, endKey, this.channel_id, this.txId)
+        let promise = this.handler.handleGetStateByRange(collection, startKey, endKey, this.channel_id, this.txId)
             .then((result) => result.iterator);
+        const writes = this._getWriteSetSnapshot(collection);
+        if (writes) {
+            promise = promise.then((iterator) => new WriteSetQueryIterator(iterator, writes, startKey, endKey));
+        }
         return convertToAsyncIterator(promise);
     }
 
@@ -914,7 +1117,8 @@ class ChaincodeStub {
      * `collection`. Note that GetPrivateData doesn't read data from the
      * private writeset, which has not been committed to the `collection`. In
      * other words, GetPrivateData doesn't consider data modified by PutPrivateData
-     * that has not been committed.
+     * that has not been committed, unless
+     * [setReadYourOwnWrites()]{@link ChaincodeStub#setReadYourOwnWrites} has been used.
      *
      * @param {string} collection The collection name
      * @param {string} key Private data variable key to retrieve from the state store
@@ -929,7 +1133,7 @@ class ChaincodeStub {
             throw new Error('key must be a valid string');
         }
 
-        return await this.handler.handleGetState(collection, key, this.channel_id, this.txId);
+        return await this._getState(collection, key);
     }
 
     /**
@@ -982,7 +1186,9 @@ class ChaincodeStub {
             value = Buffer.from(value);
         }
 
-        return this.handler.handlePutState(collection, key, value, this.channel_id, this.txId);
+        const result = await this.handler.handlePutState(collection, key, value, this.channel_id, this.txId);
+        this._recordWrite(collection, key, value);
+        return result;
     }
 
     /**
@@ -1004,7 +1210,52 @@ class ChaincodeStub {
         if (!key || typeof key !== 'string') {
             throw new Error('key must be a valid string');
         }
-        return this.handler.handleDeleteState(collection, key, this.channel_id, this.txId);
+        const result = await this.handler.handleDeleteState(collection, key, this.channel_id, this.txId);
+        this._recordWrite(collection, key, null);
+        return result;
+    }
+
+    /**
+     * getMultiplePrivateData returns the values of the specified `keys` from the
+     * specified `collection`. When the peer supports it, the keys are retrieved in
+     * batches with a single request to the peer for each batch, otherwise a request
+     * is made for each key.
+     *
+     * @param {string} collection The collection name
+     * @param {string[]} keys Private data variable keys to retrieve from the state store
+     * @returns {Promise<byte[][]>} Promise for the private values from the state store, in the same order as the keys
+     */
+    async getMultiplePrivateData(collection, keys) {
+        logger.debug('getMultiplePrivateData called with collection:%s, keys:%j', collection, keys);
+        if (!collection || typeof collection !== 'string') {
+            throw new Error('collection must be a valid string');
+        }
+        if (!Array.isArray(keys) || keys.some((key) => !key || typeof key !== 'string')) {
+            throw new Error('keys must be an array of valid strings');
+        }
+
+        return await this._getMultipleStates(collection, keys);
+    }
+
+    /**
+     * putMultiplePrivateData puts the specified keys and values into the transaction's
+     * private writeSet, in the same way as [putPrivateData()]{@link ChaincodeStub#putPrivateData}.
+     * When the peer supports it, the writes are sent in batches with a single request to
+     * the peer for each batch, otherwise a request is made for each key.
+     *
+     * @param {string} collection The collection name
+     * @param {Array<{key: string, value: byte[]|string}>} entries Private data variable keys and the values to set for them
+     */
+    async putMultiplePrivateData(collection, entries) {
+        logger.debug('putMultiplePrivateData called with collection:%s', collection);
+        if (!collection || typeof collection !== 'string') {
+            throw new Error('collection must be a valid string');
+        }
+        entries = toWriteEntries(entries);
+
+        const result = await this.handler.handlePutMultipleStates(collection, entries, this.channel_id, this.txId);
+        entries.forEach(({key, value}) => this._recordWrite(collection, key, value));
+        return result;
     }
 
     /**
@@ -1070,7 +1321,13 @@ class ChaincodeStub {
             startKey = EMPTY_KEY_SUBSTITUTE;
         }
 
-        const promise = this.handler.handleGetStateByRange(collection, startKey, endKey, this.channel_id, this.txId);
+        let promise = this.handler.handleGetStateByRange(collection, startKey, endKey, this.channel_id, this.txId);
+        const writes = this._getWriteSetSnapshot(collection);
+        if (writes) {
+            promise = promise.then((result) => Object.assign({}, result, {
+                iterator: new WriteSetQueryIterator(result.iterator, writes, startKey, endKey)
+            }));
+        }
         return convertToAsyncIterator(promise);
     }
 
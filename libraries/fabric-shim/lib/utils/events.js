@@ -0,0 +1,78 @@
+/*
+# Copyright IBM Corp. All Rights Reserved.
+#
+# SPDX-License-Identifier: Apache-2.0
+*/
+
+'use strict';
+
+/**
+ * Name of the chaincode event used to carry several events emitted by a single transaction.
+ *
+ * The peer only records one chaincode event per transaction, so when more than one event is
+ * added with [addEvent()]{@link ChaincodeStub#addEvent} they are packed into an envelope event
+ * with this name. Its payload is the UTF-8 JSON document
+ * <code>{"events":[{"name":"AssetTransferred","payload":"&lt;base64&gt;"}, ...]}</code>,
+ * with the events in the order they were added.
+ * @type {string}
+ */
+const BATCH_EVENT_NAME = 'fabric:events';
+
+/**
+ * @typedef {Object} ChaincodeEventEntry
+ * @property {string} name Name of the event
+ * @property {Buffer} payload The event payload
+ */
+
+/**
+ * Packs the events emitted by a transaction into the single event sent to the peer. One event is
+ * sent unchanged, more than one are packed into a [batch envelope]{@link BATCH_EVENT_NAME}.
+ * @param {ChaincodeEventEntry[]} events The events, which must not be empty
+ * @returns {ChaincodeEventEntry} The event to send to the peer
+ */
+function encodeEvents(events) {
+    if (events.length === 1) {
+        return events[0];
+    }
+
+    const envelope = {
+        events: events.map(({name, payload}) => {
+            return {name, payload: Buffer.from(payload || '').toString('base64')};
+        })
+    };
+    return {name: BATCH_EVENT_NAME, payload: Buffer.from(JSON.stringify(envelope))};
+}
+
+/**
+ * Unpacks a chaincode event received by a client application into the events emitted by the
+ * transaction. A [batch envelope]{@link BATCH_EVENT_NAME} yields each of the events it carries,
+ * any other event yields itself.
+ * @param {string} name Name of the chaincode event
+ * @param {byte[]} payload Payload of the chaincode event
+ * @returns {ChaincodeEventEntry[]} The events emitted by the transaction
+ */
+function decodeEvents(name, payload) {
+    if (name !== BATCH_EVENT_NAME) {
+        return [{name, payload: Buffer.from(payload || '')}];
+    }
+
+    let envelope;
+    try {
+        envelope = JSON.parse(Buffer.from(payload).toString());
+    } catch (err) {
+        throw new Error(`Invalid ${BATCH_EVENT_NAME} event payload: ${err.message}`);
+    }
+    if (!envelope || !Array.isArray(envelope.events)) {
+        throw new Error(`Invalid ${BATCH_EVENT_NAME} event payload: missing events array`);
+    }
+
+    return envelope.events.map((event) => {
+        return {name: event.name, payload: Buffer.from(event.payload || '', 'base64')};
+    });
+}
+
+module.exports = {
+    BATCH_EVENT_NAME,
+    encodeEvents,
+    decodeEvents
+};
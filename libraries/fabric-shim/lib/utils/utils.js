@@ -11,3 +11,38 @@ module.exports.generateLoggingPrefix = (channelId, txId) => {
 function shortTxID (txId) {
     return txId.substring(0, 8);
 }
+
+/*
+ * Split an address given as host:port, such as 0.0.0.0:9443
+ *
+ * @param {string} address the address
+ * @param {string} name what the address is for, to describe it if it is not valid
+ * @returns {Object} the host and port
+ */
+module.exports.parseAddress = (address, name) => {
+    const separator = address.lastIndexOf(':');
+    if (separator < 0) {
+        throw new Error(`The ${name} address must be given as host:port, not ${address}`);
+    }
+    // IPv6 hosts are given in brackets, such as [::1]:9443
+    const host = address.substring(0, separator).replace(/^\[(.*)\]$/, '$1');
+    return {host, port: Number(address.substring(separator + 1))};
+};
+
+/*
+ * Start an HTTP server listening on a host and port
+ *
+ * @param {http.Server} server the server
+ * @param {string} host the host
+ * @param {number} port the port, or 0 for any free port
+ * @returns {Promise<void>} resolves once listening, or rejects if the server cannot listen
+ */
+module.exports.listen = (server, host, port) => {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.removeListener('error', reject);
+            resolve();
+        });
+    });
+};
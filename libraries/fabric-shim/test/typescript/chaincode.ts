@@ -19,6 +19,8 @@ import { Shim,
     QueryResponseMetadata,
     StateQueryResponse,
     KeyEndorsementPolicy,
+    ChaincodeEvents,
+    ChaincodeEventEntry,
     ENDORSER_ROLES,
     Timestamp
  } from 'fabric-shim';
@@ -210,6 +212,8 @@ class TestTS implements ChaincodeInterface {
         const binding: string = stub.getBinding();
         const channelID: string = stub.getChannelID();
         stub.setEvent('eventid', Buffer.from('some data', 'utf-8'));
+        stub.addEvent('eventid2', Buffer.from('more data', 'utf-8'));
+        const events: ChaincodeEventEntry[] = ChaincodeEvents.decodeEvents(ChaincodeEvents.BATCH_EVENT_NAME, Buffer.from('{"events":[]}'));
         const transient: Map<string, Uint8Array> = stub.getTransient();
         const TxID: string = stub.getTxID();
         const TxTimestamp: Timestamp = stub.getTxTimestamp();
@@ -332,6 +332,26 @@ describe('Chaincode', () => {
             expect(result.status).to.deep.equal(Stub.RESPONSE_CODE.ERROR);
         });
 
+        it ('should let the code response an error with a status', () => {
+            const result = Chaincode.error('error msg', 403);
+
+            expect(result.message).to.deep.equal('error msg');
+            expect(result.status).to.deep.equal(403);
+        });
+
+        it ('should let the code response an error with a status and payload', () => {
+            const result = Chaincode.error('error msg', 404, Buffer.from('details'));
+
+            expect(result.status).to.deep.equal(404);
+            expect(result.payload).to.deep.equal(Buffer.from('details'));
+        });
+
+        it ('should throw an error if the error status is below the error threshold', () => {
+            expect(() => {
+                Chaincode.error('error msg', 200);
+            }).to.throw(/Error status must be at least 400, not 200/);
+        });
+
         it ('should handle an empty success', () => {
             const result = Chaincode.success();
 
@@ -48,6 +48,12 @@ describe('chaincode cmd', () => {
         expect(args['grpc.keepalive_timeout_ms'].default).to.deep.equal(20000);
         expect(args['grpc.http2.max_pings_without_data'].default).to.deep.equal(0);
         expect(args['grpc.keepalive_permit_without_calls'].default).to.deep.equal(1);
+        expect(args['request-timeout'].default).to.deep.equal(30000);
+        expect(args['reconnect-attempts'].default).to.deep.equal(0);
+        expect(args['reconnect-delay'].default).to.deep.equal(1000);
+        expect(args['reconnect-max-delay'].default).to.deep.equal(30000);
+        expect(args['shutdown-timeout'].default).to.deep.equal(30000);
+        expect(args['metrics-address'].default).to.be.undefined;
         expect(args['module-path'].default).to.deep.equal(process.cwd());
 
         sinon.assert.calledOnce(yargs.usage);
@@ -109,6 +115,11 @@ describe('chaincode cmd', () => {
                     'grpc.keepalive_timeout_ms': 20000,
                     'grpc.http2.max_pings_without_data': 0,
                     'grpc.keepalive_permit_without_calls': 1,
+                    'request-timeout': 30000,
+                    'reconnect-attempts': 0,
+                    'reconnect-delay': 1000,
+                    'reconnect-max-delay': 30000,
+                    'shutdown-timeout': 30000,
                     'module-path': process.cwd()
                 },
                 configuration: {
@@ -154,6 +165,11 @@ describe('chaincode cmd', () => {
                     'grpc.keepalive_timeout_ms': 20000,
                     'grpc.http2.max_pings_without_data': 0,
                     'grpc.keepalive_permit_without_calls': 1,
+                    'request-timeout': 30000,
+                    'reconnect-attempts': 0,
+                    'reconnect-delay': 1000,
+                    'reconnect-max-delay': 30000,
+                    'shutdown-timeout': 30000,
                     'module-path': process.cwd()
                 },
                 configuration: {
@@ -199,6 +215,11 @@ describe('chaincode cmd', () => {
                     'grpc.keepalive_timeout_ms': 20000,
                     'grpc.http2.max_pings_without_data': 0,
                     'grpc.keepalive_permit_without_calls': 1,
+                    'request-timeout': 30000,
+                    'reconnect-attempts': 0,
+                    'reconnect-delay': 1000,
+                    'reconnect-max-delay': 30000,
+                    'shutdown-timeout': 30000,
                     'module-path': process.cwd()
                 },
                 configuration: {
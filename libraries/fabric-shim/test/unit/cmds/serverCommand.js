@@ -49,6 +49,12 @@ describe('server cmd', () => {
             expect(args['grpc.keepalive_timeout_ms'].default).to.deep.equal(20000);
             expect(args['grpc.http2.max_pings_without_data'].default).to.deep.equal(0);
             expect(args['grpc.keepalive_permit_without_calls'].default).to.deep.equal(1);
+            expect(args['request-timeout'].default).to.deep.equal(30000);
+            expect(args['shutdown-timeout'].default).to.deep.equal(30000);
+            expect(args['health-address'].default).to.be.undefined;
+            expect(args['health-max-event-loop-delay'].default).to.deep.equal(5000);
+            expect(args['metrics-address'].default).to.be.undefined;
+        expect(args['request-timeout'].default).to.deep.equal(30000);
             expect(args['module-path'].default).to.deep.equal(process.cwd());
 
             expect(yargs.usage.calledOnce).to.be.true;
@@ -47,7 +47,9 @@ describe('bootstrap.js', () => {
     }
 
     class MockChaincodeFromContract {
-        constructor(contractClasses) {}
+        constructor(...args) {
+            this.args = args;
+        }
     }
 
     let sandbox;
@@ -94,11 +96,30 @@ describe('bootstrap.js', () => {
 
     describe('#register', () => {
 
+        beforeEach(() => {
+            sandbox.stub(Bootstrap, 'stopOnSignals');
+        });
+
         it('should pass on the register to the shim', async () => {
             await Bootstrap.register([sc], {}, {}, 'some title', 'some version');
             sinon.assert.calledOnce(mockShim.start);
         });
 
+        it('should stop the client on signals', async () => {
+            const client = {stop: sandbox.stub()};
+            mockShim.start.returns(client);
+            await Bootstrap.register([sc], {}, {}, 'some title', 'some version', {'shutdown-timeout': 5000});
+
+            sinon.assert.calledOnceWithExactly(Bootstrap.stopOnSignals, client, 5000);
+        });
+
+        it('should stop the server on signals in the server mode', async () => {
+            const opts = {ccid: 'abcdef', address: '0.0.0.0:9999', 'shutdown-timeout': 5000};
+            await Bootstrap.register([sc], {}, {}, 'some title', 'some version', opts, true);
+
+            sinon.assert.calledOnceWithExactly(Bootstrap.stopOnSignals, mockServer, 5000);
+        });
+
         it('should pass on the register to the shim in the server mode', async () => {
             const opts = {ccid: 'abcdef', address: '0.0.0.0:9999'};
             await Bootstrap.register([sc], {}, {}, 'some title', 'some version', opts, true);
@@ -109,6 +130,84 @@ describe('bootstrap.js', () => {
             expect(mockShim.server.getCall(0).args[1]).to.deep.equal(opts);
         });
 
+        it('should log the error and exit if the server cannot be started', async () => {
+            const error = new Error('EADDRINUSE');
+            mockServer.start.rejects(error);
+            sandbox.stub(Bootstrap.__get__('logger'), 'error');
+            sandbox.stub(process, 'exit');
+            const opts = {ccid: 'abcdef', address: '0.0.0.0:9999', 'metrics-port': 9443};
+            await Bootstrap.register([sc], {}, {}, 'some title', 'some version', opts, true);
+
+            sinon.assert.calledOnceWithExactly(Bootstrap.__get__('logger').error, 'Failed to start the chaincode server', error);
+            sinon.assert.calledOnceWithExactly(process.exit, 1);
+            sinon.assert.notCalled(Bootstrap.stopOnSignals);
+        });
+
+        it('should pass the middleware to the chaincode', async () => {
+            const middleware = [sandbox.stub()];
+            await Bootstrap.register([sc], {}, {}, 'some title', 'some version', {}, false, middleware);
+
+            expect(mockShim.start.getCall(0).args[0].args).to.deep.equal([[sc], {}, {}, 'some title', 'some version', middleware, false]);
+        });
+
+        it('should default to no middleware', async () => {
+            await Bootstrap.register([sc], {}, {}, 'some title', 'some version');
+
+            expect(mockShim.start.getCall(0).args[0].args[5]).to.deep.equal([]);
+        });
+
+        it('should pass the return value validation setting to the chaincode', async () => {
+            await Bootstrap.register([sc], {}, {}, 'some title', 'some version', {}, false, [], true);
+
+            expect(mockShim.start.getCall(0).args[0].args[6]).to.equal(true);
+        });
+
+    });
+
+    describe('#stopOnSignals', () => {
+        let handlers;
+        let target;
+
+        beforeEach(() => {
+            handlers = {};
+            sandbox.stub(process, 'once').callsFake((signal, handler) => {
+                handlers[signal] = handler;
+            });
+            sandbox.stub(process, 'exit');
+            target = {stop: sandbox.stub().resolves(true)};
+        });
+
+        it('should listen for SIGTERM and SIGINT', () => {
+            Bootstrap.stopOnSignals(target, 5000);
+
+            expect(Object.keys(handlers)).to.deep.equal(['SIGTERM', 'SIGINT']);
+            sinon.assert.notCalled(target.stop);
+        });
+
+        it('should stop the target with the timeout and then exit', async () => {
+            Bootstrap.stopOnSignals(target, 5000);
+            await handlers.SIGTERM('SIGTERM');
+
+            sinon.assert.calledOnceWithExactly(target.stop, 5000);
+            sinon.assert.calledOnceWithExactly(process.exit, 0);
+            sinon.assert.callOrder(target.stop, process.exit);
+        });
+
+        it('should exit even if the running transactions did not complete', async () => {
+            target.stop.resolves(false);
+            Bootstrap.stopOnSignals(target);
+            await handlers.SIGINT('SIGINT');
+
+            sinon.assert.calledOnceWithExactly(process.exit, 0);
+        });
+
+        it('should exit even if stopping fails', async () => {
+            target.stop.rejects(new Error('stop failed'));
+            Bootstrap.stopOnSignals(target);
+            await handlers.SIGTERM('SIGTERM');
+
+            sinon.assert.calledOnceWithExactly(process.exit, 0);
+        });
     });
 
     describe('#bootstrap', () => {
@@ -153,6 +252,29 @@ describe('bootstrap.js', () => {
             sinon.assert.calledWith(registerStub, [sc], {}, {}, 'some title', 'some version', {'module-path':'fakepath'}, true);
         });
 
+        it ('should pass the exported middleware to the register method', async () => {
+            getMetadataStub.resolves({});
+            const middleware = [sandbox.stub()];
+            const registerStub = sandbox.stub();
+            Bootstrap.register = registerStub;
+            getInfoFromContractStub.returns({contracts: [sc], serializers : {}, title: 'some title', version: 'some version', middleware});
+
+            await Bootstrap.bootstrap();
+
+            sinon.assert.calledWith(registerStub, [sc], {}, {}, 'some title', 'some version', {'module-path':'fakepath'}, false, middleware);
+        });
+
+        it ('should pass the exported return value validation setting to the register method', async () => {
+            getMetadataStub.resolves({});
+            const registerStub = sandbox.stub();
+            Bootstrap.register = registerStub;
+            getInfoFromContractStub.returns({contracts: [sc], serializers : {}, title: 'some title', version: 'some version', middleware: [], validateReturnValues: true});
+
+            await Bootstrap.bootstrap();
+
+            sinon.assert.calledWith(registerStub, [sc], {}, {}, 'some title', 'some version', {'module-path':'fakepath'}, false, [], true);
+        });
+
     });
 
     describe('#getInfoFromContract', () => {
@@ -177,9 +299,44 @@ describe('bootstrap.js', () => {
                 }
             );
             mockery.registerMock(path.resolve(process.cwd(), 'fakepath', 'entrypoint'), {contracts: [sc]});
-            const {contracts} = Bootstrap.getInfoFromContract('fakepath');
+            const {contracts, middleware, validateReturnValues} = Bootstrap.getInfoFromContract('fakepath');
+
+            expect({contracts, middleware, validateReturnValues}).to.deep.equal({contracts: [sc], middleware: [], validateReturnValues: false});
+        });
+
+        it ('should use the middleware exported by the main class', () => {
+            mockery.registerMock(path.resolve(process.cwd(), 'fakepath', 'package.json'), {
+                main: 'entrypoint'
+            });
+            mockery.registerMock('fabric-contract-api',
+                {
+                    JSONSerializer: {
+                        'wibble1': 'wibbleimpl1'
+                    }
+                }
+            );
+            const audit = sandbox.stub();
+            mockery.registerMock(path.resolve(process.cwd(), 'fakepath', 'entrypoint'), {contracts: [sc], middleware: [audit]});
+            const {middleware} = Bootstrap.getInfoFromContract('fakepath');
+
+            expect(middleware).to.deep.equal([audit]);
+        });
+
+        it ('should use the return value validation setting exported by the main class', () => {
+            mockery.registerMock(path.resolve(process.cwd(), 'fakepath', 'package.json'), {
+                main: 'entrypoint'
+            });
+            mockery.registerMock('fabric-contract-api',
+                {
+                    JSONSerializer: {
+                        'wibble1': 'wibbleimpl1'
+                    }
+                }
+            );
+            mockery.registerMock(path.resolve(process.cwd(), 'fakepath', 'entrypoint'), {contracts: [sc], validateReturnValues: true});
+            const {validateReturnValues} = Bootstrap.getInfoFromContract('fakepath');
 
-            expect({contracts}).to.deep.equal({contracts: [sc]});
+            expect(validateReturnValues).to.equal(true);
         });
 
         it ('should use the main class defined in the package.json with a single element', () => {
@@ -229,6 +386,9 @@ describe('bootstrap.js', () => {
                 {
                     JSONSerializer: {
                         'wibble1': 'wibbleimpl1'
+                    },
+                    CanonicalJSONSerializer: {
+                        'wibble3': 'wibbleimpl3'
                     }
                 }
             );
@@ -253,12 +413,53 @@ describe('bootstrap.js', () => {
                         jsonSerializer: {
                             'wibble1': 'wibbleimpl1',
                         },
+                        canonicalJsonSerializer: {
+                            'wibble3': 'wibbleimpl3',
+                        },
                         'wibble2': 'wibbleimpl2'
                     }
                 }, title: 'some title', version: 'some version'});
 
         });
 
+        it ('should allow one of the default serializers to be used for transactions', () => {
+            mockery.registerMock(path.resolve(process.cwd(), 'fakepath', 'package.json'), {
+                main: 'entrypoint3'
+            });
+            mockery.registerMock('fabric-contract-api',
+                {
+                    JSONSerializer: {
+                        'wibble1': 'wibbleimpl1'
+                    },
+                    CanonicalJSONSerializer: {
+                        'wibble3': 'wibbleimpl3'
+                    }
+                }
+            );
+            mockery.registerMock(path.resolve(process.cwd(), 'fakepath', 'entrypoint3'),
+                {
+                    contracts: [sc],
+                    serializers : {
+                        transaction: 'canonicalJsonSerializer'
+                    }
+                }
+            );
+
+            const {serializers} = Bootstrap.getInfoFromContract('fakepath');
+
+            expect(serializers).to.deep.equal({
+                transaction: 'canonicalJsonSerializer',
+                serializers: {
+                    jsonSerializer: {
+                        'wibble1': 'wibbleimpl1',
+                    },
+                    canonicalJsonSerializer: {
+                        'wibble3': 'wibbleimpl3',
+                    }
+                }
+            });
+        });
+
         it ('should throw an error if there is no transaction property', () => {
             mockery.registerMock(path.resolve(process.cwd(), 'fakepath', 'package.json'), {
                 main: 'entrypoint3',
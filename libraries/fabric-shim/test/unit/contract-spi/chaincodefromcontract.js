@@ -28,13 +28,17 @@ console.log(path.join(pathToRoot, 'fabric-contract-api/lib/jsontransactionserial
 console.log(require('fabric-contract-api/lib/jsontransactionserializer.js'))
 console.log('==============================================================================')
 const Contract = require('fabric-contract-api').Contract;
+const Context = require('fabric-contract-api').Context;
+const {ContractError, NotFoundError, RequireMSP} = require('fabric-contract-api');
 const JSONSerializer = require(path.join(pathToRoot, 'fabric-contract-api/lib/jsontransactionserializer.js'));
 
 const SystemContract = require(path.join('../../../', 'lib/contract-spi/systemcontract'));
 const StartCommand = require(path.join('../../../', 'lib/cmds/startCommand.js'));
 const ChaincodeFromContract = require(path.join('../../../', 'lib/contract-spi/chaincodefromcontract'));
+const DataMarshall = require(path.join('../../../', 'lib/contract-spi/datamarshall'));
 const shim = require(path.join('../../../', 'lib/chaincode'));
 const utils = require('../../../lib/utils/utils');
+const {getTransactionName} = require('../../../lib/metrics');
 
 const defaultSerialization = {
     transaction: 'jsonSerializer',
@@ -224,6 +228,15 @@ describe('chaincodefromcontract', () => {
             }).should.throw(/Missing argument/);
         });
 
+        it('should handle middleware that is not an array of functions', () => {
+            (() => {
+                new ChaincodeFromContract([SCAlpha], defaultSerialization, {}, 'title', 'version', 'not an array');
+            }).should.throw(/Middleware must be an array of functions/);
+
+            (() => {
+                new ChaincodeFromContract([SCAlpha], defaultSerialization, {}, 'title', 'version', [() => {}, 'not a function']);
+            }).should.throw(/Middleware must be an array of functions/);
+        });
 
         it('should handle a single class being passed as a contract', () => {
             const systemContract = new SystemContract();
@@ -635,6 +648,7 @@ describe('chaincodefromcontract', () => {
             }
             sinon.assert.called(fakeError);
             sinon.assert.notCalled(fakeSuccess);
+            getTransactionName(mockStub).should.deep.equal({contract: '', function: ''});
 
         });
 
@@ -645,6 +659,7 @@ describe('chaincodefromcontract', () => {
             const ctx = {
                 setChaincodeStub: sandbox.stub(),
                 setClientIdentity: sandbox.stub(),
+                setEventEmitter: sandbox.stub(),
                 logging:{
                     setLevel:()=>{},getLogger:()=>{}
                 }
@@ -697,6 +712,7 @@ describe('chaincodefromcontract', () => {
             await cc.invokeFunctionality(mockStub);
             sinon.assert.called(fakeSuccess);
             sinon.assert.notCalled(fakeError);
+            getTransactionName(mockStub).should.deep.equal({contract: 'name', function: ''});
 
         });
 
@@ -725,7 +741,8 @@ describe('chaincodefromcontract', () => {
 
             const ctx = {
                 setChaincodeStub: sandbox.stub(),
-                setClientIdentity: sandbox.stub()
+                setClientIdentity: sandbox.stub(),
+                setEventEmitter: sandbox.stub()
             };
 
             const mockStub = {
@@ -783,7 +800,8 @@ describe('chaincodefromcontract', () => {
 
             const ctx = {
                 setChaincodeStub: sandbox.stub(),
-                setClientIdentity: sandbox.stub()
+                setClientIdentity: sandbox.stub(),
+                setEventEmitter: sandbox.stub()
             };
 
             const mockStub = {
@@ -829,6 +847,7 @@ describe('chaincodefromcontract', () => {
             sinon.assert.calledWith(cc.contractImplementations.name.dataMarshall.toWireBuffer, 'hello world', undefined, 'a logging prefix');
             sinon.assert.called(fakeSuccess);
             sinon.assert.notCalled(fakeError);
+            getTransactionName(mockStub).should.deep.equal({contract: 'name', function: 'fn'});
         });
 
         it('should handle functions with returned values schema', async () => {
@@ -855,7 +874,8 @@ describe('chaincodefromcontract', () => {
 
             const ctx = {
                 setChaincodeStub: sandbox.stub(),
-                setClientIdentity: sandbox.stub()
+                setClientIdentity: sandbox.stub(),
+                setEventEmitter: sandbox.stub()
             };
 
             const mockStub = {
@@ -909,6 +929,781 @@ describe('chaincodefromcontract', () => {
         });
     });
 
+    describe('#invokeFunctionality middleware', () => {
+        let cc;
+        let ctx;
+        let mockStub;
+        let contractInstance;
+        let calls;
+
+        const createMiddleware = (name) => {
+            return async (ctx, tx, next) => {
+                calls.push(`${name} before`);
+                const result = await next();
+                calls.push(`${name} after`);
+                return result;
+            };
+        };
+
+        beforeEach(() => {
+            sandbox.replace(shim, 'success', sinon.fake());
+            sandbox.replace(shim, 'error', sinon.fake());
+            sandbox.stub(utils, 'generateLoggingPrefix').returns('a logging prefix');
+
+            sandbox.stub(ChaincodeFromContract.prototype, '_resolveContractImplementations')
+                .returns({
+                    'org.hyperledger.fabric': {
+                        contractInstance: new SystemContract()
+                    }
+                });
+            sandbox.stub(ChaincodeFromContract.prototype, '_checkAgainstSuppliedMetadata').returns([]);
+            sandbox.stub(ChaincodeFromContract.prototype, '_augmentMetadataFromCode').returns({});
+            sandbox.stub(ChaincodeFromContract.prototype, '_compileSchemas');
+
+            calls = [];
+            cc = new ChaincodeFromContract([SCAlpha], defaultSerialization, {}, 'title', 'version', [createMiddleware('global')]);
+
+            ctx = new Context();
+            mockStub = {
+                getBufferArgs: sandbox.stub().returns(['name:fn', Buffer.from('args2')]),
+                getCreator: sandbox.stub().returns({mspid: 'Org1MSP', idBytes: Buffer.from(certWithoutAttrs)}),
+                getTxID: () => {
+                    return 'a tx id';
+                },
+                getChannelID: () => {
+                    return 'a channel id';
+                }
+            };
+
+            contractInstance = new Contract('name', {middleware: [createMiddleware('contract')]});
+            contractInstance.createContext = sandbox.stub().returns(ctx);
+            contractInstance.beforeTransaction = async () => {
+                calls.push('beforeTransaction');
+            };
+            contractInstance.fn = async (ctx, arg) => {
+                calls.push(`fn ${arg}`);
+                return 'hello world';
+            };
+            contractInstance.afterTransaction = async () => {
+                calls.push('afterTransaction');
+            };
+
+            cc.contractImplementations.name = {
+                contractInstance,
+                dataMarshall: {
+                    handleParameters: sandbox.stub().returns(['args2']),
+                    toWireBuffer: sandbox.stub().callsFake((result) => Buffer.from(result))
+                }
+            };
+            cc.metadata.contracts = {
+                name: {
+                    transactions: [{name: 'fn'}]
+                }
+            };
+        });
+
+        it('should run the global then the contract middleware around the transaction', async () => {
+            await cc.invokeFunctionality(mockStub);
+
+            calls.should.deep.equal([
+                'global before',
+                'contract before',
+                'beforeTransaction',
+                'fn args2',
+                'afterTransaction',
+                'contract after',
+                'global after'
+            ]);
+            sinon.assert.calledWith(cc.contractImplementations.name.dataMarshall.toWireBuffer, 'hello world');
+            sinon.assert.calledWith(shim.success, Buffer.from('hello world'));
+        });
+
+        it('should pass the context and the transaction description to the middleware', async () => {
+            const middleware = sandbox.stub().callsFake((ctx, tx, next) => next());
+            contractInstance.__middleware.push(middleware);
+
+            await cc.invokeFunctionality(mockStub);
+
+            sinon.assert.calledOnce(middleware);
+            sinon.assert.calledWith(middleware, ctx, {
+                contract: 'name',
+                function: 'fn',
+                descriptor: {name: 'fn'},
+                parameters: ['args2']
+            });
+        });
+
+        it('should allow middleware to change the parameters and the result', async () => {
+            contractInstance.__middleware.push(async (ctx, tx, next) => {
+                tx.parameters = ['changed'];
+                const result = await next();
+                return `${result}!`;
+            });
+
+            await cc.invokeFunctionality(mockStub);
+
+            calls.should.include('fn changed');
+            sinon.assert.calledWith(shim.success, Buffer.from('hello world!'));
+        });
+
+        it('should allow middleware to skip the transaction function', async () => {
+            contractInstance.__middleware.push(async () => {
+                return 'short circuit';
+            });
+
+            await cc.invokeFunctionality(mockStub);
+
+            calls.should.deep.equal([
+                'global before',
+                'contract before',
+                'contract after',
+                'global after'
+            ]);
+            sinon.assert.calledWith(shim.success, Buffer.from('short circuit'));
+        });
+
+        it('should fail the transaction when middleware calls next more than once', async () => {
+            contractInstance.__middleware.push(async (ctx, tx, next) => {
+                await next();
+                return next();
+            });
+
+            await cc.invokeFunctionality(mockStub);
+
+            sinon.assert.notCalled(shim.success);
+            sinon.assert.calledWith(shim.error, 'next() called multiple times by transaction middleware');
+        });
+
+        it('should fail the transaction when middleware throws an error', async () => {
+            contractInstance.__middleware.push(() => {
+                throw new Error('Access denied');
+            });
+
+            await cc.invokeFunctionality(mockStub);
+
+            calls.should.not.include('fn args2');
+            sinon.assert.calledWith(shim.error, 'Access denied');
+        });
+    });
+
+    describe('#invokeFunctionality access', () => {
+        let cc;
+        let clientIdentity;
+        let mockStub;
+        let transaction;
+
+        beforeEach(() => {
+            sandbox.replace(shim, 'success', sinon.fake());
+            sandbox.replace(shim, 'error', sinon.fake());
+            sandbox.stub(utils, 'generateLoggingPrefix').returns('a logging prefix');
+
+            sandbox.stub(ChaincodeFromContract.prototype, '_resolveContractImplementations')
+                .returns({
+                    'org.hyperledger.fabric': {
+                        contractInstance: new SystemContract()
+                    }
+                });
+            sandbox.stub(ChaincodeFromContract.prototype, '_checkAgainstSuppliedMetadata').returns([]);
+            sandbox.stub(ChaincodeFromContract.prototype, '_augmentMetadataFromCode').returns({});
+            sandbox.stub(ChaincodeFromContract.prototype, '_compileSchemas');
+            cc = new ChaincodeFromContract([SCAlpha], defaultSerialization);
+
+            const attributes = {'hf.Type': 'client', 'department': 'finance'};
+            clientIdentity = {
+                getMSPID: sandbox.stub().returns('Org1MSP'),
+                getAttributeValue: sandbox.stub().callsFake((name) => attributes[name] || null)
+            };
+            const ctx = new Context();
+            ctx.setClientIdentity = () => {
+                ctx.clientIdentity = clientIdentity;
+            };
+
+            mockStub = {
+                getBufferArgs: sandbox.stub().returns(['name:fn']),
+                getCreator: sandbox.stub().returns({mspid: 'Org1MSP', idBytes: Buffer.from(certWithoutAttrs)}),
+                getTxID: () => {
+                    return 'a tx id';
+                },
+                getChannelID: () => {
+                    return 'a channel id';
+                }
+            };
+
+            const contractInstance = {
+                createContext: sandbox.stub().returns(ctx),
+                beforeTransaction: sandbox.stub(),
+                aroundTransaction: sandbox.stub().resolves('hello world'),
+                afterTransaction: sandbox.stub()
+            };
+            cc.contractImplementations.name = {
+                contractInstance,
+                dataMarshall: {
+                    handleParameters: sandbox.stub().returns([]),
+                    toWireBuffer: sandbox.stub().returns(Buffer.from('hello world'))
+                }
+            };
+
+            // the rules come from the annotations, and the metadata is as if supplied in a file without them
+            transaction = {name: 'fn'};
+            Reflect.defineMetadata('fabric:transactions', [transaction], contractInstance);
+            cc.metadata.contracts = {
+                name: {
+                    transactions: [{name: 'fn'}]
+                }
+            };
+        });
+
+        it('should call the function when the code has no rules', async () => {
+            Reflect.deleteMetadata('fabric:transactions', cc.contractImplementations.name.contractInstance);
+
+            await cc.invokeFunctionality(mockStub);
+
+            sinon.assert.calledOnce(cc.contractImplementations.name.contractInstance.aroundTransaction);
+            sinon.assert.notCalled(shim.error);
+        });
+
+        it('should use the rules in the code rather than those in the metadata', async () => {
+            transaction.access = {mspIds: ['Org2MSP']};
+            cc.metadata.contracts.name.transactions[0].access = {mspIds: ['Org1MSP']};
+
+            await cc.invokeFunctionality(mockStub);
+
+            sinon.assert.notCalled(cc.contractImplementations.name.contractInstance.aroundTransaction);
+            sinon.assert.calledOnceWithExactly(shim.error, 'Access denied to fn: MSP ID Org1MSP is not one of Org2MSP', 403, Buffer.from('{"code":"UNAUTHORIZED"}'));
+        });
+
+        it('should return a 403 error when the metadata has rules that the code does not', async () => {
+            Reflect.deleteMetadata('fabric:transactions', cc.contractImplementations.name.contractInstance);
+            cc.metadata.contracts.name.transactions[0].access = {mspIds: ['Org1MSP']};
+
+            await cc.invokeFunctionality(mockStub);
+
+            sinon.assert.notCalled(cc.contractImplementations.name.contractInstance.aroundTransaction);
+            sinon.assert.calledOnceWithExactly(shim.error, 'Access denied to fn: the access rules in the metadata cannot be found in the code',
+                403, Buffer.from('{"code":"UNAUTHORIZED"}'));
+        });
+
+        it('should call the function when the identity satisfies all the rules', async () => {
+            transaction.access = {
+                mspIds: ['Org2MSP', 'Org1MSP'],
+                roles: ['admin', 'client'],
+                attributes: [{name: 'department', value: 'finance'}, {name: 'hf.Type'}]
+            };
+
+            await cc.invokeFunctionality(mockStub);
+
+            sinon.assert.calledOnce(cc.contractImplementations.name.contractInstance.aroundTransaction);
+            sinon.assert.calledWith(shim.success, Buffer.from('hello world'));
+            sinon.assert.notCalled(shim.error);
+        });
+
+        it('should call the function when there are no rules', async () => {
+            transaction.access = {};
+
+            await cc.invokeFunctionality(mockStub);
+
+            sinon.assert.calledOnce(cc.contractImplementations.name.contractInstance.aroundTransaction);
+            sinon.assert.notCalled(shim.error);
+        });
+
+        const denied = [
+            [{mspIds: ['Org2MSP', 'Org3MSP']}, 'Access denied to fn: MSP ID Org1MSP is not one of Org2MSP, Org3MSP'],
+            [{roles: ['admin']}, 'Access denied to fn: role client is not one of admin'],
+            [{attributes: [{name: 'auditor'}]}, 'Access denied to fn: attribute auditor is required'],
+            [{attributes: [{name: 'department', value: 'sales'}]}, 'Access denied to fn: attribute department must have the value sales']
+        ];
+        denied.forEach(([access, message]) => {
+            it(`should return a 403 error when access is ${JSON.stringify(access)}`, async () => {
+                transaction.access = access;
+
+                await cc.invokeFunctionality(mockStub);
+
+                const contractInstance = cc.contractImplementations.name.contractInstance;
+                sinon.assert.notCalled(contractInstance.beforeTransaction);
+                sinon.assert.notCalled(contractInstance.aroundTransaction);
+                sinon.assert.notCalled(cc.contractImplementations.name.dataMarshall.handleParameters);
+                sinon.assert.calledOnceWithExactly(shim.error, message, 403, Buffer.from('{"code":"UNAUTHORIZED"}'));
+                sinon.assert.notCalled(shim.success);
+            });
+        });
+    });
+
+    describe('#invokeFunctionality access with supplied metadata', () => {
+        it('should apply the access rules of the code when the metadata supplied with the chaincode has none', async () => {
+            sandbox.replace(shim, 'error', sinon.fake());
+            sandbox.replace(shim, 'success', sinon.fake());
+
+            class Guarded extends Contract {
+                constructor() {
+                    super('guarded');
+                }
+
+                async fn() {
+                    return 'hello world';
+                }
+            }
+            RequireMSP('Org2MSP')(Guarded.prototype, 'fn');
+
+            const fileMetadata = {
+                contracts: {
+                    'org.hyperledger.fabric': {
+                        name: 'org.hyperledger.fabric',
+                        transactions: [{name: 'GetMetadata'}]
+                    },
+                    guarded: {
+                        name: 'guarded',
+                        transactions: [{name: 'fn', tags: ['SUBMIT', 'submitTx'], parameters: []}]
+                    }
+                }
+            };
+            const cc = new ChaincodeFromContract([Guarded], defaultSerialization, fileMetadata);
+
+            const mockStub = {
+                getBufferArgs: sandbox.stub().returns([Buffer.from('guarded:fn')]),
+                getCreator: sandbox.stub().returns({mspid: 'Org1MSP', idBytes: Buffer.from(certWithoutAttrs)}),
+                getTxID: () => 'a tx id',
+                getChannelID: () => 'a channel id'
+            };
+            await cc.invokeFunctionality(mockStub);
+
+            sinon.assert.calledOnceWithExactly(shim.error, 'Access denied to fn: MSP ID Org1MSP is not one of Org2MSP', 403, Buffer.from('{"code":"UNAUTHORIZED"}'));
+            sinon.assert.notCalled(shim.success);
+        });
+    });
+
+    describe('#invokeFunctionality named arguments', () => {
+        let cc;
+        let mockStub;
+        let contractInstance;
+        let dataMarshall;
+
+        beforeEach(() => {
+            sandbox.replace(shim, 'success', sinon.fake.returns('a success response'));
+            sandbox.stub(utils, 'generateLoggingPrefix').returns('a logging prefix');
+
+            sandbox.stub(ChaincodeFromContract.prototype, '_resolveContractImplementations')
+                .returns({
+                    'org.hyperledger.fabric': {
+                        contractInstance: new SystemContract()
+                    }
+                });
+            sandbox.stub(ChaincodeFromContract.prototype, '_checkAgainstSuppliedMetadata').returns([]);
+            sandbox.stub(ChaincodeFromContract.prototype, '_augmentMetadataFromCode').returns({});
+            sandbox.stub(ChaincodeFromContract.prototype, '_compileSchemas');
+            cc = new ChaincodeFromContract([SCAlpha], defaultSerialization);
+
+            mockStub = {
+                getBufferArgs: sandbox.stub().returns(['name:fn#named', Buffer.from('{"one":"penfold"}')]),
+                getCreator: sandbox.stub().returns({mspid: 'Org1MSP', idBytes: Buffer.from(certWithoutAttrs)}),
+                getTxID: () => {
+                    return 'a tx id';
+                },
+                getChannelID: () => {
+                    return 'a channel id';
+                }
+            };
+
+            contractInstance = {
+                createContext: sandbox.stub().returns(new Context()),
+                beforeTransaction: sandbox.stub(),
+                aroundTransaction: sandbox.stub(),
+                afterTransaction: sandbox.stub(),
+                unknownTransaction: sandbox.stub()
+            };
+            dataMarshall = {
+                handleParameters: sandbox.stub().returns(['positional']),
+                handleNamedParameters: sandbox.stub().returns(['named']),
+                toWireBuffer: sandbox.stub()
+            };
+            cc.contractImplementations.name = {
+                contractInstance,
+                dataMarshall
+            };
+            cc.metadata.contracts = {
+                name: {
+                    transactions: [{name: 'fn', parameters: [{name: 'one', schema: {type: 'string'}}]}]
+                }
+            };
+        });
+
+        it('should map the named arguments onto the parameters of the function', async () => {
+            await cc.invokeFunctionality(mockStub);
+
+            sinon.assert.notCalled(dataMarshall.handleParameters);
+            sinon.assert.calledOnceWithExactly(dataMarshall.handleNamedParameters, cc.metadata.contracts.name.transactions[0],
+                [Buffer.from('{"one":"penfold"}')], 'a logging prefix');
+            sinon.assert.calledOnceWithExactly(contractInstance.aroundTransaction, sinon.match.any, 'fn', ['named']);
+            sinon.assert.calledOnce(shim.success);
+        });
+
+        it('should use positional arguments without the suffix', async () => {
+            mockStub.getBufferArgs.returns(['name:fn', Buffer.from('penfold')]);
+
+            await cc.invokeFunctionality(mockStub);
+
+            sinon.assert.notCalled(dataMarshall.handleNamedParameters);
+            sinon.assert.calledOnceWithExactly(contractInstance.aroundTransaction, sinon.match.any, 'fn', ['positional']);
+        });
+
+        it('should call the unknown transaction function for an unknown function with the suffix', async () => {
+            mockStub.getBufferArgs.returns(['name:missing#named', Buffer.from('{}')]);
+
+            await cc.invokeFunctionality(mockStub);
+
+            sinon.assert.calledOnce(contractInstance.unknownTransaction);
+            sinon.assert.notCalled(dataMarshall.handleNamedParameters);
+        });
+    });
+
+    describe('#invokeFunctionality return values', () => {
+        let cc;
+        let mockStub;
+        let contractInstance;
+        let dataMarshall;
+
+        beforeEach(() => {
+            sandbox.replace(shim, 'success', sinon.fake.returns('a success response'));
+            sandbox.stub(utils, 'generateLoggingPrefix').returns('a logging prefix');
+
+            sandbox.stub(ChaincodeFromContract.prototype, '_resolveContractImplementations')
+                .returns({
+                    'org.hyperledger.fabric': {
+                        contractInstance: new SystemContract()
+                    }
+                });
+            sandbox.stub(ChaincodeFromContract.prototype, '_checkAgainstSuppliedMetadata').returns([]);
+            sandbox.stub(ChaincodeFromContract.prototype, '_augmentMetadataFromCode').returns({});
+            sandbox.stub(ChaincodeFromContract.prototype, '_compileSchemas');
+            cc = new ChaincodeFromContract([SCAlpha], defaultSerialization);
+
+            mockStub = {
+                getBufferArgs: sandbox.stub().returns(['name:fn']),
+                getCreator: sandbox.stub().returns({mspid: 'Org1MSP', idBytes: Buffer.from(certWithoutAttrs)}),
+                getTxID: () => {
+                    return 'a tx id';
+                },
+                getChannelID: () => {
+                    return 'a channel id';
+                }
+            };
+
+            contractInstance = {
+                createContext: sandbox.stub().returns(new Context()),
+                beforeTransaction: sandbox.stub(),
+                aroundTransaction: sandbox.stub().resolves({name: 'penfold'}),
+                afterTransaction: sandbox.stub()
+            };
+            dataMarshall = {
+                handleParameters: sandbox.stub().returns([]),
+                handleReturnValue: sandbox.stub().returns(Buffer.from('a validated value')),
+                toWireBuffer: sandbox.stub().returns(Buffer.from('a value'))
+            };
+            cc.contractImplementations.name = {
+                contractInstance,
+                dataMarshall
+            };
+            cc.metadata.contracts = {
+                name: {
+                    transactions: [{
+                        name: 'fn',
+                        returns: {name: 'success', schema: {$ref: '#/components/schemas/Asset'}}
+                    }]
+                }
+            };
+        });
+
+        it('should not validate the return value by default', async () => {
+            await cc.invokeFunctionality(mockStub);
+
+            sinon.assert.notCalled(dataMarshall.handleReturnValue);
+            sinon.assert.calledOnceWithExactly(dataMarshall.toWireBuffer, {name: 'penfold'}, {$ref: '#/components/schemas/Asset'}, 'a logging prefix');
+            sinon.assert.calledOnceWithExactly(shim.success, Buffer.from('a value'));
+        });
+
+        it('should validate the return value when enabled for the chaincode', async () => {
+            cc.validateReturnValues = true;
+
+            await cc.invokeFunctionality(mockStub);
+
+            sinon.assert.notCalled(dataMarshall.toWireBuffer);
+            sinon.assert.calledOnceWithExactly(dataMarshall.handleReturnValue, cc.metadata.contracts.name.transactions[0],
+                {name: 'penfold'}, {$ref: '#/components/schemas/Asset'}, 'a logging prefix');
+            sinon.assert.calledOnceWithExactly(shim.success, Buffer.from('a validated value'));
+        });
+
+        it('should validate the return value when enabled for the contract', async () => {
+            contractInstance.__returnValuesValidated = true;
+
+            await cc.invokeFunctionality(mockStub);
+
+            sinon.assert.calledOnce(dataMarshall.handleReturnValue);
+            sinon.assert.calledOnceWithExactly(shim.success, Buffer.from('a validated value'));
+        });
+
+        it('should not validate the return value when disabled for the contract but enabled for the chaincode', async () => {
+            cc.validateReturnValues = true;
+            contractInstance.__returnValuesValidated = false;
+
+            await cc.invokeFunctionality(mockStub);
+
+            sinon.assert.notCalled(dataMarshall.handleReturnValue);
+            sinon.assert.calledOnce(dataMarshall.toWireBuffer);
+        });
+
+        it('should not validate the return value of a transaction that does not declare one', async () => {
+            cc.validateReturnValues = true;
+            delete cc.metadata.contracts.name.transactions[0].returns;
+
+            await cc.invokeFunctionality(mockStub);
+
+            sinon.assert.notCalled(dataMarshall.handleReturnValue);
+            sinon.assert.calledOnceWithExactly(dataMarshall.toWireBuffer, {name: 'penfold'}, undefined, 'a logging prefix');
+        });
+
+        it('should fail the transaction if the return value is not valid', async () => {
+            sandbox.replace(shim, 'error', sinon.fake.returns('an error response'));
+            cc.validateReturnValues = true;
+            dataMarshall.handleReturnValue.throws(new Error('Unable to validate return value of fn due to ["oops"]'));
+
+            const response = await cc.invokeFunctionality(mockStub);
+
+            response.should.equal('an error response');
+            sinon.assert.calledOnceWithExactly(shim.error, 'Unable to validate return value of fn due to ["oops"]');
+            sinon.assert.notCalled(shim.success);
+        });
+    });
+
+    describe('#invokeFunctionality errors', () => {
+        let cc;
+        let mockStub;
+        let contractInstance;
+
+        beforeEach(() => {
+            sandbox.replace(shim, 'error', sinon.fake.returns('an error response'));
+            sandbox.stub(utils, 'generateLoggingPrefix').returns('a logging prefix');
+
+            sandbox.stub(ChaincodeFromContract.prototype, '_resolveContractImplementations')
+                .returns({
+                    'org.hyperledger.fabric': {
+                        contractInstance: new SystemContract()
+                    }
+                });
+            sandbox.stub(ChaincodeFromContract.prototype, '_checkAgainstSuppliedMetadata').returns([]);
+            sandbox.stub(ChaincodeFromContract.prototype, '_augmentMetadataFromCode').returns({});
+            sandbox.stub(ChaincodeFromContract.prototype, '_compileSchemas');
+            cc = new ChaincodeFromContract([SCAlpha], defaultSerialization);
+
+            mockStub = {
+                getBufferArgs: sandbox.stub().returns(['name:fn']),
+                getCreator: sandbox.stub().returns({mspid: 'Org1MSP', idBytes: Buffer.from(certWithoutAttrs)}),
+                getTxID: () => {
+                    return 'a tx id';
+                },
+                getChannelID: () => {
+                    return 'a channel id';
+                }
+            };
+
+            contractInstance = {
+                createContext: sandbox.stub().returns(new Context()),
+                beforeTransaction: sandbox.stub(),
+                aroundTransaction: sandbox.stub(),
+                afterTransaction: sandbox.stub(),
+                unknownTransaction: sandbox.stub()
+            };
+            cc.contractImplementations.name = {
+                contractInstance,
+                dataMarshall: {
+                    handleParameters: sandbox.stub().returns([])
+                }
+            };
+            cc.metadata.contracts = {
+                name: {
+                    transactions: [{name: 'fn'}]
+                }
+            };
+        });
+
+        it('should return the status, code and payload of a contract error', async () => {
+            contractInstance.aroundTransaction.rejects(new ContractError('Insufficient funds', {status: 422, code: 'INSUFFICIENT_FUNDS', payload: {balance: 10}}));
+
+            const response = await cc.invokeFunctionality(mockStub);
+
+            response.should.equal('an error response');
+            sinon.assert.calledOnceWithExactly(shim.error, 'Insufficient funds', 422, Buffer.from('{"code":"INSUFFICIENT_FUNDS","payload":{"balance":10}}'));
+        });
+
+        it('should return the status and code of a contract error without a payload', async () => {
+            contractInstance.aroundTransaction.rejects(new NotFoundError('The asset asset1 does not exist'));
+
+            await cc.invokeFunctionality(mockStub);
+
+            sinon.assert.calledOnceWithExactly(shim.error, 'The asset asset1 does not exist', 404, Buffer.from('{"code":"NOT_FOUND"}'));
+        });
+
+        it('should return the default status for other errors', async () => {
+            contractInstance.aroundTransaction.rejects(new Error('a bug in the contract'));
+
+            await cc.invokeFunctionality(mockStub);
+
+            sinon.assert.calledOnceWithExactly(shim.error, 'a bug in the contract');
+        });
+
+        it('should return the status, code and payload of a contract error from an unknown transaction', async () => {
+            mockStub.getBufferArgs.returns(['name:missing']);
+            contractInstance.unknownTransaction.rejects(new NotFoundError('No such transaction', {payload: 'missing'}));
+
+            await cc.invokeFunctionality(mockStub);
+
+            sinon.assert.calledOnceWithExactly(shim.error, 'No such transaction', 404, Buffer.from('{"code":"NOT_FOUND","payload":"missing"}'));
+        });
+
+        describe('invalid arguments', () => {
+            beforeEach(() => {
+                cc.contractImplementations.name.dataMarshall = new DataMarshall('jsonSerializer', defaultSerialization.serializers, {});
+                cc.metadata.contracts.name.transactions = [{
+                    name: 'fn',
+                    parameters: [
+                        {name: 'id', schema: {type: 'string'}},
+                        {name: 'n', schema: {type: 'number'}}
+                    ]
+                }];
+            });
+
+            it('should return status 400 for the wrong number of arguments', async () => {
+                mockStub.getBufferArgs.returns([Buffer.from('name:fn'), Buffer.from('A1')]);
+
+                await cc.invokeFunctionality(mockStub);
+
+                sinon.assert.calledOnceWithExactly(shim.error, 'Expected 2 parameters, but 1 have been supplied; missing required parameters n',
+                    400, Buffer.from('{"code":"VALIDATION"}'));
+                sinon.assert.notCalled(contractInstance.aroundTransaction);
+            });
+
+            it('should return status 400 for an argument of the wrong type', async () => {
+                mockStub.getBufferArgs.returns([Buffer.from('name:fn'), Buffer.from('A1'), Buffer.from('five')]);
+
+                await cc.invokeFunctionality(mockStub);
+
+                sinon.assert.calledOnceWithExactly(shim.error, 'Unable to convert parameter n due to fromBuffer could not convert data to number',
+                    400, Buffer.from('{"code":"VALIDATION"}'));
+            });
+
+            it('should return status 400 for a named argument of the wrong type', async () => {
+                mockStub.getBufferArgs.returns([Buffer.from('name:fn#named'), Buffer.from('{"id":123,"n":5}')]);
+
+                await cc.invokeFunctionality(mockStub);
+
+                sinon.assert.calledOnceWithExactly(shim.error, 'Unable to validate parameter id due to ["should be string"]',
+                    400, Buffer.from('{"code":"VALIDATION"}'));
+            });
+        });
+    });
+
+    describe('#invokeFunctionality events', () => {
+        let cc;
+        let ctx;
+        let mockStub;
+
+        beforeEach(() => {
+            sandbox.replace(shim, 'success', sinon.fake());
+            sandbox.replace(shim, 'error', sinon.fake());
+            sandbox.stub(utils, 'generateLoggingPrefix').returns('a logging prefix');
+
+            sandbox.stub(ChaincodeFromContract.prototype, '_resolveContractImplementations')
+                .returns({
+                    'org.hyperledger.fabric': {
+                        contractInstance: new SystemContract()
+                    }
+                });
+            sandbox.stub(ChaincodeFromContract.prototype, '_checkAgainstSuppliedMetadata').returns([]);
+            sandbox.stub(ChaincodeFromContract.prototype, '_augmentMetadataFromCode').returns({});
+            sandbox.stub(ChaincodeFromContract.prototype, '_compileSchemas');
+            cc = new ChaincodeFromContract([SCAlpha], defaultSerialization);
+
+            ctx = new Context();
+            mockStub = {
+                getBufferArgs: sandbox.stub().returns(['name:fn']),
+                getCreator: sandbox.stub().returns({mspid: 'Org1MSP', idBytes: Buffer.from(certWithoutAttrs)}),
+                getTxID: () => {
+                    return 'a tx id';
+                },
+                getChannelID: () => {
+                    return 'a channel id';
+                },
+                addEvent: sandbox.stub()
+            };
+
+            cc.contractImplementations.name = {
+                contractInstance: {
+                    createContext: sandbox.stub().returns(ctx),
+                    beforeTransaction: sandbox.stub(),
+                    afterTransaction: sandbox.stub(),
+                    aroundTransaction: async (ctx) => {
+                        ctx.emit('AssetCreated', {id: 'asset1'});
+                        ctx.emit('AssetAudited', 'audit');
+                    }
+                },
+                dataMarshall: {
+                    handleParameters: sandbox.stub().returns([]),
+                    handleEvent: sandbox.stub().callsFake((event, name) => Buffer.from(name)),
+                    toWireBuffer: sandbox.stub()
+                }
+            };
+        });
+
+        it('should add the events using the schemas of the declared events', async () => {
+            const event = {name: 'AssetCreated', schema: {$ref: '#/components/schemas/Asset'}};
+            cc.metadata.contracts = {
+                name: {
+                    transactions: [{name: 'fn'}],
+                    events: [event]
+                }
+            };
+
+            await cc.invokeFunctionality(mockStub);
+
+            const dataMarshall = cc.contractImplementations.name.dataMarshall;
+            sinon.assert.calledTwice(dataMarshall.handleEvent);
+            sinon.assert.calledWith(dataMarshall.handleEvent, event, 'AssetCreated', {id: 'asset1'}, 'a logging prefix');
+            sinon.assert.calledWith(dataMarshall.handleEvent, undefined, 'AssetAudited', 'audit', 'a logging prefix');
+            sinon.assert.calledTwice(mockStub.addEvent);
+            sinon.assert.calledWith(mockStub.addEvent.firstCall, 'AssetCreated', Buffer.from('AssetCreated'));
+            sinon.assert.calledWith(mockStub.addEvent.secondCall, 'AssetAudited', Buffer.from('AssetAudited'));
+            sinon.assert.called(shim.success);
+            sinon.assert.notCalled(shim.error);
+        });
+
+        it('should add the events when the contract has not declared any', async () => {
+            cc.metadata.contracts = {
+                name: {
+                    transactions: [{name: 'fn'}]
+                }
+            };
+
+            await cc.invokeFunctionality(mockStub);
+
+            const dataMarshall = cc.contractImplementations.name.dataMarshall;
+            sinon.assert.calledWith(dataMarshall.handleEvent, undefined, 'AssetCreated', {id: 'asset1'}, 'a logging prefix');
+            sinon.assert.calledTwice(mockStub.addEvent);
+            sinon.assert.called(shim.success);
+        });
+
+        it('should fail the transaction when an event is not valid', async () => {
+            cc.metadata.contracts = {
+                name: {
+                    transactions: [{name: 'fn'}]
+                }
+            };
+            cc.contractImplementations.name.dataMarshall.handleEvent.throws(new Error('Unable to validate payload'));
+
+            await cc.invokeFunctionality(mockStub);
+
+            sinon.assert.notCalled(mockStub.addEvent);
+            sinon.assert.calledWith(shim.error, 'Unable to validate payload');
+        });
+    });
+
     describe('#_checkAgainstSuppliedMetadata', () => {
         const contractImpls = {
             'a.contract': {},
@@ -1040,6 +1835,32 @@ describe('chaincodefromcontract', () => {
             delete Object.getPrototypeOf(ci).ignoreMe;
         });
 
+        it ('should handle no transaction annotations used, keeping a function called use', () => {
+            sandbox.stub(Reflect, 'getMetadata').returns(null);
+
+            const ci = cc.contractImplementations.alpha.contractInstance;
+            Object.getPrototypeOf(ci).use = () => {};
+
+            const transactions = ChaincodeFromContract.prototype._processContractTransactions(ci, Object.getOwnPropertyNames(Contract.prototype));
+
+            transactions.map((tx) => tx.name).should.deep.equal(['alpha', 'use']);
+
+            delete Object.getPrototypeOf(ci).use;
+        });
+
+        it ('should handle no transaction annotations used, keeping a function called validateReturnValues', () => {
+            sandbox.stub(Reflect, 'getMetadata').returns(null);
+
+            const ci = cc.contractImplementations.alpha.contractInstance;
+            Object.getPrototypeOf(ci).validateReturnValues = () => {};
+
+            const transactions = ChaincodeFromContract.prototype._processContractTransactions(ci, Object.getOwnPropertyNames(Contract.prototype));
+
+            transactions.map((tx) => tx.name).should.deep.equal(['alpha', 'validateReturnValues']);
+
+            delete Object.getPrototypeOf(ci).validateReturnValues;
+        });
+
         it ('should handle no transaction annotations used, ignoring functions that start with _', () => {
             const getMetadataStub = sandbox.stub(Reflect, 'getMetadata').returns(null);
 
@@ -1208,7 +2029,8 @@ describe('chaincodefromcontract', () => {
                 },
                 _augmentMetadataFromCode: ChaincodeFromContract.prototype._augmentMetadataFromCode,
                 _processContractTransactions: sinon.stub().returns('some transactions'),
-                _processContractInfo: sinon.stub().returns('some info')
+                _processContractInfo: sinon.stub().returns('some info'),
+                _processContractEvents: sinon.stub().returns([])
             };
             const partialMetadata = {
                 info: {
@@ -1243,6 +2065,26 @@ describe('chaincodefromcontract', () => {
             sinon.assert.calledOnce(fakeCcfc._processContractInfo);
         });
 
+        it('should add the events declared by the contracts', () => {
+            const fakeCcfc = {
+                contractImplementations: {
+                    myContract: {
+                        contractInstance: {
+                            name: 'some name'
+                        }
+                    }
+                },
+                _augmentMetadataFromCode: ChaincodeFromContract.prototype._augmentMetadataFromCode,
+                _processContractTransactions: sinon.stub().returns('some transactions'),
+                _processContractInfo: sinon.stub().returns('some info'),
+                _processContractEvents: sinon.stub().returns([{name: 'AssetCreated'}])
+            };
+
+            const metadata = fakeCcfc._augmentMetadataFromCode({});
+            metadata.contracts.myContract.events.should.deep.equal([{name: 'AssetCreated'}]);
+            sinon.assert.calledOnceWithExactly(fakeCcfc._processContractEvents, fakeCcfc.contractImplementations.myContract.contractInstance);
+        });
+
         it ('should handle contracts and remove underscore lead properties of contractInstance', () => {
             const metadataToSend = {
                 info: exampleMetadata.info,
@@ -1260,7 +2102,8 @@ describe('chaincodefromcontract', () => {
                 },
                 _augmentMetadataFromCode: ChaincodeFromContract.prototype._augmentMetadataFromCode,
                 _processContractTransactions: sinon.stub().returns('some transactions'),
-                _processContractInfo: sinon.stub().returns('some info')
+                _processContractInfo: sinon.stub().returns('some info'),
+                _processContractEvents: sinon.stub().returns([])
             };
 
             const metadata = fakeCcfc._augmentMetadataFromCode(metadataToSend);
@@ -1358,6 +2201,23 @@ describe('chaincodefromcontract', () => {
         });
     });
 
+    describe('#_processContractEvents', () => {
+        it('should return the events declared by the contract', () => {
+            const contract = new SCAlpha();
+            const reflectStub = sandbox.stub(Reflect, 'getMetadata').returns([{name: 'AssetCreated'}]);
+
+            ChaincodeFromContract.prototype._processContractEvents(contract).should.deep.equal([{name: 'AssetCreated'}]);
+            sinon.assert.calledOnceWithExactly(reflectStub, 'fabric:events', contract);
+        });
+
+        it('should return no events when none have been declared', () => {
+            const contract = new SCAlpha();
+            sandbox.stub(Reflect, 'getMetadata').returns(undefined);
+
+            ChaincodeFromContract.prototype._processContractEvents(contract).should.deep.equal([]);
+        });
+    });
+
     describe('#helper constructors', () => {
         it('should create the DataMarshall', () => {
             it('should handle a single class being passed as a contract', () => {
@@ -71,14 +71,14 @@ describe('datamarshall.js', () => {
 
     describe('#toWireBuffer', () => {
         it ('should jsonSerialized buffering', () => {
-            const dm = new DataMarshall('jsonSerializer', defaultSerialization.serializers);
+            const dm = new DataMarshall('jsonSerializer', defaultSerialization.serializers, {some: 'components'});
 
             dm.serializer.toBuffer = sinon.stub().returns('some buffer');
 
             const wireBuffer = dm.toWireBuffer('penfold', {some: 'schema'}, 'log data');
 
             expect(wireBuffer).to.deep.equal('some buffer');
-            sinon.assert.calledWith(dm.serializer.toBuffer, 'penfold', {some: 'schema'}, 'log data');
+            sinon.assert.calledWith(dm.serializer.toBuffer, 'penfold', {some: 'schema'}, 'log data', {some: 'components'});
         });
 
         it ('should handle no schema passed', () => {
@@ -131,6 +131,387 @@ describe('datamarshall.js', () => {
         });
     });
 
+    describe('#handleEvent', () => {
+
+        let dm;
+
+        beforeEach(() => {
+            dm = new DataMarshall('jsonSerializer', defaultSerialization.serializers, {
+                someComponent: {
+                    $id: 'someComponent',
+                    type: 'object',
+                    properties: {
+                        name: {
+                            type: 'string'
+                        }
+                    },
+                    required: ['name']
+                }
+            });
+        });
+
+        it ('should serialize the payload of an event that has not been declared', () => {
+            const buffer = dm.handleEvent(undefined, 'someEvent', {anything: 'goes'}, 'logging prefix');
+            expect(buffer).to.deep.equal(Buffer.from('{"anything":"goes"}'));
+        });
+
+        it ('should serialize the payload of an event declared without a schema', () => {
+            const buffer = dm.handleEvent({name: 'someEvent'}, 'someEvent', 'some payload', 'logging prefix');
+            expect(buffer).to.deep.equal(Buffer.from('some payload'));
+        });
+
+        it ('should serialize a payload that matches the schema of the event', () => {
+            const event = {name: 'someEvent', schema: {$ref: '#/components/schemas/someComponent'}};
+            const buffer = dm.handleEvent(event, 'someEvent', {name: 'penfold'}, 'logging prefix');
+            expect(buffer).to.deep.equal(Buffer.from('{"name":"penfold"}'));
+        });
+
+        it ('should serialize a primitive payload that matches the schema of the event', () => {
+            const event = {name: 'someEvent', schema: {type: 'number'}};
+            const buffer = dm.handleEvent(event, 'someEvent', 42, 'logging prefix');
+            expect(buffer).to.deep.equal(Buffer.from('42'));
+        });
+
+        it ('should throw an error if the payload does not match the schema of the event', () => {
+            const event = {name: 'someEvent', schema: {$ref: '#/components/schemas/someComponent'}};
+            expect(() => {
+                dm.handleEvent(event, 'someEvent', {other: 'penfold'}, 'logging prefix');
+            }).to.throw('Unable to validate payload of event someEvent due to ["should have required property \'name\'"]');
+        });
+
+        it ('should throw an error if there is no payload for an event with a schema', () => {
+            const event = {name: 'someEvent', schema: {type: 'string'}};
+            expect(() => {
+                dm.handleEvent(event, 'someEvent', undefined, 'logging prefix');
+            }).to.throw('Event someEvent requires a payload');
+        });
+    });
+
+    describe('#handleParameters with constraints', () => {
+
+        let dm;
+
+        beforeEach(() => {
+            dm = new DataMarshall('jsonSerializer', defaultSerialization.serializers, {
+                someComponent: {
+                    $id: 'someComponent',
+                    type: 'object',
+                    properties: {
+                        name: {
+                            type: 'string',
+                            pattern: '^[a-z]+$'
+                        },
+                        size: {
+                            type: 'number',
+                            minimum: 1
+                        }
+                    },
+                    required: ['name']
+                }
+            });
+        });
+
+        it ('should accept values that satisfy the constraints', () => {
+            const fn = {name: 'somefn', parameters: [
+                {name: 'one', schema: {type: 'number', minimum: 0, maximum: 10}},
+                {name: 'two', schema: {$ref: '#/components/schemas/someComponent'}}
+            ]};
+
+            const returned = dm.handleParameters(fn, [Buffer.from('5'), Buffer.from('{"name":"penfold","size":2}')], 'logging prefix');
+
+            expect(returned[0]).to.equal(5);
+            expect(returned[1]).to.deep.include({name: 'penfold', size: 2});
+        });
+
+        it ('should reject a parameter that does not satisfy its constraints', () => {
+            const fn = {name: 'somefn', parameters: [
+                {name: 'one', schema: {type: 'string', minLength: 3, enum: ['penfold', 'danger mouse']}}
+            ]};
+
+            expect(() => {
+                dm.handleParameters(fn, [Buffer.from('dm')], 'logging prefix');
+            }).to.throw('Unable to validate parameter due to ["should NOT be shorter than 3 characters","should be equal to one of the allowed values"]');
+        });
+
+        it ('should reject an object that does not satisfy the constraints of its properties', () => {
+            const fn = {name: 'somefn', parameters: [
+                {name: 'one', schema: {$ref: '#/components/schemas/someComponent'}}
+            ]};
+
+            expect(() => {
+                dm.handleParameters(fn, [Buffer.from('{"name":"Penfold","size":0}')], 'logging prefix');
+            }).to.throw('Unable to validate parameter due to ["should match pattern \\"^[a-z]+$\\"","should be >= 1"]');
+            expect(() => {
+                dm.handleParameters(fn, [Buffer.from('{"size":2}')], 'logging prefix');
+            }).to.throw('Unable to validate parameter due to ["should have required property \'name\'"]');
+        });
+    });
+
+    describe('#handleParameters with enums and unions', () => {
+
+        let dm;
+
+        beforeEach(() => {
+            dm = new DataMarshall('jsonSerializer', defaultSerialization.serializers, {
+                Status: {
+                    $id: 'Status',
+                    type: 'string',
+                    enum: ['OPEN', 'CLOSED']
+                }
+            });
+        });
+
+        it ('should accept the values of an enum', () => {
+            const fn = {name: 'somefn', parameters: [
+                {name: 'one', schema: {$ref: '#/components/schemas/Status'}}
+            ]};
+
+            expect(dm.handleParameters(fn, [Buffer.from('OPEN')], 'logging prefix')).to.deep.equal(['OPEN']);
+            expect(() => {
+                dm.handleParameters(fn, [Buffer.from('PENDING')], 'logging prefix');
+            }).to.throw('Unable to validate parameter due to ["should be equal to one of the allowed values"]');
+        });
+
+        it ('should accept the members of a union', () => {
+            const fn = {name: 'somefn', parameters: [
+                {name: 'one', schema: {anyOf: [{type: 'number'}, {$ref: '#/components/schemas/Status'}]}}
+            ]};
+
+            expect(dm.handleParameters(fn, [Buffer.from('42')], 'logging prefix')).to.deep.equal([42]);
+            expect(dm.handleParameters(fn, [Buffer.from('CLOSED')], 'logging prefix')).to.deep.equal(['CLOSED']);
+            expect(() => {
+                dm.handleParameters(fn, [Buffer.from('true')], 'logging prefix');
+            }).to.throw(/^Unable to validate parameter due to/);
+        });
+    });
+
+    describe('#handleParameters with dates, big integers and byte arrays', () => {
+
+        let dm;
+
+        const Duck = class Duck {};
+
+        beforeEach(() => {
+            dm = new DataMarshall('jsonSerializer', defaultSerialization.serializers, {
+                Duck: {
+                    $id: 'Duck',
+                    type: 'object',
+                    properties: {
+                        hatched: {type: 'string', format: 'date-time'},
+                        photo: {type: 'string', format: 'byte'}
+                    },
+                    cnstr: Duck
+                }
+            });
+        });
+
+        it ('should convert the parameters to Date, BigInt and Buffer values', () => {
+            const fn = {name: 'somefn', parameters: [
+                {name: 'one', schema: {type: 'string', format: 'date-time'}},
+                {name: 'two', schema: {type: 'string', format: 'bigint'}},
+                {name: 'three', schema: {type: 'string', format: 'byte'}},
+                {name: 'four', schema: {$ref: '#/components/schemas/Duck'}}
+            ]};
+
+            const [one, two, three, four] = dm.handleParameters(fn, [
+                Buffer.from('2020-01-02T03:04:05.678Z'),
+                Buffer.from('12345678901234567890'),
+                Buffer.from('aGVsbG8gd29ybGQ='),
+                Buffer.from('{"hatched":"2020-01-02T03:04:05.678Z"}')
+            ], 'logging prefix');
+
+            one.should.deep.equal(new Date('2020-01-02T03:04:05.678Z'));
+            expect(two).to.equal(BigInt('12345678901234567890'));
+            three.should.deep.equal(Buffer.from('hello world'));
+            four.should.be.an.instanceOf(Duck);
+            four.hatched.should.deep.equal(new Date('2020-01-02T03:04:05.678Z'));
+        });
+
+        it ('should validate the strings that are sent', () => {
+            const fn = {name: 'somefn', parameters: [
+                {name: 'one', schema: {type: 'string', format: 'date-time'}},
+                {name: 'two', schema: {type: 'string', format: 'bigint'}},
+                {name: 'three', schema: {type: 'string', format: 'byte'}}
+            ]};
+
+            expect(() => {
+                dm.handleParameters(fn, [Buffer.from('yesterday'), Buffer.from('1'), Buffer.from('AQID')], 'logging prefix');
+            }).to.throw('Unable to validate parameter due to ["should match format \\"date-time\\""]');
+            expect(() => {
+                dm.handleParameters(fn, [Buffer.from('2020-01-02T03:04:05.678Z'), Buffer.from('1.5'), Buffer.from('AQID')], 'logging prefix');
+            }).to.throw('Unable to validate parameter due to ["should match format \\"bigint\\""]');
+            expect(() => {
+                dm.handleParameters(fn, [Buffer.from('2020-01-02T03:04:05.678Z'), Buffer.from('1'), Buffer.from('not base64!')], 'logging prefix');
+            }).to.throw('Unable to validate parameter due to ["should match format \\"byte\\""]');
+        });
+
+        it ('should send the Buffers that the schema of the return value declares as byte arrays as base64 strings', () => {
+            const duck = new Duck();
+            duck.photo = Buffer.from('hello world');
+
+            const buffer = dm.handleReturnValue({name: 'somefn'}, duck, {$ref: '#/components/schemas/Duck'}, 'logging prefix');
+
+            buffer.toString().should.equal('{"photo":"aGVsbG8gd29ybGQ="}');
+        });
+    });
+
+    describe('#handleNamedParameters', () => {
+
+        let dm;
+        let fn;
+
+        beforeEach(() => {
+            dm = new DataMarshall('jsonSerializer', defaultSerialization.serializers, {});
+            dm.fromWireBuffer = sinon.stub().callsFake((buffer) => {
+                return {value: `value of ${buffer.toString()}`, validateData: 'some validate data'};
+            });
+            dm.ajv.compile = sinon.stub().returns(sinon.stub().returns(true));
+
+            fn = {name: 'somefn', parameters: [
+                {name: 'one', schema: {type: 'string'}},
+                {name: 'two', schema: {type: 'number'}},
+                {name: 'three', required: false, schema: {type: 'object', default: {size: 10}}},
+                {name: 'four', required: false, schema: {type: 'object'}}
+            ]};
+        });
+
+        it('should put the named parameters in order', () => {
+            const returned = dm.handleNamedParameters(fn, [Buffer.from('{"four":{"size":5},"two":42,"one":"penfold"}')], 'logging prefix');
+
+            expect(returned).to.deep.equal(['value of penfold', 'value of 42', {size: 10}, 'value of {"size":5}']);
+            sinon.assert.calledThrice(dm.fromWireBuffer);
+        });
+
+        it('should handle a function with no parameters', () => {
+            const returned = dm.handleNamedParameters({name: 'dullfn'}, ['{}'], 'logging prefix');
+
+            expect(returned).to.deep.equal([]);
+        });
+
+        it('should throw an error if there is not a single argument', () => {
+            (() => {
+                dm.handleNamedParameters(fn, ['{}', '{}']);
+            }).should.throw('Expected a single JSON object of named parameters, but 2 arguments have been supplied');
+        });
+
+        it('should throw an error if the argument is not JSON', () => {
+            (() => {
+                dm.handleNamedParameters(fn, ['one=penfold']);
+            }).should.throw(/^Unable to parse named parameters: Unexpected token/);
+        });
+
+        it('should throw an error if the argument is not a JSON object', () => {
+            ['null', '42', '["penfold", 42]'].forEach((arg) => {
+                (() => {
+                    dm.handleNamedParameters(fn, [arg]);
+                }).should.throw('Named parameters must be a JSON object');
+            });
+        });
+
+        it('should throw an error for unknown parameters', () => {
+            (() => {
+                dm.handleNamedParameters(fn, ['{"one":"penfold","two":42,"five":5,"six":6}']);
+            }).should.throw('Unknown parameters five, six have been supplied');
+        });
+
+        it('should throw an error naming the missing required parameters', () => {
+            (() => {
+                dm.handleNamedParameters(fn, ['{"three":{}}']);
+            }).should.throw('Missing required parameters one, two');
+        });
+
+        describe('JSON types', () => {
+            beforeEach(() => {
+                dm = new DataMarshall('jsonSerializer', defaultSerialization.serializers, {});
+                fn = {name: 'somefn', parameters: [
+                    {name: 'id', schema: {type: 'string'}},
+                    {name: 'n', schema: {type: 'number'}}
+                ]};
+            });
+
+            it('should accept values of the JSON types of the parameters', () => {
+                dm.handleNamedParameters(fn, [Buffer.from('{"id":"123","n":5}')], 'logging prefix').should.deep.equal(['123', 5]);
+            });
+
+            it('should throw an error if a value has a different JSON type to its parameter', () => {
+                (() => {
+                    dm.handleNamedParameters(fn, [Buffer.from('{"id":123,"n":5}')], 'logging prefix');
+                }).should.throw('Unable to validate parameter id due to ["should be string"]');
+                (() => {
+                    dm.handleNamedParameters(fn, [Buffer.from('{"id":"123","n":"5"}')], 'logging prefix');
+                }).should.throw('Unable to validate parameter n due to ["should be number"]');
+            });
+        });
+    });
+
+    describe('#handleReturnValue', () => {
+
+        let dm;
+
+        beforeEach(() => {
+            dm = new DataMarshall('jsonSerializer', defaultSerialization.serializers, {
+                someComponent: {
+                    $id: 'someComponent',
+                    type: 'object',
+                    properties: {
+                        name: {
+                            type: 'string'
+                        }
+                    },
+                    required: ['name']
+                }
+            });
+        });
+
+        it ('should serialize a return value that matches the schema', () => {
+            const fn = {name: 'someFn'};
+            const buffer = dm.handleReturnValue(fn, {name: 'penfold'}, {$ref: '#/components/schemas/someComponent'}, 'logging prefix');
+            expect(buffer).to.deep.equal(Buffer.from('{"name":"penfold"}'));
+        });
+
+        it ('should serialize an array return value that matches the schema', () => {
+            const fn = {name: 'someFn'};
+            const schema = {type: 'array', items: {$ref: '#/components/schemas/someComponent'}};
+            const buffer = dm.handleReturnValue(fn, [{name: 'penfold'}, {name: 'danger mouse'}], schema, 'logging prefix');
+            expect(buffer).to.deep.equal(Buffer.from('[{"name":"penfold"},{"name":"danger mouse"}]'));
+        });
+
+        it ('should compile the validator for a return schema once', () => {
+            const fn = {name: 'someFn'};
+            const schema = {$ref: '#/components/schemas/someComponent'};
+            sinon.spy(dm.ajv, 'compile');
+
+            dm.handleReturnValue(fn, {name: 'penfold'}, schema, 'logging prefix');
+            expect(() => {
+                dm.handleReturnValue(fn, {other: 'penfold'}, schema, 'logging prefix');
+            }).to.throw('Unable to validate return value of someFn due to ["should have required property \'name\'"]');
+
+            sinon.assert.calledOnce(dm.ajv.compile);
+        });
+
+        it ('should throw an error if the return value does not match the schema', () => {
+            const fn = {name: 'someFn'};
+            expect(() => {
+                dm.handleReturnValue(fn, {other: 'penfold'}, {$ref: '#/components/schemas/someComponent'}, 'logging prefix');
+            }).to.throw('Unable to validate return value of someFn due to ["should have required property \'name\'"]');
+        });
+
+        it ('should throw an error if an element of an array return value does not match the schema', () => {
+            const fn = {name: 'someFn'};
+            const schema = {type: 'array', items: {$ref: '#/components/schemas/someComponent'}};
+            expect(() => {
+                dm.handleReturnValue(fn, [{name: 'penfold'}, {name: 42}], schema, 'logging prefix');
+            }).to.throw('Unable to validate return value of someFn due to ["should be string"]');
+        });
+
+        it ('should throw an error if there is no return value', () => {
+            const fn = {name: 'someFn'};
+            expect(() => {
+                dm.handleReturnValue(fn, undefined, {type: 'string'}, 'logging prefix');
+            }).to.throw('Transaction someFn must return a value');
+        });
+    });
+
     describe('#handleParameters', () => {
 
         let dm;
@@ -166,6 +547,58 @@ describe('datamarshall.js', () => {
             }).should.throw(/Expected .* parameters/);
         });
 
+        it('should name the missing required parameters', () => {
+            const fn = {name:'dullfn', parameters:[
+                {name: 'one', schema: {type: 'string'}},
+                {name: 'two', schema: {type: 'string'}},
+                {name: 'three', schema: {type: 'string'}}
+            ]};
+            (() => {
+                dm.handleParameters(fn, ['"one"']);
+            }).should.throw('Expected 3 parameters, but 1 have been supplied; missing required parameters two, three');
+        });
+
+        it('should give the range of parameters when some are optional', () => {
+            const fn = {name:'dullfn', parameters:[
+                {name: 'one', schema: {type: 'string'}},
+                {name: 'two', schema: {type: 'string'}},
+                {name: 'three', required: false, schema: {type: 'string'}}
+            ]};
+            (() => {
+                dm.handleParameters(fn, []);
+            }).should.throw('Expected between 2 and 3 parameters, but 0 have been supplied; missing required parameters one, two');
+            (() => {
+                dm.handleParameters(fn, ['"one"', '"two"', '"three"', '"four"']);
+            }).should.throw('Expected between 2 and 3 parameters, but 4 have been supplied');
+        });
+
+        it('should use the defaults of optional parameters that have not been supplied', () => {
+            const fn = {name:'dullfn', parameters:[
+                {name: 'one', schema: {type: 'string'}},
+                {name: 'two', required: false, schema: {type: 'object', default: {size: 10}}},
+                {name: 'three', required: false, schema: {type: 'string'}}
+            ]};
+            dm.ajv.compile = sinon.stub().returns(sinon.stub().returns(true));
+
+            const returned = dm.handleParameters(fn, ['"one"'], 'logging prefix');
+
+            expect(returned).to.deep.equal(['some value', {size: 10}, undefined]);
+            expect(returned[1]).to.not.equal(fn.parameters[1].schema.default);
+            sinon.assert.calledOnce(dm.fromWireBuffer);
+        });
+
+        it('should use the supplied values of optional parameters', () => {
+            const fn = {name:'dullfn', parameters:[
+                {name: 'one', schema: {type: 'string'}},
+                {name: 'two', required: false, schema: {type: 'string', default: 'penfold'}}
+            ]};
+            dm.ajv.compile = sinon.stub().returns(sinon.stub().returns(true));
+
+            const returned = dm.handleParameters(fn, ['"one"', '"two"'], 'logging prefix');
+
+            expect(returned).to.deep.equal(['some value', 'some other value']);
+        });
+
         it ('should handle error when schema has not useful fields', () => {
             const fn = {name:'sillyfn', parameters:[
                 {
@@ -319,4 +752,52 @@ describe('datamarshall.js', () => {
         });
     });
 
+    describe('argument errors', () => {
+
+        let dm;
+        let fn;
+
+        beforeEach(() => {
+            dm = new DataMarshall('jsonSerializer', defaultSerialization.serializers, {});
+            fn = {name: 'somefn', parameters: [
+                {name: 'id', schema: {type: 'string', maxLength: 2}},
+                {name: 'n', schema: {type: 'number'}}
+            ]};
+        });
+
+        const shouldBeValidationError = (call, message) => {
+            expect(call).to.throw(message).that.includes({status: 400, code: 'VALIDATION'});
+        };
+
+        it('should throw a validation error for the wrong number of parameters', () => {
+            shouldBeValidationError(() => dm.handleParameters(fn, [Buffer.from('A1')], 'logging prefix'),
+                'Expected 2 parameters, but 1 have been supplied; missing required parameters n');
+        });
+
+        it('should throw a validation error for a parameter that cannot be converted', () => {
+            shouldBeValidationError(() => dm.handleParameters(fn, [Buffer.from('A1'), Buffer.from('five')], 'logging prefix'),
+                'Unable to convert parameter n due to fromBuffer could not convert data to number');
+        });
+
+        it('should throw a validation error for a parameter that does not match its schema', () => {
+            shouldBeValidationError(() => dm.handleParameters(fn, [Buffer.from('ABC'), Buffer.from('5')], 'logging prefix'),
+                'Unable to validate parameter due to ["should NOT be longer than 2 characters"]');
+        });
+
+        it('should throw validation errors for named parameters', () => {
+            shouldBeValidationError(() => dm.handleNamedParameters(fn, [Buffer.from('{}'), Buffer.from('{}')], 'logging prefix'),
+                'Expected a single JSON object of named parameters, but 2 arguments have been supplied');
+            shouldBeValidationError(() => dm.handleNamedParameters(fn, [Buffer.from('id=A1')], 'logging prefix'),
+                'Unable to parse named parameters');
+            shouldBeValidationError(() => dm.handleNamedParameters(fn, [Buffer.from('[]')], 'logging prefix'),
+                'Named parameters must be a JSON object');
+            shouldBeValidationError(() => dm.handleNamedParameters(fn, [Buffer.from('{"id":"A1","n":5,"x":1}')], 'logging prefix'),
+                'Unknown parameters x have been supplied');
+            shouldBeValidationError(() => dm.handleNamedParameters(fn, [Buffer.from('{"id":"A1"}')], 'logging prefix'),
+                'Missing required parameters n');
+            shouldBeValidationError(() => dm.handleNamedParameters(fn, [Buffer.from('{"id":"A1","n":"5"}')], 'logging prefix'),
+                'Unable to validate parameter n due to ["should be number"]');
+        });
+    });
+
 });
@@ -76,6 +76,8 @@ describe('Handler', () => {
         let reject;
 
         let qMsg;
+        let clock;
+        let revertTimers;
 
         const msg = {
             getChannelId: () => 'theChannelID',
@@ -87,6 +89,14 @@ describe('Handler', () => {
             reject = sinon.stub();
 
             qMsg = new QMsg(msg, 'some method', resolve, reject);
+
+            clock = sinon.useFakeTimers();
+            revertTimers = Handler.__set__({setTimeout: clock.setTimeout, clearTimeout: clock.clearTimeout});
+        });
+
+        afterEach(() => {
+            revertTimers();
+            clock.restore();
         });
 
         it ('should set its variables with values passed in the constructor', () => {
@@ -114,6 +124,19 @@ describe('Handler', () => {
             });
         });
 
+        describe('startTimer', () => {
+            it ('should call onTimeout when the timeout expires', () => {
+                const onTimeout = sinon.stub();
+
+                qMsg.startTimer(1000, onTimeout);
+
+                clock.tick(999);
+                expect(onTimeout.notCalled).to.be.true;
+                clock.tick(1);
+                expect(onTimeout.calledOnce).to.be.true;
+            });
+        });
+
         describe('success', () => {
             it ('should call the resolve function', () => {
                 qMsg.success('response');
@@ -121,6 +144,16 @@ describe('Handler', () => {
                 expect(resolve.calledOnce).to.be.true;
                 expect(resolve.firstCall.args).to.deep.equal(['response']);
             });
+
+            it ('should stop the timer', () => {
+                const onTimeout = sinon.stub();
+
+                qMsg.startTimer(1000, onTimeout);
+                qMsg.success('response');
+                clock.tick(1000);
+
+                expect(onTimeout.notCalled).to.be.true;
+            });
         });
 
         describe('fail', () => {
@@ -130,6 +163,51 @@ describe('Handler', () => {
                 expect(reject.calledOnce).to.be.true;
                 expect(reject.firstCall.args).to.deep.equal(['err']);
             });
+
+            it ('should stop the timer', () => {
+                const onTimeout = sinon.stub();
+
+                qMsg.startTimer(1000, onTimeout);
+                qMsg.fail('err');
+                clock.tick(1000);
+
+                expect(onTimeout.notCalled).to.be.true;
+            });
+        });
+
+        describe('metrics', () => {
+            let observe;
+
+            beforeEach(() => {
+                observe = sinon.stub(Handler.__get__('metrics').peerRequestDuration, 'observe');
+            });
+
+            afterEach(() => {
+                observe.restore();
+            });
+
+            it ('should record how long the peer took to respond', () => {
+                qMsg.startTimer(1000, sinon.stub());
+                clock.tick(250);
+                qMsg.success('response');
+
+                sinon.assert.calledOnceWithExactly(observe, {type: 'some method', result: 'success'}, 0.25);
+            });
+
+            it ('should record how the request failed', () => {
+                qMsg.startTimer(1000, sinon.stub());
+                clock.tick(1000);
+                qMsg.fail('err', 'timeout');
+
+                sinon.assert.calledOnceWithExactly(observe, {type: 'some method', result: 'timeout'}, 1);
+                expect(reject.firstCall.args).to.deep.equal(['err']);
+            });
+
+            it ('should not record messages that were not sent', () => {
+                qMsg.fail('err');
+
+                sinon.assert.notCalled(observe);
+            });
         });
     });
 
@@ -140,7 +218,7 @@ describe('Handler', () => {
         let qHandler;
 
         beforeEach(() => {
-            mockHandler = {_stream: {write: sinon.stub()}};
+            mockHandler = {_stream: {write: sinon.stub()}, _request_timeout: 1000};
             qHandler = new MsgQueueHandler(mockHandler);
         });
 
@@ -189,6 +267,67 @@ describe('Handler', () => {
                 expect(mockSendMsg.notCalled).to.be.true;
                 expect(qHandler.txQueues[txContextId]).to.deep.equal(['some qMsg', qMsg]);
             });
+
+            it ('should fail the message straight away when the stream to the peer has closed', () => {
+                const error = new Error('Lost the connection to the peer');
+                const failingMsg = {fail: sinon.stub()};
+                qHandler.error = error;
+
+                qHandler.queueMsg(failingMsg);
+
+                expect(mockSendMsg.notCalled).to.be.true;
+                expect(failingMsg.fail.calledOnceWithExactly(error)).to.be.true;
+                expect(qHandler.txQueues).to.deep.equal({});
+            });
+        });
+
+        describe('failAll', () => {
+            it ('should fail the messages of all the transactions and empty the queues', () => {
+                const error = new Error('Lost the connection to the peer');
+                const msgs = [{fail: sinon.stub()}, {fail: sinon.stub()}, {fail: sinon.stub()}];
+                qHandler.txQueues = {
+                    [txContextId]: [msgs[0], msgs[1]],
+                    anotherContextId: [msgs[2]]
+                };
+
+                qHandler.failAll(error);
+
+                msgs.forEach((msg) => expect(msg.fail.calledOnceWithExactly(error)).to.be.true);
+                expect(qHandler.txQueues).to.deep.equal({});
+                expect(qHandler.error).to.equal(error);
+            });
+        });
+
+        describe('queue depth', () => {
+            const depth = () => Handler.__get__('metrics').peerRequestQueueDepth._values.get('[]') || 0;
+
+            const newQMsg = (txid) => {
+                return new QMsg({getChannelId: () => 'theChannelID', getTxid: () => txid}, 'GetState', sinon.stub(), sinon.stub());
+            };
+
+            it ('should count the messages that are queued, until they are responded to', () => {
+                const start = depth();
+                sinon.stub(qHandler, '_sendMsg');
+
+                qHandler.queueMsg(newQMsg('aTX'));
+                qHandler.queueMsg(newQMsg('aTX'));
+                qHandler.queueMsg(newQMsg('anotherTX'));
+                expect(depth()).to.equal(start + 3);
+
+                qHandler._removeCurrentAndSendNextMsg('theChannelIDaTX');
+                expect(depth()).to.equal(start + 2);
+
+                qHandler.failAll(new Error('Lost the connection to the peer'));
+                expect(depth()).to.equal(start);
+            });
+
+            it ('should not count messages that fail straight away', () => {
+                const start = depth();
+                qHandler.error = new Error('Lost the connection to the peer');
+
+                qHandler.queueMsg({fail: sinon.stub()});
+                expect(depth()).to.equal(start);
+            });
         });
 
         describe('handleMsgResponse', () => {
@@ -342,12 +481,17 @@ describe('Handler', () => {
         });
 
         describe('_sendMsg', () => {
-            const mockQMsg = {
-                getMsg: () => {
-                    return 'some message';
-                },
-                fail: sinon.spy()
-            };
+            let mockQMsg;
+
+            beforeEach(() => {
+                mockQMsg = {
+                    getMsg: () => {
+                        return 'some message';
+                    },
+                    startTimer: sinon.stub(),
+                    fail: sinon.spy()
+                };
+            });
 
             it ('should do nothing if no QMsg found for a txContextId', () => {
                 const getCurrStub = sinon.stub(qHandler, '_getCurrentMsg').returns(null);
@@ -372,6 +516,20 @@ describe('Handler', () => {
                 expect(mockQMsg.fail.notCalled).to.be.true;
             });
 
+            it ('should start the timer for the response to the current message', () => {
+                sinon.stub(qHandler, '_getCurrentMsg').returns(mockQMsg);
+                const handleTimeoutStub = sinon.stub(qHandler, '_handleTimeout');
+
+                qHandler._sendMsg(txContextId);
+
+                expect(mockQMsg.startTimer.calledOnce).to.be.true;
+                expect(mockQMsg.startTimer.firstCall.args[0]).to.equal(1000);
+
+                mockQMsg.startTimer.firstCall.args[1]();
+                expect(handleTimeoutStub.calledOnce).to.be.true;
+                expect(handleTimeoutStub.firstCall.args).to.deep.equal([txContextId, mockQMsg]);
+            });
+
             it ('should call fail on the QMsg if stream write errors', () => {
                 const err = new Error('some error');
                 qHandler.stream.write = sinon.stub().throws(err);
@@ -384,6 +542,109 @@ describe('Handler', () => {
                 expect(getCurrStub.firstCall.args).to.deep.equal([txContextId]);
                 expect(mockQMsg.fail.calledOnce).to.be.true;
                 expect(mockQMsg.fail.firstCall.args).to.deep.equal([err]);
+                expect(mockQMsg.startTimer.notCalled).to.be.true;
+            });
+        });
+
+        describe('_handleTimeout', () => {
+            const newQMsg = (method) => {
+                const msg = {
+                    getChannelId: () => 'theChannelID',
+                    getTxid: () => 'aTX'
+                };
+                return new QMsg(msg, method, sinon.stub(), sinon.stub());
+            };
+
+            it ('should fail the message with an error naming the method and transaction', () => {
+                const qMsg = newQMsg('GetState');
+                const failSpy = sinon.spy(qMsg, 'fail');
+                qHandler.txQueues[txContextId] = [qMsg];
+
+                qHandler._handleTimeout(txContextId, qMsg);
+
+                expect(failSpy.calledOnce).to.be.true;
+                expect(failSpy.firstCall.args[0]).to.be.an.instanceOf(Error);
+                expect(failSpy.firstCall.args[0].message).to.equal(
+                    '[theChannelID-aTX] Timed out after 1000 ms waiting for the peer to respond to GetState for transaction aTX');
+                expect(failSpy.firstCall.args[1]).to.equal('timeout');
+            });
+
+            it ('should fail the rest of the messages of the transaction, and any queued afterwards', () => {
+                const timedOut = newQMsg('GetState');
+                const queued = newQMsg('PutState');
+                qHandler.txQueues[txContextId] = [timedOut, queued];
+                qHandler.txQueues.anotherContextId = ['message3'];
+                const sendMsg = sinon.stub(qHandler, '_sendMsg');
+
+                qHandler._handleTimeout(txContextId, timedOut);
+                const later = newQMsg('DelState');
+                later.getMsgTxContextId = () => txContextId;
+                qHandler.queueMsg(later);
+
+                expect(qHandler.txQueues).to.deep.equal({anotherContextId: ['message3']});
+                expect(sendMsg.notCalled).to.be.true;
+                [queued, later].forEach((qMsg) => {
+                    expect(qMsg.reject.calledOnce).to.be.true;
+                    expect(qMsg.reject.firstCall.args[0].message).to.equal(
+                        `[theChannelID-aTX] Cannot send ${qMsg.getMethod()} as a request to the peer for transaction aTX has timed out`);
+                });
+            });
+
+            it ('should handle the queue of the transaction having gone', () => {
+                const qMsg = newQMsg('GetState');
+
+                qHandler._handleTimeout(txContextId, qMsg);
+
+                expect(qMsg.reject.calledOnce).to.be.true;
+                expect(qHandler.timedOut.has(txContextId)).to.be.true;
+            });
+        });
+
+        describe('late responses', () => {
+            let clock;
+            let revert;
+
+            beforeEach(() => {
+                clock = sinon.useFakeTimers();
+                revert = Handler.__set__({
+                    setTimeout: clock.setTimeout,
+                    clearTimeout: clock.clearTimeout,
+                    parseResponse: (handler, response) => response.payload
+                });
+            });
+
+            afterEach(() => {
+                revert();
+                clock.restore();
+            });
+
+            it ('should not give the reply to a request that timed out to the next request of the transaction', async () => {
+                const msg = {getChannelId: () => 'theChannelID', getTxid: () => 'aTX'};
+                const results = [];
+                const request = (key) => new Promise((resolve, reject) => {
+                    qHandler.queueMsg(new QMsg(msg, 'GetState', resolve, reject));
+                }).then((value) => results.push([key, value]), (err) => results.push([key, err.message]));
+
+                const first = request('key1');
+                const second = request('key2');
+                clock.tick(1000);
+                await first;
+
+                qHandler.handleMsgResponse({channel_id: 'theChannelID', txid: 'aTX', type: 'RESPONSE', payload: 'value-of-key1'});
+                await second;
+
+                expect(results).to.deep.equal([
+                    ['key1', '[theChannelID-aTX] Timed out after 1000 ms waiting for the peer to respond to GetState for transaction aTX'],
+                    ['key2', '[theChannelID-aTX] Cannot send GetState as a request to the peer for transaction aTX has timed out']
+                ]);
+                expect(mockHandler._stream.write.calledOnce).to.be.true;
+            });
+
+            it ('should handle the responses of the transaction again once it has ended', () => {
+                qHandler.timedOut.add(txContextId);
+                qHandler.endTransaction(txContextId);
+
+                expect(qHandler.timedOut.size).to.equal(0);
             });
         });
     });
@@ -441,6 +702,28 @@ describe('Handler', () => {
             });
 
             expect(handler._request_timeout).to.deep.equal(123456);
+            expect(handler._options['request-timeout']).to.be.undefined;
+        });
+
+        it ('should default the reconnection options', () => {
+            const handler = new Handler.ChaincodeSupportClient(mockChaincodeImpl, mockPeerAddress.unsecure);
+
+            expect(handler._reconnectAttempts).to.equal(0);
+            expect(handler._reconnectDelay).to.equal(1000);
+            expect(handler._reconnectMaxDelay).to.equal(30000);
+        });
+
+        it ('should override the reconnection options if values passed, without passing them to grpc', () => {
+            const handler = new Handler.ChaincodeSupportClient(mockChaincodeImpl, mockPeerAddress.unsecure, {
+                'reconnect-attempts': 5,
+                'reconnect-delay': 10,
+                'reconnect-max-delay': 100
+            });
+
+            expect(handler._reconnectAttempts).to.equal(5);
+            expect(handler._reconnectDelay).to.equal(10);
+            expect(handler._reconnectMaxDelay).to.equal(100);
+            expect(handler._options).to.deep.equal({});
         });
 
         it ('should store additional grpc options', () => {
@@ -525,6 +808,257 @@ describe('Handler', () => {
 
                 expect(handler._stream.end.calledOnce).to.be.true;
             });
+
+            it ('should stop a pending reconnection', () => {
+                const clock = sinon.useFakeTimers();
+                const revert = Handler.__set__({setTimeout, clearTimeout});
+                try {
+                    const handler = new Handler.ChaincodeSupportClient(mockChaincodeImpl, mockPeerAddress.unsecure);
+                    handler._stream = {end: sinon.stub()};
+                    const chatStub = sinon.stub(handler, 'chat');
+
+                    handler._handleDisconnect(new Error('peer went away'));
+                    handler.close();
+                    clock.tick(60000);
+
+                    expect(chatStub.notCalled).to.be.true;
+                } finally {
+                    revert();
+                    clock.restore();
+                }
+            });
+        });
+
+        describe('stop', () => {
+            let handler;
+
+            beforeEach(() => {
+                handler = new Handler.ChaincodeSupportClient(mockChaincodeImpl, mockPeerAddress.unsecure, {'shutdown-timeout': 5000});
+                handler._stream = {end: sinon.stub()};
+                handler._handler = {drain: sinon.stub().resolves(true)};
+                sinon.stub(handler._client, 'close');
+            });
+
+            it ('should default the shutdown timeout, without passing it to grpc', () => {
+                expect(handler._shutdownTimeout).to.equal(5000);
+                expect(handler._options).to.deep.equal({});
+                expect(new Handler.ChaincodeSupportClient(mockChaincodeImpl, mockPeerAddress.unsecure)._shutdownTimeout).to.equal(30000);
+            });
+
+            it ('should drain the running transactions before closing the connection', async () => {
+                expect(await handler.stop()).to.be.true;
+
+                sinon.assert.calledOnceWithExactly(handler._handler.drain, 5000);
+                sinon.assert.callOrder(handler._handler.drain, handler._stream.end, handler._client.close);
+                expect(handler._closed).to.be.true;
+            });
+
+            it ('should use the given timeout, and resolve false if the transactions did not complete', async () => {
+                handler._handler.drain.resolves(false);
+
+                expect(await handler.stop(100)).to.be.false;
+                sinon.assert.calledOnceWithExactly(handler._handler.drain, 100);
+                sinon.assert.calledOnce(handler._client.close);
+            });
+
+            it ('should close the connection if the conversation with the peer has not started', async () => {
+                delete handler._handler;
+
+                expect(await handler.stop()).to.be.true;
+                sinon.assert.calledOnce(handler._stream.end);
+            });
+
+            it ('should stop serving the metrics', async () => {
+                handler._metrics = {stop: sinon.stub().resolves()};
+
+                await handler.stop();
+                sinon.assert.callOrder(handler._client.close, handler._metrics.stop);
+            });
+        });
+
+        describe('metrics', () => {
+            let handler;
+            let mockMetrics;
+
+            beforeEach(() => {
+                mockMetrics = {start: sinon.stub().resolves()};
+                Handler.__set__('MetricsServer', sinon.stub().returns(mockMetrics));
+
+                handler = new Handler.ChaincodeSupportClient(mockChaincodeImpl, mockPeerAddress.unsecure, {'metrics-address': '0.0.0.0:9443'});
+                handler._client.register = sinon.stub().returns({});
+                Handler.__set__('ChaincodeMessageHandler', class {
+                    on() {}
+                    chat() {}
+                });
+            });
+
+            afterEach(() => {
+                Handler = rewire('../../../fabric-shim/lib/handler.js');
+            });
+
+            it ('should serve the metrics on the metrics-address, without passing it to grpc', () => {
+                expect(handler._metrics).to.equal(mockMetrics);
+                sinon.assert.calledWithExactly(Handler.__get__('MetricsServer'), {address: '0.0.0.0:9443'});
+                expect(handler._options).to.deep.equal({});
+            });
+
+            it ('should not serve the metrics unless a metrics-address is given', () => {
+                expect(new Handler.ChaincodeSupportClient(mockChaincodeImpl, mockPeerAddress.unsecure)._metrics).to.be.undefined;
+            });
+
+            it ('should start serving the metrics when first registering with the peer only', () => {
+                handler.chat({type: peer.ChaincodeMessage.Type.REGISTER});
+                handler.chat({type: peer.ChaincodeMessage.Type.REGISTER});
+
+                sinon.assert.calledOnce(mockMetrics.start);
+            });
+
+            it ('should carry on if the metrics cannot be served', async () => {
+                const error = sinon.stub(Handler.__get__('logger'), 'error');
+                try {
+                    mockMetrics.start.rejects(new Error('EADDRINUSE'));
+                    handler.chat({type: peer.ChaincodeMessage.Type.REGISTER});
+                    await new Promise((resolve) => setImmediate(resolve));
+
+                    sinon.assert.calledWith(error, 'Failed to serve the metrics: Error: EADDRINUSE');
+                } finally {
+                    error.restore();
+                }
+            });
+        });
+
+        describe('reconnection', () => {
+            const EventEmitter = require('events');
+
+            let clock;
+            let handler;
+            let streams;
+            let messageHandlers;
+            let events;
+
+            beforeEach(() => {
+                clock = sinon.useFakeTimers();
+                Handler.__set__({setTimeout, clearTimeout});
+
+                messageHandlers = [];
+                Handler.__set__('ChaincodeMessageHandler', class extends EventEmitter {
+                    constructor() {
+                        super();
+                        this.chat = sinon.stub();
+                        messageHandlers.push(this);
+                    }
+                });
+
+                handler = new Handler.ChaincodeSupportClient(mockChaincodeImpl, mockPeerAddress.unsecure, {
+                    'reconnect-attempts': -1,
+                    'reconnect-max-delay': 5000
+                });
+                streams = [];
+                handler._client.register = sinon.stub().callsFake(() => {
+                    const stream = {end: sinon.stub()};
+                    streams.push(stream);
+                    return stream;
+                });
+
+                events = [];
+                ['established', 'ready', 'disconnected', 'reconnecting', 'closed'].forEach((event) => {
+                    handler.on(event, (arg) => events.push(arg ? [event, arg] : [event]));
+                });
+
+                handler.chat({type: peer.ChaincodeMessage.Type.REGISTER, payload: Buffer.from('chaincode id')});
+            });
+
+            afterEach(() => {
+                clock.restore();
+                Handler = rewire('../../../fabric-shim/lib/handler.js');
+            });
+
+            it ('should emit the events of the registration with the peer', () => {
+                messageHandlers[0].emit('established');
+                messageHandlers[0].emit('ready');
+
+                expect(events).to.deep.equal([['established'], ['ready']]);
+            });
+
+            it ('should emit the protocol errors of the connection', () => {
+                const listener = sinon.stub();
+                handler.on('protocolError', listener);
+                const details = {type: 99, channel_id: 'theChannelID', txid: 'theTxID', state: 'ready'};
+
+                messageHandlers[0].emit('protocolError', details);
+
+                expect(listener.calledOnceWithExactly(details)).to.be.true;
+            });
+
+            it ('should register again with the same message after a delay that doubles up to the maximum', () => {
+                const error = new Error('peer went away');
+                const delays = [];
+                for (let i = 0; i < 5; i++) {
+                    messageHandlers[i].emit('disconnected', error);
+                    delays.push(events.pop()[1].delay);
+                    clock.tick(delays[i] - 1);
+                    expect(handler._client.register.callCount).to.equal(i + 1);
+                    clock.tick(1);
+                    expect(handler._client.register.callCount).to.equal(i + 2);
+                }
+
+                expect(delays).to.deep.equal([1000, 2000, 4000, 5000, 5000]);
+                expect(handler._stream).to.equal(streams[5]);
+                expect(handler._handler).to.equal(messageHandlers[5]);
+                messageHandlers.forEach((messageHandler) => {
+                    expect(messageHandler.chat.calledOnce).to.be.true;
+                    expect(messageHandler.chat.firstCall.args[0].getType()).to.equal(peer.ChaincodeMessage.Type.REGISTER);
+                    expect(Buffer.from(messageHandler.chat.firstCall.args[0].getPayload_asU8()).toString()).to.equal('chaincode id');
+                });
+            });
+
+            it ('should emit the disconnection and the attempt to reconnect', () => {
+                const error = new Error('peer went away');
+                messageHandlers[0].emit('disconnected', error);
+
+                expect(events).to.deep.equal([['disconnected', error], ['reconnecting', {attempt: 1, delay: 1000}]]);
+            });
+
+            it ('should start the delay again once the peer is ready', () => {
+                messageHandlers[0].emit('disconnected');
+                clock.tick(1000);
+                messageHandlers[1].emit('disconnected');
+                clock.tick(2000);
+                messageHandlers[2].emit('ready');
+                messageHandlers[2].emit('disconnected');
+
+                expect(events.pop()).to.deep.equal(['reconnecting', {attempt: 1, delay: 1000}]);
+            });
+
+            it ('should not reconnect once the client has been closed', () => {
+                handler.close();
+                messageHandlers[0].emit('disconnected');
+                clock.tick(60000);
+
+                expect(streams[0].end.calledOnce).to.be.true;
+                expect(handler._client.register.calledOnce).to.be.true;
+                expect(events).to.deep.equal([['disconnected'], ['closed']]);
+            });
+
+            it ('should not reconnect by default', () => {
+                handler._reconnectAttempts = new Handler.ChaincodeSupportClient(mockChaincodeImpl, mockPeerAddress.unsecure)._reconnectAttempts;
+                messageHandlers[0].emit('disconnected');
+                clock.tick(60000);
+
+                expect(handler._client.register.calledOnce).to.be.true;
+                expect(events).to.deep.equal([['disconnected'], ['closed']]);
+            });
+
+            it ('should stop reconnecting after the given number of attempts', () => {
+                handler._reconnectAttempts = 1;
+                messageHandlers[0].emit('disconnected');
+                clock.tick(1000);
+                messageHandlers[1].emit('disconnected');
+                clock.tick(60000);
+
+                expect(handler._client.register.calledTwice).to.be.true;
+                expect(events.pop()).to.deep.equal(['closed']);
+            });
         });
 
         describe('chat', () => {
@@ -554,7 +1088,9 @@ describe('Handler', () => {
                 expect(handler._client.register.calledOnce).to.be.true;
                 expect(mockChaincodeMessageHandler.calledWithNew()).to.be.false;
                 expect(handler._stream).to.deep.equal(mockStream);
-                expect(handler._handler).to.deep.equal(new mockChaincodeMessageHandler(mockStream, mockChaincodeImpl));
+                expect(handler._handler).to.equal(mockChaincodeMessageHandler.firstCall.returnValue);
+                expect(mockChaincodeMessageHandler.firstCall.args).to.deep.equal([mockStream, mockChaincodeImpl, {'request-timeout': 30000}]);
+                expect(handler._handler.on.args.map((args) => args[0])).to.deep.equal(['established', 'ready', 'disconnected', 'protocolError']);
                 expect(handler._handler.chat.calledOnce).to.be.true;
             });
         });
@@ -569,6 +1105,18 @@ describe('Handler', () => {
     });
 
     describe('ChaincodeMessageHandler', () => {
+        it ('should set the default request timeout', () => {
+            const handler = new Handler.ChaincodeMessageHandler({}, mockChaincodeImpl);
+
+            expect(handler._request_timeout).to.equal(30000);
+        });
+
+        it ('should override the default request timeout if value passed', () => {
+            const handler = new Handler.ChaincodeMessageHandler({}, mockChaincodeImpl, {'request-timeout': 1234});
+
+            expect(handler._request_timeout).to.equal(1234);
+        });
+
         describe('chat', () => {
             afterEach(() => {
                 Handler = rewire('../../../fabric-shim/lib/handler.js');
@@ -615,6 +1163,13 @@ describe('Handler', () => {
                     eventReg[event] = cb;
                 };
 
+                const errorMsg = {
+                    type: MSG_TYPE.ERROR,
+                    payload: Buffer.from('some error'),
+                    txid: 'some tx id',
+                    channel_id: 'some channel'
+                };
+
                 let mockStream;
                 let mockNewErrorMsg;
 
@@ -637,7 +1192,7 @@ describe('Handler', () => {
                         return mock;
                     });
 
-                    mockNewErrorMsg = sinon.stub().returns('some error');
+                    mockNewErrorMsg = sinon.stub().returns(errorMsg);
 
                     Handler.__set__('MsgQueueHandler', mockMsgQueueHandler);
                     Handler.__set__('newErrorMsg', mockNewErrorMsg);
@@ -663,7 +1218,7 @@ describe('Handler', () => {
 
                     expect(mockStream.write.calledTwice).to.be.true;
                     expect(mockNewErrorMsg.calledOnce).to.be.true;
-                    expect(mockStream.write.secondCall.args).to.deep.equal(['some error']);
+                    expect(mockStream.write.secondCall.args[0].toObject()).to.deep.equal(mapToChaincodeMessage(errorMsg).toObject());
                     expect(mockNewErrorMsg.firstCall.args).to.deep.equal([mapFromChaincodeMessage(badRegisteredMsg), 'created']);
                 });
 
@@ -677,10 +1232,38 @@ describe('Handler', () => {
 
                     expect(mockStream.write.calledTwice).to.be.true;
                     expect(mockNewErrorMsg.calledOnce).to.be.true;
-                    expect(mockStream.write.secondCall.args).to.deep.equal(['some error']);
+                    expect(mockStream.write.secondCall.args[0].toObject()).to.deep.equal(mapToChaincodeMessage(errorMsg).toObject());
                     expect(mockNewErrorMsg.firstCall.args).to.deep.equal([mapFromChaincodeMessage(badEstablishedMsg), 'established']);
                 });
 
+                it ('should record the additional params sent by the peer with READY', () => {
+                    const paramsPb = new peer.ChaincodeAdditionalParams();
+                    paramsPb.setUseGetMultipleKeys(true);
+                    paramsPb.setMaxSizeGetMultipleKeys(100);
+                    paramsPb.setUseWriteBatch(true);
+                    paramsPb.setMaxSizeWriteBatch(1000);
+                    const readyMsg = mapToChaincodeMessage({
+                        type: MSG_TYPE.READY,
+                        payload: paramsPb.serializeBinary()
+                    });
+
+                    eventReg.data(registeredMsg);
+                    eventReg.data(readyMsg);
+
+                    expect(handler._useGetMultipleKeys).to.be.true;
+                    expect(handler._maxSizeGetMultipleKeys).to.equal(100);
+                    expect(handler._useWriteBatch).to.be.true;
+                    expect(handler._maxSizeWriteBatch).to.equal(1000);
+                });
+
+                it ('should not use the optional features of the peer when READY has no payload', () => {
+                    eventReg.data(registeredMsg);
+                    eventReg.data(establishedMsg);
+
+                    expect(handler._useGetMultipleKeys).to.be.false;
+                    expect(handler._useWriteBatch).to.be.false;
+                });
+
                 it ('should do nothing when in state ready and MSG_TYPE equals REGISTERED', () => {
                     eventReg.data(registeredMsg);
                     eventReg.data(establishedMsg);
@@ -783,8 +1366,10 @@ describe('Handler', () => {
                     expect(handleTransactionSpy.firstCall.args).to.deep.equal([mapFromChaincodeMessage(readyMsg)]);
                 });
 
-                it ('should end the process with value 1', () => {
+                it ('should reply with an error, and carry on, when in state ready and MSG_TYPE is not known', () => {
                     const processStub = sinon.stub(process, 'exit');
+                    const protocolErrorSpy = sinon.spy();
+                    handler.on('protocolError', protocolErrorSpy);
 
                     eventReg.data(registeredMsg);
                     eventReg.data(establishedMsg);
@@ -796,15 +1381,24 @@ describe('Handler', () => {
                     });
 
                     eventReg.data(readyMsg);
-                    expect(mockStream.write.calledOnce).to.be.true;
-                    expect(mockNewErrorMsg.notCalled).to.be.true;
+                    expect(mockStream.write.calledTwice).to.be.true;
+                    expect(mockNewErrorMsg.calledOnce).to.be.true;
+                    expect(mockNewErrorMsg.firstCall.args).to.deep.equal([mapFromChaincodeMessage(readyMsg), 'ready']);
+                    expect(mockStream.write.secondCall.args[0].toObject()).to.deep.equal(mapToChaincodeMessage(errorMsg).toObject());
                     expect(handleMsgResponseSpy.notCalled).to.be.true;
                     expect(handleInitSpy.notCalled).to.be.true;
                     expect(handleTransactionSpy.notCalled).to.be.true;
-                    expect(processStub.calledOnce).to.be.true;
-                    expect(processStub.firstCall.args).to.deep.equal([1]);
+                    expect(processStub.notCalled).to.be.true;
+                    expect(handler.protocolErrors).to.equal(1);
+                    expect(protocolErrorSpy.calledOnce).to.be.true;
+                    expect(protocolErrorSpy.firstCall.args[0]).to.deep.equal({
+                        type: 'something else', channel_id: 'some channel', txid: 'some tx id', state: 'ready'
+                    });
 
                     processStub.restore();
+
+                    eventReg.data(mapToChaincodeMessage({type: MSG_TYPE.TRANSACTION}));
+                    expect(handleTransactionSpy.calledOnce).to.be.true;
                 });
             });
 
@@ -861,6 +1455,67 @@ describe('Handler', () => {
                     expect(mockStream.end.calledOnce).to.be.true;
                 });
             });
+
+            describe('disconnection', () => {
+                let eventReg;
+                let mockStream;
+                let handler;
+                let disconnected;
+
+                beforeEach(() => {
+                    eventReg = {};
+                    mockStream = {write: sinon.stub(), on: (event, cb) => {
+                        eventReg[event] = cb;
+                    }, cancel: sinon.stub(), end: sinon.stub()};
+
+                    handler = new Handler.ChaincodeMessageHandler(mockStream, mockChaincodeImpl);
+                    handler.chat('some starter message');
+                    sinon.stub(handler.msgQueueHandler, 'failAll');
+                    disconnected = sinon.stub();
+                    handler.on('disconnected', disconnected);
+                });
+
+                it ('should emit established and ready as the registration progresses', () => {
+                    const MSG_TYPE = Handler.__get__('MSG_TYPE');
+                    const established = sinon.stub();
+                    const ready = sinon.stub();
+                    handler.on('established', established);
+                    handler.on('ready', ready);
+
+                    eventReg.data(mapToChaincodeMessage({type: MSG_TYPE.REGISTERED}));
+                    expect(established.calledOnce).to.be.true;
+                    expect(ready.notCalled).to.be.true;
+
+                    eventReg.data(mapToChaincodeMessage({type: MSG_TYPE.READY}));
+                    expect(established.calledOnce).to.be.true;
+                    expect(ready.calledOnce).to.be.true;
+                });
+
+                it ('should fail the requests in flight and emit disconnected when the stream ends', () => {
+                    eventReg.end();
+
+                    expect(handler.msgQueueHandler.failAll.calledOnce).to.be.true;
+                    expect(handler.msgQueueHandler.failAll.firstCall.args[0].message).to.equal('Lost the connection to the peer: the stream ended');
+                    expect(disconnected.calledOnceWithExactly(undefined)).to.be.true;
+                });
+
+                it ('should fail the requests in flight and emit disconnected with the error when the stream fails', () => {
+                    const error = new Error('14 UNAVAILABLE: Connection dropped');
+                    eventReg.error(error);
+
+                    expect(handler.msgQueueHandler.failAll.calledOnce).to.be.true;
+                    expect(handler.msgQueueHandler.failAll.firstCall.args[0].message).to.equal('Lost the connection to the peer: 14 UNAVAILABLE: Connection dropped');
+                    expect(disconnected.calledOnceWithExactly(error)).to.be.true;
+                });
+
+                it ('should only disconnect once when the stream both fails and ends', () => {
+                    eventReg.error(new Error('14 UNAVAILABLE: Connection dropped'));
+                    eventReg.end();
+
+                    expect(handler.msgQueueHandler.failAll.calledOnce).to.be.true;
+                    expect(disconnected.calledOnce).to.be.true;
+                });
+            });
         });
 
         describe('handleInit', () => {
@@ -899,6 +1554,118 @@ describe('Handler', () => {
             });
         });
 
+        describe('drain', () => {
+            let clock;
+            let handler;
+            let mockStream;
+            let finish;
+
+            beforeEach(() => {
+                clock = sinon.useFakeTimers();
+                Handler.__set__({setTimeout, clearTimeout});
+                Handler.__set__('handleMessage', () => new Promise((resolve) => {
+                    finish = resolve;
+                }));
+
+                mockStream = {write: sinon.stub(), end: sinon.stub()};
+                handler = new Handler.ChaincodeMessageHandler(mockStream, mockChaincodeImpl);
+            });
+
+            afterEach(() => {
+                clock.restore();
+                Handler = rewire('../../../fabric-shim/lib/handler.js');
+            });
+
+            it ('should keep track of the running transactions until they complete', async () => {
+                handler.handleTransaction({txid: 'theTxID', channel_id: 'theChannelID'});
+                expect(handler._inFlight.size).to.equal(1);
+
+                finish();
+                await clock.tickAsync(0);
+                expect(handler._inFlight.size).to.equal(0);
+            });
+
+            it ('should log and forget a transaction that fails', async () => {
+                const error = sinon.stub(Handler.__get__('logger'), 'error');
+                try {
+                    Handler.__set__('handleMessage', () => Promise.reject(new Error('stream closed')));
+                    handler.handleTransaction({txid: 'theTxID', channel_id: 'theChannelID'});
+                    expect(handler._inFlight.size).to.equal(1);
+
+                    await clock.tickAsync(0);
+                    expect(handler._inFlight.size).to.equal(0);
+                    sinon.assert.calledOnceWithExactly(error, '[theChannelID-theTxID] Failed to handle the transaction: Error: stream closed');
+                } finally {
+                    error.restore();
+                }
+            });
+
+            it ('should forget a transaction that timed out once it completes', async () => {
+                handler.msgQueueHandler = {endTransaction: sinon.stub()};
+                handler.handleTransaction({txid: 'theTxID', channel_id: 'theChannelID'});
+
+                finish();
+                await clock.tickAsync(0);
+                sinon.assert.calledOnceWithExactly(handler.msgQueueHandler.endTransaction, 'theChannelIDtheTxID');
+            });
+
+            it ('should resolve true straight away if no transactions are running', async () => {
+                expect(await handler.drain(1000)).to.be.true;
+                expect(handler._draining).to.be.true;
+            });
+
+            it ('should resolve true once the running transactions complete', async () => {
+                handler.handleInit({txid: 'theTxID', channel_id: 'theChannelID'});
+                let drained;
+                handler.drain(1000).then((result) => {
+                    drained = result;
+                });
+
+                await clock.tickAsync(500);
+                expect(drained).to.be.undefined;
+                finish();
+                await clock.tickAsync(0);
+                expect(drained).to.be.true;
+            });
+
+            it ('should resolve false if the running transactions do not complete in time', async () => {
+                handler.handleTransaction({txid: 'theTxID', channel_id: 'theChannelID'});
+                let drained;
+                handler.drain(1000).then((result) => {
+                    drained = result;
+                });
+
+                await clock.tickAsync(1000);
+                expect(drained).to.be.false;
+                expect(handler._inFlight.size).to.equal(1);
+            });
+
+            it ('should refuse new transactions with an error once draining', async () => {
+                await handler.drain(1000);
+                handler.handleTransaction({txid: 'theTxID', channel_id: 'theChannelID'});
+
+                expect(handler._inFlight.size).to.equal(0);
+                expect(mockStream.write.calledOnce).to.be.true;
+                expect(mapFromChaincodeMessage(mockStream.write.firstCall.args[0])).to.deep.include({
+                    type: peer.ChaincodeMessage.Type.ERROR,
+                    payload: Buffer.from('Chaincode is stopping'),
+                    txid: 'theTxID',
+                    channel_id: 'theChannelID'
+                });
+            });
+        });
+
+        describe('close', () => {
+            it ('should call end on the stream', () => {
+                const mockStream = {write: sinon.stub(), end: sinon.stub()};
+                const handler = new Handler.ChaincodeMessageHandler(mockStream, mockChaincodeImpl);
+
+                handler.close();
+
+                expect(mockStream.end.calledOnce).to.be.true;
+            });
+        });
+
         describe('handleGetState', () => {
             const key = 'theKey';
             const collection = '';
@@ -1003,6 +1770,181 @@ describe('Handler', () => {
             });
         });
 
+        describe('setAdditionalParams', () => {
+            it ('should leave the optional features disabled if there is no payload', () => {
+                const handler = new Handler.ChaincodeMessageHandler({}, mockChaincodeImpl);
+
+                handler.setAdditionalParams(undefined);
+
+                expect(handler._useGetMultipleKeys).to.be.false;
+                expect(handler._maxSizeGetMultipleKeys).to.equal(0);
+                expect(handler._useWriteBatch).to.be.false;
+                expect(handler._maxSizeWriteBatch).to.equal(0);
+            });
+        });
+
+        describe('handleGetMultipleStates', () => {
+            let handler;
+            let _askPeerAndListenStub;
+
+            function expectedMsg(keys) {
+                const payloadPb = new peer.GetStateMultiple();
+                payloadPb.setKeysList(keys);
+                payloadPb.setCollection('theCollection');
+
+                return mapToChaincodeMessage({
+                    type: peer.ChaincodeMessage.Type.GET_STATE_MULTIPLE,
+                    payload: payloadPb.serializeBinary(),
+                    channel_id: 'theChannelID',
+                    txid: 'theTxID'
+                });
+            }
+
+            beforeEach(() => {
+                const mockStream = {write: sinon.stub(), end: sinon.stub()};
+                handler = new Handler.ChaincodeMessageHandler(mockStream, mockChaincodeImpl);
+                _askPeerAndListenStub = sandbox.stub(handler, '_askPeerAndListen')
+                    .callsFake(async (msg) => peer.GetStateMultiple.deserializeBinary(msg.getPayload_asU8()).getKeysList()
+                        .map((key) => Buffer.from(`value of ${key}`)));
+            });
+
+            afterEach(() => {
+                sandbox.restore();
+            });
+
+            it ('should get each key with handleGetState if the peer does not support get multiple keys', async () => {
+                const handleGetStateStub = sandbox.stub(handler, 'handleGetState').callsFake(async (collection, key) => `value of ${key}`);
+
+                const result = await handler.handleGetMultipleStates('theCollection', ['key1', 'key2'], 'theChannelID', 'theTxID');
+
+                expect(result).to.deep.equal(['value of key1', 'value of key2']);
+                expect(handleGetStateStub.calledTwice).to.be.true;
+                expect(handleGetStateStub.firstCall.args).to.deep.equal(['theCollection', 'key1', 'theChannelID', 'theTxID']);
+                expect(handleGetStateStub.secondCall.args).to.deep.equal(['theCollection', 'key2', 'theChannelID', 'theTxID']);
+                expect(_askPeerAndListenStub.notCalled).to.be.true;
+            });
+
+            it ('should get all the keys in a single request if the peer has no limit', async () => {
+                handler._useGetMultipleKeys = true;
+
+                const result = await handler.handleGetMultipleStates('theCollection', ['key1', 'key2', 'key3'], 'theChannelID', 'theTxID');
+
+                expect(result).to.deep.equal([Buffer.from('value of key1'), Buffer.from('value of key2'), Buffer.from('value of key3')]);
+                expect(_askPeerAndListenStub.calledOnce).to.be.true;
+                expect(_askPeerAndListenStub.firstCall.args).to.deep.equal([expectedMsg(['key1', 'key2', 'key3']), 'GetStateMultiple']);
+            });
+
+            it ('should get the keys in batches no larger than the limit of the peer', async () => {
+                handler._useGetMultipleKeys = true;
+                handler._maxSizeGetMultipleKeys = 2;
+
+                const result = await handler.handleGetMultipleStates('theCollection', ['key1', 'key2', 'key3'], 'theChannelID', 'theTxID');
+
+                expect(result).to.deep.equal([Buffer.from('value of key1'), Buffer.from('value of key2'), Buffer.from('value of key3')]);
+                expect(_askPeerAndListenStub.calledTwice).to.be.true;
+                expect(_askPeerAndListenStub.firstCall.args).to.deep.equal([expectedMsg(['key1', 'key2']), 'GetStateMultiple']);
+                expect(_askPeerAndListenStub.secondCall.args).to.deep.equal([expectedMsg(['key3']), 'GetStateMultiple']);
+            });
+
+            it ('should not make a request for no keys', async () => {
+                handler._useGetMultipleKeys = true;
+
+                const result = await handler.handleGetMultipleStates('theCollection', [], 'theChannelID', 'theTxID');
+
+                expect(result).to.deep.equal([]);
+                expect(_askPeerAndListenStub.notCalled).to.be.true;
+            });
+
+            it ('should reject when _askPeerAndListen rejects', async () => {
+                handler._useGetMultipleKeys = true;
+                _askPeerAndListenStub.rejects(new Error('some error'));
+
+                const result = handler.handleGetMultipleStates('theCollection', ['key1'], 'theChannelID', 'theTxID');
+
+                await expect(result).to.eventually.be.rejectedWith('some error');
+            });
+        });
+
+        describe('handlePutMultipleStates', () => {
+            let handler;
+            let _askPeerAndListenStub;
+
+            const entries = [
+                {key: 'key1', value: Buffer.from('value1')},
+                {key: 'key2', value: Buffer.from('value2')},
+                {key: 'key3', value: Buffer.from('value3')}
+            ];
+
+            function expectedMsg(batch) {
+                const payloadPb = new peer.WriteBatchState();
+                payloadPb.setRecList(batch.map(({key, value}) => {
+                    const recordPb = new peer.WriteRecord();
+                    recordPb.setKey(key);
+                    recordPb.setValue(value);
+                    recordPb.setCollection('theCollection');
+                    recordPb.setType(peer.WriteRecord.Type.PUT_STATE);
+                    return recordPb;
+                }));
+
+                return mapToChaincodeMessage({
+                    type: peer.ChaincodeMessage.Type.WRITE_BATCH_STATE,
+                    payload: payloadPb.serializeBinary(),
+                    channel_id: 'theChannelID',
+                    txid: 'theTxID'
+                });
+            }
+
+            beforeEach(() => {
+                const mockStream = {write: sinon.stub(), end: sinon.stub()};
+                handler = new Handler.ChaincodeMessageHandler(mockStream, mockChaincodeImpl);
+                _askPeerAndListenStub = sandbox.stub(handler, '_askPeerAndListen').resolves(Buffer.from(''));
+            });
+
+            afterEach(() => {
+                sandbox.restore();
+            });
+
+            it ('should put each key with handlePutState if the peer does not support write batches', async () => {
+                const handlePutStateStub = sandbox.stub(handler, 'handlePutState').resolves();
+
+                await handler.handlePutMultipleStates('theCollection', entries, 'theChannelID', 'theTxID');
+
+                expect(handlePutStateStub.calledThrice).to.be.true;
+                expect(handlePutStateStub.firstCall.args).to.deep.equal(['theCollection', 'key1', Buffer.from('value1'), 'theChannelID', 'theTxID']);
+                expect(handlePutStateStub.thirdCall.args).to.deep.equal(['theCollection', 'key3', Buffer.from('value3'), 'theChannelID', 'theTxID']);
+                expect(_askPeerAndListenStub.notCalled).to.be.true;
+            });
+
+            it ('should put all the keys in a single request if the peer has no limit', async () => {
+                handler._useWriteBatch = true;
+
+                await handler.handlePutMultipleStates('theCollection', entries, 'theChannelID', 'theTxID');
+
+                expect(_askPeerAndListenStub.calledOnce).to.be.true;
+                expect(_askPeerAndListenStub.firstCall.args).to.deep.equal([expectedMsg(entries), 'WriteBatchState']);
+            });
+
+            it ('should put the keys in batches no larger than the limit of the peer', async () => {
+                handler._useWriteBatch = true;
+                handler._maxSizeWriteBatch = 2;
+
+                await handler.handlePutMultipleStates('theCollection', entries, 'theChannelID', 'theTxID');
+
+                expect(_askPeerAndListenStub.calledTwice).to.be.true;
+                expect(_askPeerAndListenStub.firstCall.args).to.deep.equal([expectedMsg(entries.slice(0, 2)), 'WriteBatchState']);
+                expect(_askPeerAndListenStub.secondCall.args).to.deep.equal([expectedMsg(entries.slice(2)), 'WriteBatchState']);
+            });
+
+            it ('should reject when _askPeerAndListen rejects', async () => {
+                handler._useWriteBatch = true;
+                _askPeerAndListenStub.rejects(new Error('some error'));
+
+                const result = handler.handlePutMultipleStates('theCollection', entries, 'theChannelID', 'theTxID');
+
+                await expect(result).to.eventually.be.rejectedWith('some error');
+            });
+        });
+
         describe('handleDeleteState', () => {
             const key = 'theKey';
             const collection = '';
@@ -1844,6 +2786,36 @@ describe('Handler', () => {
                 expect(mockHandler._stream.write.calledOnce).to.be.true;
                 expect(mapFromChaincodeMessage(mockHandler._stream.write.firstCall.args[0])).to.deep.equal(mapFromChaincodeMessage(expectedResponse));
             });
+
+            it ('should log a response with a status of 400 or more as an error', async () => {
+                const logger = Handler.__get__('logger');
+                sandbox.stub(logger, 'error');
+                sandbox.stub(logger, 'info');
+                const msg = {
+                    channel_id: 'theChannelID',
+                    txid: '012345678cafebabe',
+                    payload: 'some payload',
+                    proposal: 'some proposal'
+                };
+
+                mockHandler.chaincode.Invoke = sandbox.stub().resolves({status: 403, message: 'Access denied'});
+
+                await handleMessage(msg, mockHandler, 'invoke');
+
+                sinon.assert.calledWith(logger.error, '[theChannelID-01234567] Calling chaincode Invoke() returned error response [Access denied]. Sending COMPLETED message back to peer');
+                sinon.assert.neverCalledWith(logger.info, sinon.match(/succeeded/));
+                const payloadPb = new peer.Response();
+                payloadPb.setStatus(403);
+                payloadPb.setMessage('Access denied');
+                const expectedResponse = mapToChaincodeMessage({
+                    type: peer.ChaincodeMessage.Type.COMPLETED,
+                    payload: payloadPb.serializeBinary(),
+                    channel_id: msg.channel_id,
+                    txid: msg.txid,
+                    chaincode_event: mockStub.chaincodeEvent
+                });
+                expect(mapFromChaincodeMessage(mockHandler._stream.write.firstCall.args[0])).to.deep.equal(mapFromChaincodeMessage(expectedResponse));
+            });
         });
 
         describe('Complete', () => {
@@ -1892,6 +2864,49 @@ describe('Handler', () => {
                 expect(mapFromChaincodeMessage(mockHandler._stream.write.firstCall.args[0])).to.deep.equal(mapFromChaincodeMessage(expectedResponse));
             });
         });
+
+        describe('metrics', () => {
+            let transactions;
+            let observe;
+
+            beforeEach(() => {
+                const metrics = Handler.__get__('metrics');
+                transactions = sandbox.stub(metrics.transactions, 'inc');
+                observe = sandbox.stub(metrics.transactionDuration, 'observe');
+            });
+
+            it ('should record the function, status and duration of the transaction', async () => {
+                mockHandler.chaincode.Invoke = sandbox.stub().resolves({status: Stub.RESPONSE_CODE.OK});
+
+                await handleMessage({channel_id: 'theChannelID', txid: 'aTX', payload: 'some payload'}, mockHandler, 'invoke');
+
+                sinon.assert.calledOnceWithExactly(transactions, {contract: '', function: '', status: 200});
+                sinon.assert.calledOnce(observe);
+                expect(observe.firstCall.args[0]).to.deep.equal({contract: '', function: ''});
+                expect(observe.firstCall.args[1]).to.be.a('number');
+            });
+
+            it ('should record the names of the contract and function recorded by the chaincode', async () => {
+                const stub = sinon.createStubInstance(Stub);
+                Handler.__set__('createStub', sandbox.stub().returns(stub));
+                mockHandler.chaincode.Invoke = sandbox.stub().callsFake(async (s) => {
+                    require('../../../fabric-shim/lib/metrics').setTransactionName(s, 'fabcar', 'createCar');
+                    return {status: Stub.RESPONSE_CODE.ERROR, message: 'failed'};
+                });
+
+                await handleMessage({channel_id: 'theChannelID', txid: 'aTX', payload: 'some payload'}, mockHandler, 'invoke');
+
+                sinon.assert.calledOnceWithExactly(transactions, {contract: 'fabcar', function: 'createCar', status: 500});
+            });
+
+            it ('should record transactions that did not return a response as errors', async () => {
+                mockHandler.chaincode.Init = sandbox.stub().resolves();
+
+                await handleMessage({channel_id: 'theChannelID', txid: 'aTX', payload: 'some payload'}, mockHandler, 'init');
+
+                sinon.assert.calledOnceWithExactly(transactions, {contract: '', function: '', status: 500});
+            });
+        });
     });
 
     describe('createStub', () => {
@@ -2082,6 +3097,16 @@ describe('Handler', () => {
             expect(result).to.deep.equal(res.payload);
         });
 
+        it ('should return the decoded values for GetStateMultiple', () => {
+            const resultPb = new peer.GetStateMultipleResult();
+            resultPb.setValuesList([Buffer.from('value1'), Buffer.from(''), Buffer.from('value3')]);
+            res.payload = Buffer.from(resultPb.serializeBinary());
+
+            const result = parseResponse(handler, res, 'GetStateMultiple');
+
+            expect(result).to.deep.equal([Buffer.from('value1'), Buffer.from(''), Buffer.from('value3')]);
+        });
+
         it ('should return QueryResponse.decoded payload for QueryStateClose', () => {
             const queryResp = new peer.QueryResponse();
             queryResp.setMetadata('wibble');
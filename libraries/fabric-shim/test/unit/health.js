@@ -0,0 +1,147 @@
+/*
+# Copyright IBM Corp. All Rights Reserved.
+#
+# SPDX-License-Identifier: Apache-2.0
+*/
+/* global */
+'use strict';
+
+const sinon = require('sinon');
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+const expect = chai.expect;
+const http = require('http');
+
+const HealthServer = require('../../lib/health');
+
+const get = (server, path) => {
+    return new Promise((resolve, reject) => {
+        http.get({host: '127.0.0.1', port: server._server.address().port, path}, (res) => {
+            let body = '';
+            res.on('data', (chunk) => {
+                body += chunk;
+            });
+            res.on('end', () => resolve({statusCode: res.statusCode, headers: res.headers, body: JSON.parse(body)}));
+        }).on('error', reject);
+    });
+};
+
+describe('HealthServer', () => {
+
+    describe('constructor', () => {
+        it('should take the host and port from the address', () => {
+            const server = new HealthServer(() => true, {address: '0.0.0.0:9443'});
+
+            expect(server._host).to.equal('0.0.0.0');
+            expect(server._port).to.equal(9443);
+            expect(server._maxEventLoopDelay).to.equal(5000);
+        });
+
+        it('should use the given maximum event loop delay', () => {
+            const server = new HealthServer(() => true, {address: '0.0.0.0:9443', maxEventLoopDelay: 100});
+
+            expect(server._maxEventLoopDelay).to.equal(100);
+        });
+
+        it('should throw an error if the address has no port', () => {
+            expect(() => new HealthServer(() => true, {address: 'localhost'}))
+                .to.throw('The health address must be given as host:port, not localhost');
+        });
+    });
+
+    describe('start() and stop()', () => {
+        it('should reject if the server cannot listen', async () => {
+            const server = new HealthServer(() => true, {address: '127.0.0.1:0'});
+            server._server.listen = sinon.stub().callsFake(() => server._server.emit('error', new Error('EADDRINUSE')));
+
+            await expect(server.start()).to.be.rejectedWith('EADDRINUSE');
+            server.stop();
+        });
+
+        it('should measure how late the checks of the event loop are', async () => {
+            const clock = sinon.useFakeTimers();
+            try {
+                const server = new HealthServer(() => true, {address: '127.0.0.1:0'});
+                server._server.listen = sinon.stub().yields();
+                server._server.address = () => ({port: 9443});
+                server._server.close = sinon.stub().yields();
+
+                await server.start();
+                expect(server.getEventLoopDelay()).to.equal(0);
+
+                clock.tick(1000);
+                expect(server._eventLoopDelay).to.equal(0);
+
+                // the next check is overdue while the event loop is blocked
+                clock.setSystemTime(2500);
+                expect(server.getEventLoopDelay()).to.equal(500);
+
+                // and late once it has run, 1500 ms after the previous check
+                clock.setSystemTime(1000);
+                server._lastCheck = 500;
+                clock.tick(1000);
+                expect(server._eventLoopDelay).to.equal(500);
+                expect(server._lastCheck).to.equal(2000);
+
+                await server.stop();
+                sinon.assert.calledOnce(server._server.close);
+            } finally {
+                clock.restore();
+            }
+        });
+    });
+
+    describe('endpoints', () => {
+        let server;
+        let ready;
+
+        beforeEach(async () => {
+            ready = true;
+            server = new HealthServer(() => ready, {address: '127.0.0.1:0', maxEventLoopDelay: 100});
+            await server.start();
+        });
+
+        afterEach(async () => {
+            await server.stop();
+        });
+
+        it('should report live while the event loop is responsive', async () => {
+            const res = await get(server, '/healthz');
+
+            expect(res.statusCode).to.equal(200);
+            expect(res.headers['content-type']).to.equal('application/json');
+            expect(res.body.status).to.equal('ok');
+            expect(res.body.eventLoopDelay).to.be.a('number');
+        });
+
+        it('should report not live once the event loop has been delayed by more than the maximum', async () => {
+            server._eventLoopDelay = 150;
+            const res = await get(server, '/healthz');
+
+            expect(res.statusCode).to.equal(503);
+            expect(res.body).to.deep.equal({status: 'unavailable', eventLoopDelay: 150});
+        });
+
+        it('should report ready while the chaincode is ready', async () => {
+            const res = await get(server, '/readyz?verbose');
+
+            expect(res.statusCode).to.equal(200);
+            expect(res.body).to.deep.equal({status: 'ok'});
+        });
+
+        it('should report not ready while the chaincode is not ready', async () => {
+            ready = false;
+            const res = await get(server, '/readyz');
+
+            expect(res.statusCode).to.equal(503);
+            expect(res.body).to.deep.equal({status: 'unavailable'});
+        });
+
+        it('should respond with 404 to other paths', async () => {
+            const res = await get(server, '/metrics');
+
+            expect(res.statusCode).to.equal(404);
+            expect(res.body).to.deep.equal({status: 'not found'});
+        });
+    });
+});
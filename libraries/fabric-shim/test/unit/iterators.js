@@ -217,6 +217,59 @@ describe('Iterator', () => {
                 expect(ci.currentLoc).to.deep.equal(1);
                 expect(result).to.deep.equal(expectedResult);
             });
+
+            it ('should return the full key modification for a history query', () => {
+                ci = new CommonIterator(mockHandler, channel_id, txID, mockResponse, 'HISTORY');
+                getResultFromBytesStub = sinon.stub(ci, '_getResultFromBytes');
+                mockResponse.getResultsList = () => ['some result bytes'];
+                mockResponse.getHasMore = () => false;
+                getResultFromBytesStub.returns({
+                    getValue:() => 'some result',
+                    getTxId:() => 'a tx id',
+                    getIsDelete:() => false,
+                    getTimestamp:() => ({getSeconds:() => 1577836800, getNanos:() => 500000000})
+                });
+
+                const result = ci._createAndEmitResult();
+
+                expect(getResultFromBytesStub.calledOnce).to.be.true;
+                expect(getResultFromBytesStub.firstCall.args).to.deep.equal(['some result bytes']);
+                expect(ci.currentLoc).to.deep.equal(1);
+                expect(result).to.deep.equal({
+                    value: {
+                        value: Buffer.from('some result'),
+                        txId: 'a tx id',
+                        isDelete: false,
+                        timestamp: {seconds: 1577836800, nanos: 500000000},
+                        date: new Date('2020-01-01T00:00:00.500Z')
+                    },
+                    done: false
+                });
+            });
+
+            it ('should return the key modification without a timestamp for a history query with no timestamp', () => {
+                ci = new CommonIterator(mockHandler, channel_id, txID, mockResponse, 'HISTORY');
+                getResultFromBytesStub = sinon.stub(ci, '_getResultFromBytes');
+                mockResponse.getResultsList = () => ['some result bytes'];
+                mockResponse.getHasMore = () => false;
+                getResultFromBytesStub.returns({
+                    getValue:() => '',
+                    getTxId:() => 'a tx id',
+                    getIsDelete:() => true,
+                    getTimestamp:() => undefined
+                });
+
+                const result = ci._createAndEmitResult();
+
+                expect(result).to.deep.equal({
+                    value: {
+                        value: Buffer.from(''),
+                        txId: 'a tx id',
+                        isDelete: true
+                    },
+                    done: false
+                });
+            });
         });
 
         describe('next', () => {
@@ -317,4 +370,84 @@ describe('Iterator', () => {
             expect(hqi.type).to.deep.equal('HISTORY');
         });
     });
+
+    describe('WriteSetQueryIterator', () => {
+        const WriteSetQueryIterator = Iterator.WriteSetQueryIterator;
+
+        function peerIterator(...keys) {
+            const results = keys.map((key) => ({value: {key, value: Buffer.from(`peer ${key}`)}, done: false}));
+            results.push({done: true});
+            return {
+                next: sinon.stub().callsFake(async () => results.length > 1 ? results.shift() : results[0]),
+                close: sinon.stub().resolves('closed')
+            };
+        }
+
+        async function keysAndValues(iterator) {
+            const entries = [];
+            let result = await iterator.next();
+            while (!result.done) {
+                entries.push(`${result.value.key}=${result.value.value.toString()}`);
+                result = await iterator.next();
+            }
+            return entries;
+        }
+
+        it ('should only keep the writes within the range in key order', () => {
+            const writes = new Map([['d', Buffer.from('1')], ['a', Buffer.from('2')], ['b', null], ['c', Buffer.from('3')]]);
+
+            const wsqi = new WriteSetQueryIterator(peerIterator(), writes, 'b', 'd');
+
+            expect(wsqi.writes).to.deep.equal([{key: 'b', value: null}, {key: 'c', value: Buffer.from('3')}]);
+        });
+
+        it ('should keep all the writes after the start key for an unbounded range', () => {
+            const writes = new Map([['b', Buffer.from('1')], ['a', Buffer.from('2')]]);
+
+            const wsqi = new WriteSetQueryIterator(peerIterator(), writes, '\x01', '');
+
+            expect(wsqi.writes.map(({key}) => key)).to.deep.equal(['a', 'b']);
+        });
+
+        it ('should order the keys by their UTF-8 bytes', () => {
+            const writes = new Map([['\u{10ffff}', Buffer.from('1')], ['\uffff', Buffer.from('2')]]);
+
+            const wsqi = new WriteSetQueryIterator(peerIterator(), writes, '\x01', '');
+
+            expect(wsqi.writes.map(({key}) => key)).to.deep.equal(['\uffff', '\u{10ffff}']);
+        });
+
+        it ('should return the results from the peer when there are no writes', async () => {
+            const wsqi = new WriteSetQueryIterator(peerIterator('a', 'b'), new Map(), '', '');
+
+            expect(await keysAndValues(wsqi)).to.deep.equal(['a=peer a', 'b=peer b']);
+            expect(await wsqi.next()).to.deep.equal({done: true});
+        });
+
+        it ('should merge the writes into the results from the peer in key order', async () => {
+            const writes = new Map([['a', Buffer.from('new a')], ['c', Buffer.from('new c')], ['e', Buffer.from('new e')]]);
+
+            const wsqi = new WriteSetQueryIterator(peerIterator('b', 'c', 'd'), writes, '', '');
+
+            expect(await keysAndValues(wsqi)).to.deep.equal(['a=new a', 'b=peer b', 'c=new c', 'd=peer d', 'e=new e']);
+        });
+
+        it ('should skip keys that have been deleted', async () => {
+            const writes = new Map([['a', null], ['c', null], ['e', null]]);
+
+            const wsqi = new WriteSetQueryIterator(peerIterator('b', 'c', 'd'), writes, '', '');
+
+            expect(await keysAndValues(wsqi)).to.deep.equal(['b=peer b', 'd=peer d']);
+        });
+
+        it ('should close the iterator from the peer', async () => {
+            const iterator = peerIterator();
+            const wsqi = new WriteSetQueryIterator(iterator, new Map(), '', '');
+
+            const result = await wsqi.close();
+
+            expect(result).to.equal('closed');
+            expect(iterator.close.calledOnce).to.be.true;
+        });
+    });
 });
@@ -0,0 +1,187 @@
+/*
+# Copyright IBM Corp. All Rights Reserved.
+#
+# SPDX-License-Identifier: Apache-2.0
+*/
+/* global */
+'use strict';
+
+const sinon = require('sinon');
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+const expect = chai.expect;
+const http = require('http');
+
+const {Counter, Gauge, Histogram, MetricsServer, metrics, setTransactionName, getTransactionName, collect} = require('../../lib/metrics');
+
+const get = (server, path) => {
+    return new Promise((resolve, reject) => {
+        http.get({host: '127.0.0.1', port: server._server.address().port, path}, (res) => {
+            let body = '';
+            res.on('data', (chunk) => {
+                body += chunk;
+            });
+            res.on('end', () => resolve({statusCode: res.statusCode, headers: res.headers, body}));
+        }).on('error', reject);
+    });
+};
+
+describe('metrics', () => {
+
+    describe('Counter', () => {
+        it('should count by the values of the labels', () => {
+            const counter = new Counter('test_total', 'Things counted', ['kind']);
+            counter.inc({kind: 'duck'});
+            counter.inc({kind: 'duck'});
+            counter.inc({kind: 'goose'}, 3);
+
+            expect(counter.collect()).to.equal([
+                '# HELP test_total Things counted',
+                '# TYPE test_total counter',
+                'test_total{kind="duck"} 2',
+                'test_total{kind="goose"} 3'
+            ].join('\n'));
+        });
+
+        it('should escape the values of the labels, and use an empty value for those not given', () => {
+            const counter = new Counter('test_total', 'Things counted', ['kind', 'colour']);
+            counter.inc({kind: 'say "quack"\\\n'});
+
+            expect(counter.collect().split('\n')[2]).to.equal('test_total{kind="say \\"quack\\"\\\\\\n",colour=""} 1');
+        });
+
+        it('should start again once reset', () => {
+            const counter = new Counter('test_total', 'Things counted');
+            counter.inc();
+            counter.reset();
+
+            expect(counter.collect()).to.equal('# HELP test_total Things counted\n# TYPE test_total counter');
+        });
+    });
+
+    describe('Gauge', () => {
+        it('should go up and down', () => {
+            const gauge = new Gauge('test_depth', 'Things waiting');
+            gauge.inc();
+            gauge.inc({}, 4);
+            gauge.dec();
+            gauge.dec({}, 2);
+
+            expect(gauge.collect()).to.equal([
+                '# HELP test_depth Things waiting',
+                '# TYPE test_depth gauge',
+                'test_depth 2'
+            ].join('\n'));
+        });
+    });
+
+    describe('Histogram', () => {
+        it('should count the values in each bucket, along with their sum and count', () => {
+            const histogram = new Histogram('test_seconds', 'Time taken', ['kind'], [0.1, 1]);
+            histogram.observe({kind: 'duck'}, 0.05);
+            histogram.observe({kind: 'duck'}, 0.5);
+            histogram.observe({kind: 'duck'}, 2);
+
+            expect(histogram.collect()).to.equal([
+                '# HELP test_seconds Time taken',
+                '# TYPE test_seconds histogram',
+                'test_seconds_bucket{kind="duck",le="0.1"} 1',
+                'test_seconds_bucket{kind="duck",le="1"} 2',
+                'test_seconds_bucket{kind="duck",le="+Inf"} 3',
+                'test_seconds_sum{kind="duck"} 2.55',
+                'test_seconds_count{kind="duck"} 3'
+            ].join('\n'));
+        });
+
+        it('should use the default buckets', () => {
+            const histogram = new Histogram('test_seconds', 'Time taken', []);
+
+            expect(histogram.buckets).to.deep.equal([0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+        });
+
+        it('should record the time in seconds since the timer was started', () => {
+            const clock = sinon.useFakeTimers();
+            try {
+                const histogram = new Histogram('test_seconds', 'Time taken', ['kind']);
+                const observe = sinon.spy(histogram, 'observe');
+
+                const endTimer = histogram.startTimer();
+                clock.tick(1500);
+                endTimer({kind: 'duck'});
+
+                sinon.assert.calledOnceWithExactly(observe, {kind: 'duck'}, 1.5);
+            } finally {
+                clock.restore();
+            }
+        });
+    });
+
+    describe('transaction names', () => {
+        it('should use empty names, rather than the function that was invoked, if the chaincode has not recorded the names', () => {
+            const stub = {getFunctionAndParameters: () => ({fcn: 'createCar', params: []})};
+
+            expect(getTransactionName(stub)).to.deep.equal({contract: '', function: ''});
+        });
+
+        it('should use the names recorded by the chaincode', () => {
+            const stub = {getFunctionAndParameters: () => ({fcn: 'fabcar:createCar', params: []})};
+            setTransactionName(stub, 'fabcar', 'createCar');
+
+            expect(getTransactionName(stub)).to.deep.equal({contract: 'fabcar', function: 'createCar'});
+        });
+    });
+
+    describe('collect', () => {
+        it('should collect all the metrics of the chaincode', () => {
+            const text = collect();
+
+            Object.values(metrics).forEach((metric) => {
+                expect(text).to.include(`# TYPE ${metric.name} ${metric.type}\n`);
+            });
+            expect(text.endsWith('\n')).to.be.true;
+        });
+    });
+
+    describe('MetricsServer', () => {
+        it('should throw an error if the address has no port', () => {
+            expect(() => new MetricsServer({address: 'localhost'}))
+                .to.throw('The metrics address must be given as host:port, not localhost');
+        });
+
+        it('should reject if the server cannot listen', async () => {
+            const server = new MetricsServer({address: '127.0.0.1:0'});
+            server._server.listen = sinon.stub().callsFake(() => server._server.emit('error', new Error('EADDRINUSE')));
+
+            await expect(server.start()).to.be.rejectedWith('EADDRINUSE');
+        });
+
+        describe('endpoints', () => {
+            let server;
+
+            beforeEach(async () => {
+                server = new MetricsServer({address: '127.0.0.1:0'});
+                await server.start();
+            });
+
+            afterEach(async () => {
+                await server.stop();
+            });
+
+            it('should serve the metrics in the Prometheus text format', async () => {
+                metrics.transactions.inc({contract: 'fabcar', function: 'createCar', status: 200});
+                const res = await get(server, '/metrics');
+
+                expect(res.statusCode).to.equal(200);
+                expect(res.headers['content-type']).to.equal('text/plain; version=0.0.4; charset=utf-8');
+                expect(res.body).to.equal(collect());
+                expect(res.body).to.match(/^fabric_chaincode_transactions_total\{contract="fabcar",function="createCar",status="200"\} \d+$/m);
+            });
+
+            it('should respond with 404 to other paths', async () => {
+                const res = await get(server, '/healthz');
+
+                expect(res.statusCode).to.equal(404);
+            });
+        });
+    });
+});
@@ -13,6 +13,7 @@ const expect = chai.expect;
 const fs = require('fs');
 const path = require('path');
 const rewire = require('rewire');
+const EventEmitter = require('events');
 
 const {peer} = require('@hyperledger/fabric-protos');
 
@@ -147,6 +148,122 @@ describe('ChaincodeServer', () => {
         });
     });
 
+    describe('health', () => {
+        let mockHealth;
+        let mockHealthStub;
+        let revert;
+
+        beforeEach(() => {
+            mockHealth = {start: sinon.stub().resolves(), stop: sinon.stub().resolves()};
+            mockHealthStub = sinon.stub().returns(mockHealth);
+            revert = ChaincodeServer.__set__('HealthServer', mockHealthStub);
+        });
+
+        afterEach(() => {
+            revert();
+        });
+
+        it('should not serve the health unless a health-address is given', () => {
+            const server = new ChaincodeServer(mockChaincode, serverOpts);
+
+            expect(server._health).to.be.undefined;
+            expect(mockHealthStub.called).to.be.false;
+        });
+
+        it('should serve the health on the health-address', () => {
+            const opts = Object.assign({'health-address': '0.0.0.0:9443', 'health-max-event-loop-delay': 100}, serverOpts);
+            const server = new ChaincodeServer(mockChaincode, opts);
+
+            expect(server._health).to.equal(mockHealth);
+            sinon.assert.calledWithNew(mockHealthStub);
+            expect(mockHealthStub.firstCall.args[1]).to.deep.equal({address: '0.0.0.0:9443', maxEventLoopDelay: 100});
+
+            const isReady = mockHealthStub.firstCall.args[0];
+            expect(isReady()).to.be.false;
+            server._readyHandlers.add({});
+            expect(isReady()).to.be.true;
+        });
+
+        it('should start the health server with the gRPC server, and stop it last', async () => {
+            const server = new ChaincodeServer(mockChaincode, Object.assign({'health-address': '0.0.0.0:9443'}, serverOpts));
+            server._server = {
+                bindAsync: sinon.stub().yields(null, 9999),
+                start: sinon.stub(),
+                tryShutdown: sinon.stub().yields()
+            };
+
+            await server.start();
+            sinon.assert.callOrder(server._server.start, mockHealth.start);
+
+            await server.stop();
+            sinon.assert.callOrder(server._server.tryShutdown, mockHealth.stop);
+        });
+
+        it('should be ready once a peer has registered the chaincode, until it disconnects', () => {
+            const mockHandler = Object.assign(new EventEmitter(), {
+                chat: sinon.stub()
+            });
+            ChaincodeServer.__set__('ChaincodeMessageHandler', sinon.stub().returns(mockHandler));
+
+            const server = new ChaincodeServer(mockChaincode, serverOpts);
+            server.connect({on: sinon.stub(), write: sinon.stub()});
+            expect(server.isReady()).to.be.false;
+
+            mockHandler.emit('ready');
+            expect(server.isReady()).to.be.true;
+
+            mockHandler.emit('disconnected');
+            expect(server.isReady()).to.be.false;
+        });
+
+        it('should not be ready once stopping', () => {
+            const server = new ChaincodeServer(mockChaincode, serverOpts);
+            server._readyHandlers.add({});
+            server._stopping = true;
+
+            expect(server.isReady()).to.be.false;
+        });
+    });
+
+    describe('metrics', () => {
+        let mockMetrics;
+        let mockMetricsStub;
+        let revert;
+
+        beforeEach(() => {
+            mockMetrics = {start: sinon.stub().resolves(), stop: sinon.stub().resolves()};
+            mockMetricsStub = sinon.stub().returns(mockMetrics);
+            revert = ChaincodeServer.__set__('MetricsServer', mockMetricsStub);
+        });
+
+        afterEach(() => {
+            revert();
+        });
+
+        it('should not serve the metrics unless a metrics-address is given', () => {
+            const server = new ChaincodeServer(mockChaincode, serverOpts);
+
+            expect(server._metrics).to.be.undefined;
+            expect(mockMetricsStub.called).to.be.false;
+        });
+
+        it('should serve the metrics on the metrics-address while the server runs', async () => {
+            const server = new ChaincodeServer(mockChaincode, Object.assign({'metrics-address': '0.0.0.0:9443'}, serverOpts));
+            server._server = {
+                bindAsync: sinon.stub().yields(null, 9999),
+                start: sinon.stub(),
+                tryShutdown: sinon.stub().yields()
+            };
+            expect(mockMetricsStub.firstCall.args).to.deep.equal([{address: '0.0.0.0:9443'}]);
+
+            await server.start();
+            sinon.assert.callOrder(server._server.start, mockMetrics.start);
+
+            await server.stop();
+            sinon.assert.callOrder(server._server.tryShutdown, mockMetrics.stop);
+        });
+    });
+
     describe('start()', () => {
         it('should call bindAsync and start', async () => {
             const server = new ChaincodeServer(mockChaincode, serverOpts);
@@ -181,9 +298,9 @@ describe('ChaincodeServer', () => {
 
     describe('connect()', () => {
         it('should call connect', () => {
-            const mockHandler = {
+            const mockHandler = Object.assign(new EventEmitter(), {
                 chat: sinon.stub()
-            };
+            });
             const mockHandlerStub = sinon.stub().returns(mockHandler);
             ChaincodeServer.__set__('ChaincodeMessageHandler', mockHandlerStub);
 
@@ -193,6 +310,7 @@ describe('ChaincodeServer', () => {
             server.connect(mockStream);
 
             expect(mockHandlerStub.calledOnce).to.be.true;
+            expect(mockHandlerStub.firstCall.args).to.deep.equal([mockStream, mockChaincode, serverOpts]);
             expect(mockHandler.chat.calledOnce).to.be.true;
 
             const payloadPb = new peer.ChaincodeID();
@@ -205,9 +323,9 @@ describe('ChaincodeServer', () => {
         });
 
         it('should not throw even if chat fails', () => {
-            const mockHandler = {
+            const mockHandler = Object.assign(new EventEmitter(), {
                 chat: sinon.stub().throws(new Error('Some error from chat'))
-            };
+            });
             const mockHandlerStub = sinon.stub().returns(mockHandler);
             ChaincodeServer.__set__('ChaincodeMessageHandler', mockHandlerStub);
 
@@ -218,5 +336,111 @@ describe('ChaincodeServer', () => {
             expect(mockHandlerStub.calledOnce).to.be.true;
             expect(mockHandler.chat.calledOnce).to.be.true;
         });
+
+        it('should emit the protocol errors of the connection', () => {
+            const mockHandler = Object.assign(new EventEmitter(), {
+                chat: sinon.stub()
+            });
+            ChaincodeServer.__set__('ChaincodeMessageHandler', sinon.stub().returns(mockHandler));
+
+            const server = new ChaincodeServer(mockChaincode, serverOpts);
+            const listener = sinon.stub();
+            server.on('protocolError', listener);
+
+            server.connect({on: sinon.stub(), write: sinon.stub()});
+            const details = {type: 99, channel_id: 'theChannelID', txid: 'theTxID', state: 'ready'};
+            mockHandler.emit('protocolError', details);
+
+            expect(listener.calledOnceWithExactly(details)).to.be.true;
+        });
+
+        it('should forget the connection once it is lost', () => {
+            const mockHandler = Object.assign(new EventEmitter(), {
+                chat: sinon.stub()
+            });
+            ChaincodeServer.__set__('ChaincodeMessageHandler', sinon.stub().returns(mockHandler));
+
+            const server = new ChaincodeServer(mockChaincode, serverOpts);
+            server.connect({on: sinon.stub(), write: sinon.stub()});
+            expect([...server._handlers]).to.deep.equal([mockHandler]);
+
+            mockHandler.emit('disconnected');
+            expect(server._handlers.size).to.equal(0);
+        });
+
+        it('should refuse connections once stopping', () => {
+            const mockHandlerStub = sinon.stub();
+            ChaincodeServer.__set__('ChaincodeMessageHandler', mockHandlerStub);
+
+            const server = new ChaincodeServer(mockChaincode, serverOpts);
+            server._stopping = true;
+            const mockStream = {on: sinon.stub(), write: sinon.stub(), end: sinon.stub()};
+
+            server.connect(mockStream);
+            expect(mockStream.end.calledOnce).to.be.true;
+            expect(mockHandlerStub.called).to.be.false;
+        });
+    });
+
+    describe('stop()', () => {
+        const newHandler = (drained) => {
+            return {
+                drain: sinon.stub().resolves(drained),
+                close: sinon.stub()
+            };
+        };
+
+        it('should drain and close the connections, then shut down the server', async () => {
+            const server = new ChaincodeServer(mockChaincode, serverOpts);
+            server._server = {tryShutdown: sinon.stub().yields()};
+            const handlers = [newHandler(true), newHandler(true)];
+            handlers.forEach((handler) => server._handlers.add(handler));
+
+            expect(await server.stop(100)).to.be.true;
+
+            expect(server._stopping).to.be.true;
+            handlers.forEach((handler) => {
+                sinon.assert.calledOnceWithExactly(handler.drain, 100);
+                sinon.assert.calledOnce(handler.close);
+                sinon.assert.callOrder(handler.drain, handler.close, server._server.tryShutdown);
+            });
+        });
+
+        it('should wait for the shutdown-timeout by default', async () => {
+            const server = new ChaincodeServer(mockChaincode, Object.assign({'shutdown-timeout': 5000}, serverOpts));
+            server._server = {tryShutdown: sinon.stub().yields()};
+            const handler = newHandler(true);
+            server._handlers.add(handler);
+
+            await server.stop();
+            sinon.assert.calledOnceWithExactly(handler.drain, 5000);
+        });
+
+        it('should wait for 30 seconds if no shutdown-timeout is given', async () => {
+            const server = new ChaincodeServer(mockChaincode, serverOpts);
+            server._server = {tryShutdown: sinon.stub().yields()};
+            const handler = newHandler(true);
+            server._handlers.add(handler);
+
+            await server.stop();
+            sinon.assert.calledOnceWithExactly(handler.drain, 30000);
+        });
+
+        it('should return false if a connection did not drain in time', async () => {
+            const server = new ChaincodeServer(mockChaincode, serverOpts);
+            server._server = {tryShutdown: sinon.stub().yields()};
+            server._handlers.add(newHandler(true));
+            server._handlers.add(newHandler(false));
+
+            expect(await server.stop(100)).to.be.false;
+            sinon.assert.calledOnce(server._server.tryShutdown);
+        });
+
+        it('should still resolve if the server fails to shut down cleanly', async () => {
+            const server = new ChaincodeServer(mockChaincode, serverOpts);
+            server._server = {tryShutdown: sinon.stub().yields(new Error('busy'))};
+
+            expect(await server.stop(100)).to.be.true;
+        });
     });
 });
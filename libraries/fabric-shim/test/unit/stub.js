@@ -581,6 +581,248 @@ describe('Stub', () => {
             });
         });
 
+        describe('setReadYourOwnWrites', () => {
+            let handler;
+            let stub;
+
+            function peerIterator(...keys) {
+                const results = keys.map((key) => ({value: {key, value: Buffer.from(`peer ${key}`)}, done: false}));
+                results.push({done: true});
+                return {
+                    next: async () => results.length > 1 ? results.shift() : results[0],
+                    close: sinon.stub().resolves()
+                };
+            }
+
+            async function keysAndValues(iterable) {
+                const entries = [];
+                for await (const {key, value} of iterable) {
+                    entries.push(`${key}=${value.toString()}`);
+                }
+                return entries;
+            }
+
+            beforeEach(() => {
+                handler = {
+                    handleGetState: sinon.stub().callsFake(async (collection, key) => Buffer.from(`peer ${key}`)),
+                    handlePutState: sinon.stub().resolves(),
+                    handleDeleteState: sinon.stub().resolves(),
+                    handleGetStateByRange: sinon.stub().resolves({iterator: peerIterator('a', 'b', 'c')})
+                };
+                stub = new Stub(handler, 'dummyChannelId', 'dummyTxid', chaincodeInput);
+            });
+
+            it ('should be disabled by default', async () => {
+                expect(stub.readYourOwnWrites).to.be.false;
+
+                await stub.putState('a', 'new a');
+                await stub.deleteState('b');
+
+                expect(stub.writeSet.size).to.equal(0);
+                expect((await stub.getState('a')).toString()).to.equal('peer a');
+                expect((await stub.getState('a')).toString()).to.equal('peer a');
+                expect(handler.handleGetState.calledTwice).to.be.true;
+            });
+
+            it ('should enable and disable reading own writes', () => {
+                stub.setReadYourOwnWrites();
+                expect(stub.readYourOwnWrites).to.be.true;
+
+                stub.setReadYourOwnWrites(false);
+                expect(stub.readYourOwnWrites).to.be.false;
+            });
+
+            it ('should return the value written by putState', async () => {
+                stub.setReadYourOwnWrites();
+
+                await stub.putState('a', 'new a');
+                const result = await stub.getState('a');
+
+                expect(result).to.deep.equal(Buffer.from('new a'));
+                expect(handler.handlePutState.calledOnce).to.be.true;
+                expect(handler.handleGetState.notCalled).to.be.true;
+            });
+
+            it ('should return an empty value for a key deleted by deleteState', async () => {
+                stub.setReadYourOwnWrites();
+
+                await stub.deleteState('a');
+                const result = await stub.getState('a');
+
+                expect(result).to.deep.equal(Buffer.from(''));
+                expect(handler.handleDeleteState.calledOnce).to.be.true;
+                expect(handler.handleGetState.notCalled).to.be.true;
+            });
+
+            it ('should not return the values of writes that the peer rejected', async () => {
+                stub.setReadYourOwnWrites();
+                handler.handlePutState.rejects(new Error('put failed'));
+                handler.handleDeleteState.rejects(new Error('delete failed'));
+
+                await expect(stub.putState('a', 'new a')).to.eventually.be.rejectedWith('put failed');
+                await expect(stub.deleteState('b')).to.eventually.be.rejectedWith('delete failed');
+                await expect(stub.putPrivateData('collection1', 'a', 'new a')).to.eventually.be.rejectedWith('put failed');
+                await expect(stub.deletePrivateData('collection1', 'b')).to.eventually.be.rejectedWith('delete failed');
+
+                expect(stub.writeSet.size).to.equal(0);
+                expect((await stub.getState('a')).toString()).to.equal('peer a');
+                expect((await stub.getState('b')).toString()).to.equal('peer b');
+            });
+
+            it ('should not return the values of batches of writes that the peer rejected', async () => {
+                stub.setReadYourOwnWrites();
+                handler.handlePutMultipleStates = sinon.stub().rejects(new Error('put failed'));
+
+                await expect(stub.putMultipleStates([{key: 'a', value: 'new a'}])).to.eventually.be.rejectedWith('put failed');
+                await expect(stub.putMultiplePrivateData('collection1', [{key: 'a', value: 'new a'}])).to.eventually.be.rejectedWith('put failed');
+
+                expect(stub.writeSet.size).to.equal(0);
+            });
+
+            it ('should only ask the peer once for repeated reads of a key', async () => {
+                stub.setReadYourOwnWrites();
+
+                const results = await Promise.all([stub.getState('a'), stub.getState('a')]);
+                results.push(await stub.getState('a'));
+
+                expect(results.map((result) => result.toString())).to.deep.equal(['peer a', 'peer a', 'peer a']);
+                expect(handler.handleGetState.calledOnce).to.be.true;
+                expect(handler.handleGetState.firstCall.args).to.deep.equal(['', 'a', 'dummyChannelId', 'dummyTxid']);
+            });
+
+            it ('should ask the peer again after a read fails', async () => {
+                stub.setReadYourOwnWrites();
+                handler.handleGetState.onFirstCall().rejects(new Error('some error'));
+
+                await expect(stub.getState('a')).to.eventually.be.rejectedWith('some error');
+                const result = await stub.getState('a');
+
+                expect(result.toString()).to.equal('peer a');
+                expect(handler.handleGetState.calledTwice).to.be.true;
+            });
+
+            it ('should keep the writes to each private data collection separate', async () => {
+                stub.setReadYourOwnWrites();
+
+                await stub.putPrivateData('collection1', 'a', 'new a');
+                await stub.deletePrivateData('collection2', 'a');
+
+                expect(await stub.getPrivateData('collection1', 'a')).to.deep.equal(Buffer.from('new a'));
+                expect(await stub.getPrivateData('collection2', 'a')).to.deep.equal(Buffer.from(''));
+                expect((await stub.getState('a')).toString()).to.equal('peer a');
+                expect(handler.handleGetState.calledOnce).to.be.true;
+            });
+
+            it ('should serve getMultipleStates from the writes and reads, only asking the peer for other keys', async () => {
+                stub.setReadYourOwnWrites();
+                handler.handleGetMultipleStates = sinon.stub().callsFake(async (collection, keys) => keys.map((key) => Buffer.from(`peer ${key}`)));
+
+                await stub.putState('a', 'new a');
+                await stub.deleteState('b');
+                await stub.getState('c');
+                const results = await stub.getMultipleStates(['a', 'b', 'c', 'd', 'e', 'd']);
+                const again = await stub.getMultipleStates(['d', 'e']);
+
+                expect(results.map((result) => result.toString())).to.deep.equal(['new a', '', 'peer c', 'peer d', 'peer e', 'peer d']);
+                expect(again.map((result) => result.toString())).to.deep.equal(['peer d', 'peer e']);
+                expect(handler.handleGetMultipleStates.calledOnce).to.be.true;
+                expect(handler.handleGetMultipleStates.firstCall.args).to.deep.equal(['', ['d', 'e'], 'dummyChannelId', 'dummyTxid']);
+            });
+
+            it ('should ask the peer again after getMultipleStates fails', async () => {
+                stub.setReadYourOwnWrites();
+                handler.handleGetMultipleStates = sinon.stub().rejects(new Error('some error'));
+
+                await expect(stub.getMultipleStates(['a', 'b'])).to.eventually.be.rejectedWith('some error');
+                const result = await stub.getState('a');
+
+                expect(result.toString()).to.equal('peer a');
+                expect(handler.handleGetState.calledOnce).to.be.true;
+            });
+
+            it ('should return the values written by putMultipleStates and putMultiplePrivateData', async () => {
+                stub.setReadYourOwnWrites();
+                handler.handlePutMultipleStates = sinon.stub().resolves();
+
+                await stub.putMultipleStates([{key: 'a', value: 'new a'}]);
+                await stub.putMultiplePrivateData('collection', [{key: 'a', value: 'private a'}]);
+
+                expect(await stub.getState('a')).to.deep.equal(Buffer.from('new a'));
+                expect(await stub.getPrivateData('collection', 'a')).to.deep.equal(Buffer.from('private a'));
+                expect(handler.handleGetState.notCalled).to.be.true;
+            });
+
+            it ('should merge the writes into getStateByRange', async () => {
+                stub.setReadYourOwnWrites();
+
+                await stub.putState('b', 'new b');
+                await stub.putState('d', 'new d');
+                await stub.deleteState('c');
+                await stub.putState('z', 'outside range');
+                await stub.putPrivateData('collection', 'a0', 'private');
+
+                const results = await keysAndValues(stub.getStateByRange('', 'y'));
+
+                expect(results).to.deep.equal(['a=peer a', 'b=new b', 'd=new d']);
+            });
+
+            it ('should resolve getStateByRange to the merged iterator', async () => {
+                stub.setReadYourOwnWrites();
+
+                await stub.putState('a0', 'new a0');
+                const iterator = await stub.getStateByRange('a', 'b');
+
+                expect(await iterator.next()).to.deep.equal({value: {key: 'a', value: Buffer.from('peer a')}, done: false});
+                expect(await iterator.next()).to.deep.equal({value: {key: 'a0', value: Buffer.from('new a0')}, done: false});
+            });
+
+            it ('should not include writes made after getStateByRange is called', async () => {
+                stub.setReadYourOwnWrites();
+
+                const iterable = stub.getStateByRange('', '');
+                await stub.putState('d', 'new d');
+
+                expect(await keysAndValues(iterable)).to.deep.equal(['a=peer a', 'b=peer b', 'c=peer c']);
+            });
+
+            it ('should merge the writes into getStateByPartialCompositeKey', async () => {
+                stub.setReadYourOwnWrites();
+                const key = (id) => stub.createCompositeKey('type', [id]);
+                handler.handleGetStateByRange.resolves({iterator: peerIterator(key('a'), key('c'))});
+
+                await stub.putState(key('b'), 'new b');
+                await stub.putState('b', 'simple key');
+                await stub.putState(stub.createCompositeKey('other', ['b']), 'other type');
+
+                const results = await keysAndValues(stub.getStateByPartialCompositeKey('type', []));
+
+                expect(results).to.deep.equal([`${key('a')}=peer ${key('a')}`, `${key('b')}=new b`, `${key('c')}=peer ${key('c')}`]);
+            });
+
+            it ('should merge the writes into getPrivateDataByRange', async () => {
+                stub.setReadYourOwnWrites();
+
+                await stub.putPrivateData('collection', 'b', 'new b');
+                await stub.deletePrivateData('collection', 'a');
+                await stub.putState('c0', 'world state');
+
+                const results = await keysAndValues(stub.getPrivateDataByRange('collection', '', ''));
+
+                expect(results).to.deep.equal(['b=new b', 'c=peer c']);
+                expect(handler.handleGetStateByRange.firstCall.args[0]).to.equal('collection');
+            });
+
+            it ('should resolve getPrivateDataByRange to an object containing the merged iterator', async () => {
+                stub.setReadYourOwnWrites();
+                handler.handleGetStateByRange.resolves({iterator: peerIterator('a'), metadata: 'some metadata'});
+
+                const result = await stub.getPrivateDataByRange('collection', '', '');
+
+                expect(result.metadata).to.equal('some metadata');
+                expect(await result.iterator.next()).to.deep.equal({value: {key: 'a', value: Buffer.from('peer a')}, done: false});
+            });
+        });
+
         describe('getState', () => {
             it ('should return handler.handleGetState', async () => {
                 const handleGetStateStub = sinon.stub().resolves('some state');
@@ -642,6 +884,61 @@ describe('Stub', () => {
             });
         });
 
+        describe('getMultipleStates', () => {
+            it ('should return handler.handleGetMultipleStates', async () => {
+                const handleGetMultipleStatesStub = sinon.stub().resolves(['value1', 'value2']);
+
+                const stub = new Stub({
+                    handleGetMultipleStates: handleGetMultipleStatesStub
+                }, 'dummyChannelId', 'dummyTxid', chaincodeInput);
+
+                const result = await stub.getMultipleStates(['key1', 'key2']);
+
+                expect(result).to.deep.equal(['value1', 'value2']);
+                expect(handleGetMultipleStatesStub.calledOnce).to.be.true;
+                expect(handleGetMultipleStatesStub.firstCall.args).to.deep.equal(['', ['key1', 'key2'], 'dummyChannelId', 'dummyTxid']);
+            });
+        });
+
+        describe('putMultipleStates', () => {
+            let handlePutMultipleStatesStub;
+            let stub;
+
+            beforeEach(() => {
+                handlePutMultipleStatesStub = sinon.stub().resolves();
+                stub = new Stub({
+                    handlePutMultipleStates: handlePutMultipleStatesStub
+                }, 'dummyChannelId', 'dummyTxid', chaincodeInput);
+            });
+
+            it ('should throw an error if entries is not an array', async () => {
+                const result = stub.putMultipleStates({key: 'some key', value: 'some value'});
+                await expect(result).to.eventually.be.rejectedWith(Error, 'entries must be an array');
+            });
+
+            it ('should throw an error if a key is not a valid string', async () => {
+                const result = stub.putMultipleStates([{key: 'key1', value: 'value1'}, {key: '', value: 'value2'}]);
+                await expect(result).to.eventually.be.rejectedWith(Error, 'key must be a valid string');
+                expect(handlePutMultipleStatesStub.notCalled).to.be.true;
+            });
+
+            it ('should throw an error if a value is not valid', async () => {
+                const result = stub.putMultipleStates([{key: 'key1'}]);
+                await expect(result).to.eventually.be.rejectedWith(Error, 'value must be valid');
+                expect(handlePutMultipleStatesStub.notCalled).to.be.true;
+            });
+
+            it ('should return handler.handlePutMultipleStates with string values converted to buffers', async () => {
+                await stub.putMultipleStates([{key: 'key1', value: 'value1'}, {key: 'key2', value: Buffer.from('value2')}]);
+
+                expect(handlePutMultipleStatesStub.calledOnce).to.be.true;
+                expect(handlePutMultipleStatesStub.firstCall.args).to.deep.equal(['', [
+                    {key: 'key1', value: Buffer.from('value1')},
+                    {key: 'key2', value: Buffer.from('value2')}
+                ], 'dummyChannelId', 'dummyTxid']);
+            });
+        });
+
         describe('setStateValidationParameter', () => {
             it('should return handler.handlePutStateMetadata', async () => {
                 const handlePutStateMetadataStub = sinon.stub().resolves('nothing');
@@ -911,11 +1208,87 @@ describe('Stub', () => {
                 }).to.throw(/Event name must be a non-empty string/);
             });
 
+            it ('should throw an error when name is the name of a batch of events', () => {
+                expect(() => {
+                    stub.setEvent('fabric:events', Buffer.from('some payload'));
+                }).to.throw(/Event name fabric:events is reserved for batches of events/);
+            });
+
             it ('should set an event', () => {
                 stub.setEvent('some name', Buffer.from('some payload'));
                 expect(stub.chaincodeEvent.getEventName()).to.equal('some name');
                 expect(stub.chaincodeEvent.getPayload()).to.deep.equal(Buffer.from('some payload'));
             });
+
+            it ('should replace any events already added', () => {
+                stub.addEvent('first', Buffer.from('one'));
+                stub.addEvent('second', Buffer.from('two'));
+                stub.setEvent('some name', Buffer.from('some payload'));
+                expect(stub.events).to.have.lengthOf(1);
+                expect(stub.chaincodeEvent.getEventName()).to.equal('some name');
+            });
+
+            it ('should keep the existing events when name is invalid', () => {
+                stub.setEvent('some name', Buffer.from('some payload'));
+                expect(() => {
+                    stub.setEvent('');
+                }).to.throw(/Event name must be a non-empty string/);
+                expect(stub.events).to.have.lengthOf(1);
+                expect(stub.chaincodeEvent.getEventName()).to.equal('some name');
+            });
+        });
+
+        describe('addEvent', () => {
+            let stub;
+
+            beforeEach(() => {
+                stub = new Stub('dummyClient', 'dummyChannelId', 'dummyTxid', chaincodeInput);
+            });
+
+            it ('should throw an error when name is not a string', () => {
+                expect(() => {
+                    stub.addEvent();
+                }).to.throw(/Event name must be a non-empty string/);
+            });
+
+            it ('should throw an error when name is empty string', () => {
+                expect(() => {
+                    stub.addEvent('');
+                }).to.throw(/Event name must be a non-empty string/);
+            });
+
+            it ('should throw an error when name is the name of a batch of events', () => {
+                expect(() => {
+                    stub.addEvent('fabric:events', Buffer.from('some payload'));
+                }).to.throw(/Event name fabric:events is reserved for batches of events/);
+            });
+
+            it ('should send a single event unchanged', () => {
+                stub.addEvent('AssetTransferred', Buffer.from('asset1'));
+                expect(stub.chaincodeEvent.getEventName()).to.equal('AssetTransferred');
+                expect(stub.chaincodeEvent.getPayload()).to.deep.equal(Buffer.from('asset1'));
+            });
+
+            it ('should pack several events into a batch event', () => {
+                stub.addEvent('AssetTransferred', Buffer.from('asset1'));
+                stub.addEvent('OwnerChanged', Buffer.from('alice'));
+
+                expect(stub.chaincodeEvent.getEventName()).to.equal('fabric:events');
+                const payload = JSON.parse(Buffer.from(stub.chaincodeEvent.getPayload()).toString());
+                expect(payload).to.deep.equal({
+                    events: [
+                        {name: 'AssetTransferred', payload: Buffer.from('asset1').toString('base64')},
+                        {name: 'OwnerChanged', payload: Buffer.from('alice').toString('base64')}
+                    ]
+                });
+            });
+
+            it ('should add to an event that was set', () => {
+                stub.setEvent('AssetTransferred', Buffer.from('asset1'));
+                stub.addEvent('OwnerChanged', Buffer.from('alice'));
+                expect(stub.chaincodeEvent.getEventName()).to.equal('fabric:events');
+                expect(stub.events.map(({name}) => name)).to.deep.equal(['AssetTransferred', 'OwnerChanged']);
+            });
         });
 
         describe('createCompositeKey', () => {
@@ -1210,6 +1583,84 @@ describe('Stub', () => {
             });
         });
 
+        describe('getMultiplePrivateData', () => {
+            let handleGetMultipleStatesStub;
+            let stub;
+
+            beforeEach(() => {
+                handleGetMultipleStatesStub = sinon.stub().resolves(['value1', 'value2']);
+                stub = new Stub({
+                    handleGetMultipleStates: handleGetMultipleStatesStub
+                }, 'dummyChannelId', 'dummyTxid', chaincodeInput);
+            });
+
+            it ('should throw an error if no arguments supplied', async () => {
+                const result = stub.getMultiplePrivateData();
+                await expect(result).to.eventually.be.rejectedWith(Error, 'collection must be a valid string');
+            });
+
+            it ('should throw an error if keys is not an array', async () => {
+                const result = stub.getMultiplePrivateData('some collection', 'some key');
+                await expect(result).to.eventually.be.rejectedWith(Error, 'keys must be an array of valid strings');
+            });
+
+            it ('should throw an error if a key is not a valid string', async () => {
+                const result = stub.getMultiplePrivateData('some collection', ['some key', '']);
+                await expect(result).to.eventually.be.rejectedWith(Error, 'keys must be an array of valid strings');
+            });
+
+            it ('should return handler.handleGetMultipleStates', async () => {
+                const result = await stub.getMultiplePrivateData('some collection', ['key1', 'key2']);
+
+                expect(result).to.deep.equal(['value1', 'value2']);
+                expect(handleGetMultipleStatesStub.calledOnce).to.be.true;
+                expect(handleGetMultipleStatesStub.firstCall.args).to.deep.equal(['some collection', ['key1', 'key2'], 'dummyChannelId', 'dummyTxid']);
+            });
+        });
+
+        describe('putMultiplePrivateData', () => {
+            let handlePutMultipleStatesStub;
+            let stub;
+
+            beforeEach(() => {
+                handlePutMultipleStatesStub = sinon.stub().resolves();
+                stub = new Stub({
+                    handlePutMultipleStates: handlePutMultipleStatesStub
+                }, 'dummyChannelId', 'dummyTxid', chaincodeInput);
+            });
+
+            it ('should throw an error if no arguments supplied', async () => {
+                const result = stub.putMultiplePrivateData();
+                await expect(result).to.eventually.be.rejectedWith(Error, 'collection must be a valid string');
+            });
+
+            it ('should throw an error if entries is not an array', async () => {
+                const result = stub.putMultiplePrivateData('some collection', {key: 'some key', value: 'some value'});
+                await expect(result).to.eventually.be.rejectedWith(Error, 'entries must be an array');
+            });
+
+            it ('should throw an error if a key is not a valid string', async () => {
+                const result = stub.putMultiplePrivateData('some collection', [{key: 'key1', value: 'value1'}, {value: 'value2'}]);
+                await expect(result).to.eventually.be.rejectedWith(Error, 'key must be a valid string');
+                expect(handlePutMultipleStatesStub.notCalled).to.be.true;
+            });
+
+            it ('should throw an error if a value is not valid', async () => {
+                const result = stub.putMultiplePrivateData('some collection', [{key: 'key1'}]);
+                await expect(result).to.eventually.be.rejectedWith(Error, 'value must be valid');
+            });
+
+            it ('should return handler.handlePutMultipleStates with string values converted to buffers', async () => {
+                await stub.putMultiplePrivateData('some collection', [{key: 'key1', value: 'value1'}, {key: 'key2', value: Buffer.from('value2')}]);
+
+                expect(handlePutMultipleStatesStub.calledOnce).to.be.true;
+                expect(handlePutMultipleStatesStub.firstCall.args).to.deep.equal(['some collection', [
+                    {key: 'key1', value: Buffer.from('value1')},
+                    {key: 'key2', value: Buffer.from('value2')}
+                ], 'dummyChannelId', 'dummyTxid']);
+            });
+        });
+
         describe('setPrivateDataValidationParameter', () => {
             it('should return handler.handlePutStateMetadata', async () => {
                 const handlePutStateMetadataStub = sinon.stub().resolves('nothing');
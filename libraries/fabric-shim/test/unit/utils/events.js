@@ -0,0 +1,78 @@
+/*
+ * Copyright IBM Corp. All Rights Reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const {BATCH_EVENT_NAME, encodeEvents, decodeEvents} = require('../../../lib/utils/events');
+
+describe('events', () => {
+    describe('encodeEvents', () => {
+        it ('should return a single event unchanged', () => {
+            const event = {name: 'AssetTransferred', payload: Buffer.from('asset1')};
+            expect(encodeEvents([event])).to.equal(event);
+        });
+
+        it ('should pack several events into a batch event', () => {
+            const event = encodeEvents([
+                {name: 'AssetTransferred', payload: Buffer.from('asset1')},
+                {name: 'OwnerChanged'}
+            ]);
+            expect(event.name).to.equal(BATCH_EVENT_NAME);
+            expect(JSON.parse(event.payload.toString())).to.deep.equal({
+                events: [
+                    {name: 'AssetTransferred', payload: Buffer.from('asset1').toString('base64')},
+                    {name: 'OwnerChanged', payload: ''}
+                ]
+            });
+        });
+    });
+
+    describe('decodeEvents', () => {
+        it ('should return any other event as the only event', () => {
+            expect(decodeEvents('AssetTransferred', Uint8Array.from(Buffer.from('asset1')))).to.deep.equal([
+                {name: 'AssetTransferred', payload: Buffer.from('asset1')}
+            ]);
+        });
+
+        it ('should return an empty payload for an event without a payload', () => {
+            expect(decodeEvents('AssetTransferred')).to.deep.equal([
+                {name: 'AssetTransferred', payload: Buffer.from('')}
+            ]);
+        });
+
+        it ('should unpack the events of a batch event', () => {
+            const events = [
+                {name: 'AssetTransferred', payload: Buffer.from('asset1')},
+                {name: 'OwnerChanged', payload: Buffer.from('')}
+            ];
+            const {name, payload} = encodeEvents(events);
+            expect(decodeEvents(name, payload)).to.deep.equal(events);
+        });
+
+        it ('should treat a missing payload in a batch event as empty', () => {
+            const payload = Buffer.from(JSON.stringify({events: [{name: 'OwnerChanged'}]}));
+            expect(decodeEvents(BATCH_EVENT_NAME, payload)).to.deep.equal([
+                {name: 'OwnerChanged', payload: Buffer.from('')}
+            ]);
+        });
+
+        it ('should throw an error when a batch event payload is not JSON', () => {
+            expect(() => {
+                decodeEvents(BATCH_EVENT_NAME, Buffer.from('not json'));
+            }).to.throw(/Invalid fabric:events event payload: Unexpected token/);
+        });
+
+        it ('should throw an error when a batch event payload has no events', () => {
+            expect(() => {
+                decodeEvents(BATCH_EVENT_NAME, Buffer.from('null'));
+            }).to.throw(/Invalid fabric:events event payload: missing events array/);
+            expect(() => {
+                decodeEvents(BATCH_EVENT_NAME, Buffer.from('{}'));
+            }).to.throw(/Invalid fabric:events event payload: missing events array/);
+        });
+    });
+});
@@ -23,4 +23,18 @@ describe('utils', () => {
             expect(utils.generateLoggingPrefix('myc', '12345678')).to.deep.equal('[myc-12345678]');
         });
     });
+
+    describe('parseAddress', () => {
+        it ('should split the host and port', () => {
+            expect(utils.parseAddress('0.0.0.0:9443', 'health')).to.deep.equal({host: '0.0.0.0', port: 9443});
+        });
+
+        it ('should split IPv6 addresses at the last colon, without the brackets', () => {
+            expect(utils.parseAddress('[::1]:9443', 'health')).to.deep.equal({host: '::1', port: 9443});
+        });
+
+        it ('should throw an error naming the address if it has no port', () => {
+            expect(() => utils.parseAddress('localhost', 'metrics')).to.throw('The metrics address must be given as host:port, not localhost');
+        });
+    });
 });
@@ -35,28 +35,35 @@ declare module 'fabric-shim' {
         Timestamp
     }
 
-    export function error(msg: Uint8Array): ChaincodeResponse;
+    export function error(msg: Uint8Array, status?: number, payload?: Uint8Array): ChaincodeResponse;
     export function newLogger(name: string): Logger;
     export function start(chaincode: ChaincodeInterface): any;
     export function success(payload?: Uint8Array): ChaincodeResponse;
 
     export class Shim {
-        static error(msg: Uint8Array): ChaincodeResponse;
+        static error(msg: Uint8Array, status?: number, payload?: Uint8Array): ChaincodeResponse;
         static newLogger(name: string): Logger;
         static start(chaincode: ChaincodeInterface): any;
         static success(payload?: Uint8Array): ChaincodeResponse;
         static server(chaincode: ChaincodeInterface, serverOpts: ChaincodeServerOpts): ChaincodeServer;
     }
 
-    export class ChaincodeServer {
+    export class ChaincodeServer extends EventEmitter {
         constructor(chaincode: ChaincodeInterface, serverOpts: ChaincodeServerOpts);
         start(): Promise<void>;
+        stop(timeout?: number): Promise<boolean>;
+        isReady(): boolean;
     }
 
     export interface ChaincodeServerOpts {
         ccid: string;
         address: string;
         tlsProps: ChaincodeServerTLSProperties;
+        'request-timeout'?: number;
+        'shutdown-timeout'?: number;
+        'health-address'?: string;
+        'health-max-event-loop-delay'?: number;
+        'metrics-address'?: string;
     }
 
     export interface ChaincodeServerTLSProperties {
@@ -102,9 +109,13 @@ declare module 'fabric-shim' {
         getDateTimestamp(): Date;
         getBinding(): string;
 
+        setReadYourOwnWrites(enabled?: boolean): void;
+
         getState(key: string): Promise<Uint8Array>;
         putState(key: string, value: Uint8Array): Promise<void>;
         deleteState(key: string): Promise<void>;
+        getMultipleStates(keys: string[]): Promise<Uint8Array[]>;
+        putMultipleStates(entries: Array<{ key: string, value: Uint8Array }>): Promise<void>;
         setStateValidationParameter(key: string, ep: Uint8Array): Promise<void>;
         getStateValidationParameter(key: string): Promise<Uint8Array>;
         getStateByRange(startKey: string, endKey: string): Promise<Iterators.StateQueryIterator> & AsyncIterable<Iterators.KV>;
@@ -118,6 +129,7 @@ declare module 'fabric-shim' {
 
         invokeChaincode(chaincodeName: string, args: string[], channel: string): Promise<ChaincodeResponse>;
         setEvent(name: string, payload: Uint8Array): void;
+        addEvent(name: string, payload: Uint8Array): void;
 
         createCompositeKey(objectType: string, attributes: string[]): string;
         splitCompositeKey(compositeKey: string): SplitCompositekey;
@@ -126,6 +138,8 @@ declare module 'fabric-shim' {
         getPrivateDataHash(collection: string, key: string): Promise<Uint8Array>;
         putPrivateData(collection: string, key: string, value: Uint8Array): Promise<void>;
         deletePrivateData(collection: string, key: string): Promise<void>;
+        getMultiplePrivateData(collection: string, keys: string[]): Promise<Uint8Array[]>;
+        putMultiplePrivateData(collection: string, entries: Array<{ key: string, value: Uint8Array }>): Promise<void>;
         setPrivateDataValidationParameter(collection: string, key: string, ep: Uint8Array): Promise<void>;
         getPrivateDataValidationParameter(collection: string, key: string): Promise<Uint8Array>;
         getPrivateDataByRange(collection: string, startKey: string, endKey: string): Promise<Iterators.StateQueryIterator> & AsyncIterable<Iterators.KV>;
@@ -143,6 +157,16 @@ declare module 'fabric-shim' {
         listOrgs(): string[];
     }
 
+    export interface ChaincodeEventEntry {
+        name: string;
+        payload: Buffer;
+    }
+
+    export namespace ChaincodeEvents {
+        const BATCH_EVENT_NAME: string;
+        function decodeEvents(name: string, payload: Uint8Array): ChaincodeEventEntry[];
+    }
+
     export enum ENDORSER_ROLES {
         MEMBER = 'MEMBER',
         PEER = 'PEER'